@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Generate the idealized sea level fingerprint grids in public/data/fingerprints/.
+ *
+ * Each source is one or more ice masses. Around each, the ratio of local to
+ * global rise follows the shape of published elastic fingerprints
+ * (Mitrovica et al. 2001, 2009): a fall at the source, about the global mean
+ * some 60–70° away, and 20–30% above it in the far field,
+ *
+ *   f(θ) = far − (far − near) · exp(−θ / width)
+ *
+ * with θ the angular distance from the mass. Masses of one source are mixed
+ * by their share, and the grid is scaled so its area-weighted global mean is
+ * 1. No land mask or ocean dynamics are included; replace the files with
+ * published fingerprints for research use.
+ *
+ *   node scripts/generate-fingerprints.js
+ */
+import { mkdirSync, writeFileSync } from "node:fs";
+
+import { FINGERPRINT_COLS, FINGERPRINT_ROWS, FINGERPRINT_SCALE, FINGERPRINT_SOURCES } from "../src/fingerprints.js";
+
+const OUT_DIR = new URL("../public/data/fingerprints/", import.meta.url);
+
+// Masses as [latitude, longitude, share]; kernel near/far ratios and width (degrees).
+const SOURCES = {
+  greenland: { near: -1.0, far: 1.3, width: 30, masses: [[72, -40, 1]] },
+  // Mostly marine West Antarctic loss, centred on the Amundsen Sea sector.
+  antarctic: { near: -1.0, far: 1.3, width: 30, masses: [[-79, -110, 0.8], [-72, 120, 0.2]] },
+  glaciers: {
+    near: -0.5,
+    far: 1.15,
+    width: 10,
+    masses: [
+      [61, -147, 0.25], // Alaska
+      [78, -85, 0.2], // Arctic Canada
+      [33, 85, 0.15], // High Mountain Asia
+      [78, 30, 0.15], // Svalbard and Russian Arctic
+      [-49, -73, 0.1], // Patagonia
+      [64, -18, 0.05], // Iceland
+      [46, 9, 0.05], // Alps and Scandinavia
+      [-65, -60, 0.05], // Antarctic peripheral glaciers
+    ],
+  },
+};
+
+function angularDistance(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const cos =
+    Math.sin(lat1 * toRad) * Math.sin(lat2 * toRad) +
+    Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos((lon1 - lon2) * toRad);
+  return Math.acos(Math.max(-1, Math.min(1, cos))) / toRad;
+}
+
+function buildGrid({ near, far, width, masses }) {
+  const totalShare = masses.reduce((sum, [, , share]) => sum + share, 0);
+  const grid = new Float64Array(FINGERPRINT_ROWS * FINGERPRINT_COLS);
+  let weightedSum = 0;
+  let areaSum = 0;
+
+  for (let row = 0; row < FINGERPRINT_ROWS; row++) {
+    const latitude = 90 - row;
+    const area = Math.cos((latitude * Math.PI) / 180);
+    for (let col = 0; col < FINGERPRINT_COLS; col++) {
+      let value = 0;
+      for (const [lat, lon, share] of masses) {
+        const theta = angularDistance(latitude, col, lat, lon);
+        value += (share / totalShare) * (far - (far - near) * Math.exp(-theta / width));
+      }
+      grid[row * FINGERPRINT_COLS + col] = value;
+      weightedSum += value * area;
+      areaSum += area;
+    }
+  }
+
+  const mean = weightedSum / areaSum;
+  return grid.map((value) => value / mean);
+}
+
+mkdirSync(OUT_DIR, { recursive: true });
+for (const source of Object.values(FINGERPRINT_SOURCES)) {
+  const grid = buildGrid(SOURCES[source.id]);
+  const buffer = Buffer.alloc(grid.length * 2);
+  grid.forEach((value, i) => buffer.writeInt16BE(Math.round(value * FINGERPRINT_SCALE), i * 2));
+  const file = new URL(source.url.split("/").pop(), OUT_DIR);
+  writeFileSync(file, buffer);
+  const min = Math.min(...grid);
+  const max = Math.max(...grid);
+  console.error(`${source.id}: ${file.pathname} (ratio ${min.toFixed(2)} to ${max.toFixed(2)})`);
+}
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Generate the idealized vertical land motion grid public/data/vlm.dac.
+ *
+ * The rate is a sum of Gaussian features [latitude, longitude, mm/yr, sigma°]:
+ * glacial isostatic uplift where ice-age ice sheets stood, the sinking
+ * peripheral bulge around them, and subsidence in deltas and cities drawing
+ * down groundwater. Amplitudes are rough regional averages from the GPS and
+ * InSAR literature (e.g. Peltier 2004 for GIA, Nicholls et al. 2021 for
+ * subsiding cities). At a 0.5° grid, city subsidence is spread over tens of
+ * km, so peak rates are lower than published local maxima. Replace the file
+ * with a published VLM grid in the same layout for research use.
+ *
+ *   node scripts/generate-land-motion.js
+ */
+import { writeFileSync } from "node:fs";
+
+import { VLM_COLS, VLM_RESOLUTION, VLM_ROWS, VLM_SCALE, VLM_URL } from "../src/landMotion.js";
+
+const OUT_FILE = new URL(`../public${VLM_URL}`, import.meta.url);
+
+const FEATURES = [
+  // Glacial isostatic adjustment: uplift and peripheral bulge
+  [63, 18, 9, 5], // Fennoscandia
+  [60, -85, 11, 8], // Hudson Bay
+  [59, -136, 15, 2], // Southeast Alaska (Glacier Bay)
+  [38, -75, -2, 5], // US mid-Atlantic bulge
+  [53, 5, -1.5, 3], // North Sea bulge
+  // Deltas and subsiding cities
+  [-6.2, 106.85, -40, 0.4], // Jakarta
+  [22.8, 90.3, -10, 1.5], // Ganges–Brahmaputra delta
+  [31.2, 121.5, -12, 0.6], // Shanghai and the Yangtze delta
+  [39.1, 117.2, -15, 0.6], // Tianjin
+  [13.75, 100.5, -20, 0.5], // Bangkok
+  [10.0, 105.8, -15, 1.0], // Mekong delta
+  [14.6, 121.0, -20, 0.4], // Manila
+  [29.9, -90.1, -8, 0.8], // Mississippi delta
+  [31.0, 31.0, -4, 1.0], // Nile delta
+  [45.4, 12.3, -2, 0.5], // Venice lagoon
+  [20.3, 86.6, -4, 0.8], // Mahanadi delta
+  [19.07, 72.88, -3, 0.4], // Mumbai
+  [6.5, 3.4, -8, 0.4], // Lagos
+  [29.75, -95.35, -6, 0.6], // Houston
+];
+
+function angularDistance(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const cos =
+    Math.sin(lat1 * toRad) * Math.sin(lat2 * toRad) +
+    Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos((lon1 - lon2) * toRad);
+  return Math.acos(Math.max(-1, Math.min(1, cos))) / toRad;
+}
+
+const buffer = Buffer.alloc(VLM_ROWS * VLM_COLS * 2);
+let min = Infinity;
+let max = -Infinity;
+for (let row = 0; row < VLM_ROWS; row++) {
+  const latitude = 90 - row * VLM_RESOLUTION;
+  for (let col = 0; col < VLM_COLS; col++) {
+    const longitude = col * VLM_RESOLUTION;
+    let rate = 0;
+    for (const [lat, lon, amplitude, sigma] of FEATURES) {
+      const d = angularDistance(latitude, longitude, lat, lon);
+      if (d < sigma * 5) rate += amplitude * Math.exp(-(d * d) / (2 * sigma * sigma));
+    }
+    min = Math.min(min, rate);
+    max = Math.max(max, rate);
+    buffer.writeInt16BE(Math.round(rate * VLM_SCALE), (row * VLM_COLS + col) * 2);
+  }
+}
+
+writeFileSync(OUT_FILE, buffer);
+console.error(`${OUT_FILE.pathname}: ${min.toFixed(1)} to ${max.toFixed(1)} mm/yr`);
@@ -0,0 +1,499 @@
+#!/usr/bin/env node
+/**
+ * Headless command-line runner for the Monte Carlo engine.
+ *
+ * Runs the same simulation code as the browser app (no worker, no globe) and
+ * writes stats, contributor stats and optionally raw samples as JSON or CSV,
+ * to stdout or to files, so batch runs can be scripted and diffed.
+ *
+ *   npm run simulate -- --temp 2.5 --iterations 20000 --seed 42 --format csv
+ *   npm run simulate -- --scenario ssp585 --year 2100 --seed 42
+ *   npm run simulate -- --sweep 1:5:0.5 --seed 42 --format csv --out-dir runs/
+ *   npm run simulate -- --emissions 2020:40,2050:0 --sweep 2030:2100:10 --seed 42
+ *   npm run simulate -- --calibrate --seed 42 > ar6-calibrated.json
+ *
+ * Run with --help for all options.
+ */
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+
+import { runSimulation } from "../src/simulation.js";
+import { DEFAULT_MODEL_ID, getModelById, loadModelsFromJSON } from "../src/models.js";
+import { DEFAULT_SAMPLER, SAMPLERS } from "../src/samplers.js";
+import {
+  PROJECTION_BASELINE_YEAR,
+  PROJECTION_END_YEAR,
+  getPeakWarming,
+  getProjectedWarming,
+  getScenarioById,
+  getScenarioPresets,
+  registerScenario,
+} from "../src/projections.js";
+import { EMISSIONS_MODES, buildEmissionsScenario } from "../src/emissions.js";
+import { COLLAPSE_EVENTS, DEFAULT_HORIZON, RESPONSE_HORIZONS } from "../src/commitment.js";
+import { parseSeaLevelRecord, parseTemperatureRecord, runCalibration } from "../src/calibration.js";
+
+const DEFAULT_ITERATIONS = 5000;
+const FORMATS = ["json", "csv"];
+const TABLES = ["stats", "contributors", "samples"];
+const STAT_KEYS = ["mean", "median", "p5", "p95", "min", "max"];
+const EMISSIONS_SCENARIO_ID = "emissions";
+const DEFAULT_RECORDS = {
+  gmsl: new URL("../public/data/gmsl.csv", import.meta.url),
+  temperature: new URL("../public/data/temperature.csv", import.meta.url),
+};
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+Input (one of):
+  --temp <°C>              Temperature increase
+  --scenario <id>          Scenario id (${getScenarioPresets().map((s) => s.id).join(", ")}), with --year
+  --year <year>            Projection year for --scenario
+  --sweep <start:end:step> Sweep temperatures, or years when --scenario is set
+  --emissions <year:GtCO2,...>
+                           CO₂ pathway converted to warming by the TCRE emulator;
+                           runs as scenario "${EMISSIONS_SCENARIO_ID}", with --year or --sweep
+  --emissions-mode <mode>  ${Object.keys(EMISSIONS_MODES).join(" or ")} emissions (default annual)
+
+Simulation:
+  --iterations <n>         Monte Carlo iterations (default ${DEFAULT_ITERATIONS})
+  --seed <n>               32-bit seed for reproducible runs (default: random)
+  --model <id>             Contributor model id (default ${DEFAULT_MODEL_ID})
+  --models <file>          Register extra models from a JSON file first
+  --sampler <id>           ${Object.keys(SAMPLERS).join(", ")} (default ${DEFAULT_SAMPLER})
+  --fixed-warming          Scenario runs use the central temperature only
+  --horizon <id>           Response horizon: ${Object.keys(RESPONSE_HORIZONS).join(", ")} (default ${DEFAULT_HORIZON})
+  --collapse <id>          Add a what-if collapse (repeatable): ${Object.keys(COLLAPSE_EVENTS).join(", ")}
+
+Calibration (instead of a simulation):
+  --calibrate              Fit the model's meanPerDeg and exponent to observed sea
+                           level; JSON output includes the calibrated model, loadable
+                           with --models. --iterations sets the Metropolis steps
+                           (default 20000); CSV output is the hindcast table
+  --gmsl <file>            Sea level record CSV (default public/data/gmsl.csv)
+  --temperature-record <file>
+                           Temperature record CSV (default public/data/temperature.csv)
+
+Output:
+  --format <json|csv>      Output format (default json)
+  --table <name>           CSV table written to stdout: ${TABLES.join(", ")} (default stats)
+  --samples                Include raw samples (JSON output, or samples file)
+  --out-dir <dir>          Write stats, contributors (and samples) files instead of stdout
+  -h, --help               Show this help
+`;
+
+const OPTIONS = {
+  temp: { type: "string" },
+  scenario: { type: "string" },
+  year: { type: "string" },
+  sweep: { type: "string" },
+  emissions: { type: "string" },
+  "emissions-mode": { type: "string", default: "annual" },
+  iterations: { type: "string" },
+  seed: { type: "string" },
+  model: { type: "string" },
+  models: { type: "string" },
+  sampler: { type: "string" },
+  "fixed-warming": { type: "boolean", default: false },
+  horizon: { type: "string", default: DEFAULT_HORIZON },
+  collapse: { type: "string", multiple: true, default: [] },
+  calibrate: { type: "boolean", default: false },
+  gmsl: { type: "string" },
+  "temperature-record": { type: "string" },
+  format: { type: "string", default: "json" },
+  table: { type: "string", default: "stats" },
+  samples: { type: "boolean", default: false },
+  "out-dir": { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  process.stderr.write(`simulate: ${err.message}\n`);
+  process.exit(1);
+}
+
+function main(argv) {
+  const { values } = parseArgs({ args: argv, options: OPTIONS, strict: true });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  if (values.calibrate) {
+    calibrate(values);
+    return;
+  }
+
+  const config = resolveConfig(values);
+  const runs = config.inputs.map((input) => runOne(input, config));
+
+  if (config.outDir) {
+    writeFiles(runs, config);
+  } else {
+    process.stdout.write(config.format === "json" ? toJSON(runs, config) : toCSV(runs, config.table));
+  }
+}
+
+/**
+ * Validate arguments and expand them into a list of run inputs.
+ */
+function resolveConfig(values) {
+  if (values.models) {
+    loadModelsFromJSON(readFileSync(values.models, "utf8"));
+  }
+
+  const modelId = values.model ?? DEFAULT_MODEL_ID;
+  if (!getModelById(modelId)) {
+    throw new Error(`Unknown model id: ${modelId}`);
+  }
+  const sampler = values.sampler ?? DEFAULT_SAMPLER;
+  if (!SAMPLERS[sampler]) {
+    throw new Error(`Unknown sampler: ${sampler} (expected one of ${Object.keys(SAMPLERS).join(", ")})`);
+  }
+  if (!RESPONSE_HORIZONS[values.horizon]) {
+    throw new Error(`--horizon must be one of ${Object.keys(RESPONSE_HORIZONS).join(", ")}`);
+  }
+  for (const id of values.collapse) {
+    if (!COLLAPSE_EVENTS[id]) {
+      throw new Error(`Unknown --collapse ${id} (expected one of ${Object.keys(COLLAPSE_EVENTS).join(", ")})`);
+    }
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`--format must be one of ${FORMATS.join(", ")}`);
+  }
+  if (!TABLES.includes(values.table)) {
+    throw new Error(`--table must be one of ${TABLES.join(", ")}`);
+  }
+
+  const iterations = values.iterations != null ? parseNumber("--iterations", values.iterations) : DEFAULT_ITERATIONS;
+  if (!Number.isInteger(iterations) || iterations <= 0) {
+    throw new Error("--iterations must be a positive integer");
+  }
+  const seed = values.seed != null ? parseNumber("--seed", values.seed) : null;
+  if (seed !== null && (!Number.isInteger(seed) || seed < 0)) {
+    throw new Error("--seed must be a non-negative integer");
+  }
+
+  if (values.emissions != null) {
+    if (values.scenario != null) {
+      throw new Error("--emissions cannot be combined with --scenario");
+    }
+    registerScenario(
+      buildEmissionsScenario({
+        id: EMISSIONS_SCENARIO_ID,
+        label: "Emissions pathway",
+        mode: values["emissions-mode"],
+        emissionsByYear: parseEmissions(values.emissions),
+      })
+    );
+    values.scenario = EMISSIONS_SCENARIO_ID;
+  }
+
+  return {
+    inputs: resolveInputs(values),
+    iterations,
+    seed,
+    modelId,
+    sampler,
+    sampleWarming: !values["fixed-warming"],
+    horizon: values.horizon,
+    collapses: values.collapse,
+    format: values.format,
+    table: values.table,
+    includeSamples: values.samples,
+    outDir: values["out-dir"] ?? null,
+  };
+}
+
+/**
+ * Calibrate a model against the observed records and write the result.
+ */
+function calibrate(values) {
+  if (values.temp != null || values.scenario != null || values.sweep != null || values.emissions != null) {
+    throw new Error("--calibrate cannot be combined with --temp, --scenario, --sweep or --emissions");
+  }
+  if (values.models) {
+    loadModelsFromJSON(readFileSync(values.models, "utf8"));
+  }
+  const modelId = values.model ?? DEFAULT_MODEL_ID;
+  if (!getModelById(modelId)) {
+    throw new Error(`Unknown model id: ${modelId}`);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`--format must be one of ${FORMATS.join(", ")}`);
+  }
+  const iterations = values.iterations != null ? parseNumber("--iterations", values.iterations) : null;
+  const seed = values.seed != null ? parseNumber("--seed", values.seed) : null;
+
+  const readRecord = (path, parse, flag) => {
+    try {
+      return parse(readFileSync(path, "utf8"));
+    } catch (err) {
+      throw new Error(`${flag} ${path}: ${err.message}`);
+    }
+  };
+  const records = {
+    gmsl: readRecord(values.gmsl ?? DEFAULT_RECORDS.gmsl, parseSeaLevelRecord, "--gmsl"),
+    temperature: readRecord(
+      values["temperature-record"] ?? DEFAULT_RECORDS.temperature,
+      parseTemperatureRecord,
+      "--temperature-record"
+    ),
+  };
+  const calibration = runCalibration(records, {
+    modelId,
+    iterations,
+    burnIn: iterations != null ? Math.floor(iterations / 4) : null,
+    seed,
+  });
+
+  let output;
+  if (values.format === "json") {
+    output = `${JSON.stringify(calibration, null, 2)}\n`;
+  } else {
+    const lines = ["year,observed,prior,calibrated"];
+    calibration.years.forEach((year, i) => {
+      const { observed, hindcast } = calibration;
+      lines.push([year, observed[i], hindcast.prior[i], hindcast.calibrated[i]].map(formatNumber).join(","));
+    });
+    output = `${lines.join("\n")}\n`;
+  }
+
+  if (values["out-dir"]) {
+    mkdirSync(values["out-dir"], { recursive: true });
+    const path = join(values["out-dir"], `calibration.${values.format}`);
+    writeFileSync(path, output);
+    process.stderr.write(`Wrote ${path}\n`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+/**
+ * Turn --temp / --scenario / --year / --sweep into run inputs.
+ * @returns {object[]} - { tempIncrease } or { scenarioId, year }
+ */
+function resolveInputs(values) {
+  if (values.scenario != null) {
+    if (!getScenarioById(values.scenario)) {
+      throw new Error(`Unknown scenario id: ${values.scenario}`);
+    }
+    if (values.temp != null) {
+      throw new Error("--temp cannot be combined with --scenario");
+    }
+    if ((values.year != null) === (values.sweep != null)) {
+      throw new Error("--scenario needs exactly one of --year or --sweep");
+    }
+    const flag = values.sweep != null ? "--sweep" : "--year";
+    const years = values.sweep != null ? parseSweep(values.sweep) : [parseNumber("--year", values.year)];
+    for (const year of years) checkProjectionYear(flag, year);
+    return years.map((year) => ({ scenarioId: values.scenario, year }));
+  }
+
+  if (values.year != null) {
+    throw new Error("--year needs --scenario");
+  }
+  if ((values.temp != null) === (values.sweep != null)) {
+    throw new Error("Specify exactly one of --temp, --sweep or --scenario (see --help)");
+  }
+  const temps = values.sweep != null ? parseSweep(values.sweep) : [parseNumber("--temp", values.temp)];
+  for (const temp of temps) {
+    if (temp < 0) throw new Error(`Temperature increase must be non-negative, got ${temp}`);
+  }
+  return temps.map((tempIncrease) => ({ tempIncrease }));
+}
+
+/**
+ * Scenario years must be whole years within the projection range.
+ */
+function checkProjectionYear(flag, year) {
+  if (!Number.isInteger(year) || year < PROJECTION_BASELINE_YEAR || year > PROJECTION_END_YEAR) {
+    throw new Error(
+      `${flag} must give whole years from ${PROJECTION_BASELINE_YEAR} to ${PROJECTION_END_YEAR}, got ${year}`
+    );
+  }
+}
+
+/**
+ * Expand "start:end:step" (inclusive) into a list of values.
+ */
+function parseSweep(text) {
+  const parts = text.split(":").map((part) => parseNumber("--sweep", part));
+  if (parts.length !== 3 || !(parts[2] > 0) || parts[1] < parts[0]) {
+    throw new Error("--sweep must be start:end:step with start <= end and step > 0");
+  }
+  const [start, end, step] = parts;
+  const values = [];
+  // Round to the step's precision so 0.1-style steps do not drift.
+  const decimals = (String(step).split(".")[1] || "").length;
+  for (let i = 0; start + i * step <= end + step * 1e-9; i++) {
+    values.push(Number((start + i * step).toFixed(decimals)));
+  }
+  return values;
+}
+
+/**
+ * Parse "year:GtCO2,year:GtCO2,..." into a { year: GtCO2 } table.
+ */
+function parseEmissions(text) {
+  const emissionsByYear = {};
+  for (const pair of text.split(",")) {
+    const [year, value, ...rest] = pair.split(":");
+    if (value == null || rest.length > 0) {
+      throw new Error(`--emissions expects year:GtCO2 pairs, got "${pair}"`);
+    }
+    emissionsByYear[parseNumber("--emissions", year)] = parseNumber("--emissions", value);
+  }
+  return emissionsByYear;
+}
+
+function parseNumber(flag, text) {
+  const value = Number(text);
+  if (text === "" || !Number.isFinite(value)) {
+    throw new Error(`${flag} expects a number, got "${text}"`);
+  }
+  return value;
+}
+
+/**
+ * Run one simulation. Every run in a sweep uses the same seed, so runs
+ * differ only by their input.
+ */
+function runOne(input, config) {
+  let tempIncrease = input.tempIncrease;
+  let warming = null;
+  let peakWarming = null;
+  if (input.scenarioId) {
+    const projected = getProjectedWarming(input.scenarioId, input.year);
+    tempIncrease = projected.median;
+    warming = config.sampleWarming ? { p5: projected.p5, p95: projected.p95 } : null;
+    peakWarming = getPeakWarming(input.scenarioId, input.year);
+  }
+
+  const result = runSimulation(tempIncrease, config.iterations, {
+    seed: config.seed,
+    modelId: config.modelId,
+    sampler: config.sampler,
+    warming,
+    peakWarming,
+    horizon: config.horizon,
+    collapses: config.collapses,
+  });
+  return { input, result };
+}
+
+/**
+ * Columns identifying a run in every CSV table.
+ */
+function runColumns({ input, result }) {
+  return {
+    scenario: input.scenarioId ?? "",
+    year: input.year ?? "",
+    tempIncrease: result.tempIncrease,
+    model: result.modelId,
+    horizon: result.horizon,
+    collapses: result.collapses.join(" "),
+    sampler: result.sampler ?? "",
+    seed: result.seedUsed ?? "",
+    iterations: result.iterations,
+  };
+}
+
+function toJSON(runs, config) {
+  const document = {
+    runs: runs.map((run) => {
+      const { result } = run;
+      return {
+        ...runColumns(run),
+        stats: result.stats,
+        confidence: result.confidence,
+        contributorStats: result.contributorStats,
+        warming: result.warming,
+        uncertaintySplit: result.uncertaintySplit,
+        peakWarming: result.peakWarming,
+        correlationImpact: result.correlationImpact
+          ? {
+              correlatedBand: result.correlationImpact.correlatedBand,
+              independentBand: result.correlationImpact.independentBand,
+              widening: result.correlationImpact.widening,
+            }
+          : null,
+        ...(config.includeSamples ? { samples: result.results } : {}),
+      };
+    }),
+  };
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * Build one CSV table: stats (one row per run), contributors (one row per
+ * run and contributor) or samples (one row per run and sample, sorted).
+ */
+function toCSV(runs, table) {
+  const rows = [];
+  for (const run of runs) {
+    const base = runColumns(run);
+    const { result } = run;
+    if (table === "stats") {
+      rows.push({ ...base, ...pickStats(result.stats) });
+    } else if (table === "contributors") {
+      for (const [key, cs] of Object.entries(result.contributorStats)) {
+        rows.push({ ...base, contributor: key, ...pickStats(cs) });
+      }
+    } else {
+      result.results.forEach((value, i) => rows.push({ ...base, sample: i, slr: formatNumber(value) }));
+    }
+  }
+  if (rows.length === 0) return "";
+
+  const header = Object.keys(rows[0]);
+  const lines = [header.join(",")];
+  for (const row of rows) {
+    lines.push(header.map((key) => csvField(row[key])).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function pickStats(stats) {
+  const picked = {};
+  for (const key of STAT_KEYS) {
+    picked[key] = formatNumber(stats[key]);
+  }
+  return picked;
+}
+
+// Meters to the micrometer: enough for analysis, stable enough to diff.
+function formatNumber(value) {
+  return Number(value.toFixed(6));
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write stats, contributors and (with --samples) samples files to outDir.
+ */
+function writeFiles(runs, config) {
+  mkdirSync(config.outDir, { recursive: true });
+  const written = [];
+
+  if (config.format === "json") {
+    const path = join(config.outDir, "simulation.json");
+    writeFileSync(path, toJSON(runs, config));
+    written.push(path);
+  } else {
+    const tables = config.includeSamples ? TABLES : TABLES.filter((t) => t !== "samples");
+    for (const table of tables) {
+      const path = join(config.outDir, `${table}.csv`);
+      writeFileSync(path, toCSV(runs, table));
+      written.push(path);
+    }
+  }
+
+  process.stderr.write(`Wrote ${written.join(", ")}\n`);
+}
@@ -0,0 +1,355 @@
+/**
+ * Calibration of contributor parameters against observed sea level.
+ *
+ * The contributor models are hand-entered from IPCC ranges. Calibration
+ * checks them against history: an observed temperature record drives the
+ * noise-free trajectory engine (expectedTrajectory, starting from zero in
+ * the first year) and the hindcast is compared with observed global mean
+ * sea level rebased to the same year.
+ *
+ * Each contributor's meanPerDeg and exponent gets a normal prior centred on
+ * the model value (truncated at zero) and is updated by a random-walk
+ * Metropolis sampler. One global record cannot tell contributors apart, so
+ * the priors carry the split between them and the record mainly constrains
+ * the total response. Annual residuals are strongly autocorrelated, so the
+ * likelihood counts one independent observation per `correlationLength`
+ * years. Sea level already in motion before the first year is ignored.
+ */
+import { DEFAULT_MODEL_ID, getModelById, pickDefined, withParameters } from "./models.js";
+import { expectedTrajectory } from "./simulation.js";
+import { createSeededRandom, sampleNormal } from "./samplers.js";
+import { parseRecordCSV } from "./importers.js";
+
+export const CALIBRATION_PARAMETERS = ["meanPerDeg", "exponent"];
+
+// Bundled records (see the comment lines in each file for their provenance).
+export const CALIBRATION_DATA_URLS = {
+  gmsl: "/data/gmsl.csv",
+  temperature: "/data/temperature.csv",
+};
+
+// Start of the satellite altimetry era, reported as a separate trend.
+const SATELLITE_ERA_START = 1993;
+const CALIBRATED_SUFFIX = "-calibrated";
+
+const CALIBRATION_DEFAULTS = {
+  iterations: 20000, // Metropolis steps, including burn-in
+  burnIn: 5000,
+  priorWidth: { meanPerDeg: 0.5, exponent: 0.2 }, // prior sd relative to the model value
+  discrepancy: 0.005, // model error (m), added in quadrature to the record's uncertainty
+  defaultUncertainty: 0.01, // 1-sigma (m) for years without an uncertainty value
+  correlationLength: 5, // years per independent observation
+};
+// Target acceptance rate for random-walk Metropolis (Roberts et al. 1997).
+const TARGET_ACCEPTANCE = 0.234;
+const ADAPT_INTERVAL = 200;
+
+/**
+ * Parse a sea level record CSV: year, gmsl (m)[, uncertainty (m)].
+ * @returns {{ years: number[], gmsl: number[], uncertainty: (number|null)[] }}
+ */
+export function parseSeaLevelRecord(text) {
+  return parseRecordCSV(text, {
+    gmsl: ["gmsl", "sealevel", "slr", "value"],
+    uncertainty: ["uncertainty", "sigma", "error"],
+  });
+}
+
+/**
+ * Parse a temperature record CSV: year, temperature (°C above 1850–1900).
+ * @returns {{ years: number[], temperature: number[] }}
+ */
+export function parseTemperatureRecord(text) {
+  return parseRecordCSV(text, { temperature: ["temperature", "temp", "warming", "anomaly", "value"] });
+}
+
+/**
+ * Fetch and parse the sea level and temperature records.
+ * @param {{ gmsl: string, temperature: string }} urls
+ * @returns {Promise<{ gmsl: object, temperature: object }>}
+ */
+export async function loadCalibrationRecords(urls = CALIBRATION_DATA_URLS) {
+  const [gmsl, temperature] = await Promise.all(
+    [urls.gmsl, urls.temperature].map(async (url) => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${url}: ${response.status}`);
+      }
+      return response.text();
+    })
+  );
+  return { gmsl: parseSeaLevelRecord(gmsl), temperature: parseTemperatureRecord(temperature) };
+}
+
+/**
+ * Run a full calibration.
+ * @param {{ gmsl: object, temperature: object }} records - Parsed records
+ * @param {object} options - See createCalibrationRun
+ * @returns {object} - Calibration results (see createCalibrationRun)
+ */
+export function runCalibration(records, options = {}) {
+  const run = createCalibrationRun(records, options);
+  run.step(run.total);
+  return run.finish();
+}
+
+/**
+ * Create an incremental calibration; `total` and `completed` count
+ * Metropolis steps so the worker can report progress.
+ *
+ * finish() returns { modelId, seedUsed, years, observed, hindcast: { prior,
+ * calibrated }, skill: { prior, calibrated }, parameters, acceptanceRate,
+ * samples, model }. Parameters are { contributor, name, parameter, prior,
+ * mean, sd, p5, median, p95 }; skill is { rmse, bias, r2, trend,
+ * recentTrend } (m, mm/yr). `model` is a definition for registerModel with
+ * the posterior medians, registered by the caller as a model variant.
+ *
+ * @param {{ gmsl: object, temperature: object }} records - Sea level record
+ *   ({ years, gmsl, uncertainty? }, m) and temperature record ({ years,
+ *   temperature }, °C above 1850–1900), e.g. from loadCalibrationRecords
+ * @param {object} options
+ * @param {string} options.modelId, options.model - Model to calibrate (default "ar6")
+ * @param {number} options.iterations - Metropolis steps (default 20000)
+ * @param {number} options.burnIn - Steps discarded while the proposal adapts (default 5000)
+ * @param {number|null} options.seed - 32-bit seed (default 1)
+ * @param {object} options.priorWidth - Relative prior sd per parameter
+ * @param {number} options.discrepancy - Model error in m (default 0.005)
+ * @param {number} options.correlationLength - Years per independent observation (default 5)
+ * @returns {object} - { total, completed, done, step(batchSize), finish() }
+ */
+export function createCalibrationRun(records, options = {}) {
+  const settings = { ...CALIBRATION_DEFAULTS, ...pickDefined(options) };
+  const { iterations, burnIn } = settings;
+  if (!Number.isInteger(iterations) || !Number.isInteger(burnIn) || burnIn < 0 || iterations - burnIn < 100) {
+    throw new Error("Calibration needs integer iterations and burnIn with at least 100 steps after burn-in");
+  }
+  const model = options.model || getModelById(options.modelId ?? DEFAULT_MODEL_ID);
+  if (!model) {
+    throw new Error(`Unknown model id: ${options.modelId}`);
+  }
+  const seed = Number.isInteger(options.seed) && options.seed >= 0 ? options.seed >>> 0 : 1;
+  const data = alignRecords(records, settings.defaultUncertainty);
+
+  // Observation weights: inverse variance, shared out over each correlation length.
+  const weights = data.sigma.map((sigma) => 1 / (2 * (sigma ** 2 + settings.discrepancy ** 2) * settings.correlationLength));
+
+  const parameters = [];
+  for (const [key, contributor] of Object.entries(model.contributors)) {
+    for (const parameter of CALIBRATION_PARAMETERS) {
+      const prior = contributor[parameter];
+      parameters.push({
+        contributor: key,
+        name: contributor.name,
+        parameter,
+        prior,
+        priorSd: Math.abs(prior) * settings.priorWidth[parameter] || settings.priorWidth[parameter],
+      });
+    }
+  }
+
+  function hindcast(values) {
+    const path = expectedTrajectory(data.pathway, { model: withParameters(model, parameters, values) });
+    // Compare anomalies from the first year, like the rebased record.
+    return data.indices.map((i) => path[i] - path[0]);
+  }
+
+  function logPosterior(values) {
+    let logPrior = 0;
+    for (let p = 0; p < parameters.length; p++) {
+      if (!(values[p] > 0)) return -Infinity;
+      logPrior -= ((values[p] - parameters[p].prior) / parameters[p].priorSd) ** 2 / 2;
+    }
+    const modelled = hindcast(values);
+    let logLikelihood = 0;
+    for (let i = 0; i < modelled.length; i++) {
+      logLikelihood -= weights[i] * (modelled[i] - data.observed[i]) ** 2;
+    }
+    return logPrior + logLikelihood;
+  }
+
+  const random = createSeededRandom(seed);
+  let current = parameters.map((p) => p.prior);
+  let currentLog = logPosterior(current);
+  let scale = 2.38 / Math.sqrt(parameters.length) / 4;
+  let accepted = 0;
+  let acceptedInWindow = 0;
+  const samples = [];
+  let completed = 0;
+
+  return {
+    total: iterations,
+    get completed() {
+      return completed;
+    },
+    get done() {
+      return completed >= iterations;
+    },
+
+    step(batchSize) {
+      const end = Math.min(iterations, completed + batchSize);
+      for (; completed < end; completed++) {
+        const proposal = current.map((value, p) => sampleNormal(value, parameters[p].priorSd * scale, random));
+        const proposalLog = logPosterior(proposal);
+        if (Math.log(Math.max(random(), Number.MIN_VALUE)) < proposalLog - currentLog) {
+          current = proposal;
+          currentLog = proposalLog;
+          acceptedInWindow++;
+          if (completed >= burnIn) accepted++;
+        }
+
+        if (completed < burnIn) {
+          // Tune the step size towards the target acceptance rate, then freeze it.
+          if ((completed + 1) % ADAPT_INTERVAL === 0) {
+            scale *= Math.exp(acceptedInWindow / ADAPT_INTERVAL - TARGET_ACCEPTANCE);
+            acceptedInWindow = 0;
+          }
+        } else {
+          samples.push(current);
+        }
+      }
+      return completed;
+    },
+
+    finish() {
+      const summaries = parameters.map((p, index) => {
+        const sorted = samples.map((values) => values[index]).sort((a, b) => a - b);
+        const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+        const sd = Math.sqrt(sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(sorted.length - 1, 1));
+        return {
+          contributor: p.contributor,
+          name: p.name,
+          parameter: p.parameter,
+          prior: p.prior,
+          mean,
+          sd,
+          p5: quantile(sorted, 0.05),
+          median: quantile(sorted, 0.5),
+          p95: quantile(sorted, 0.95),
+        };
+      });
+
+      const calibratedValues = summaries.map((s) => s.median);
+      const priorHindcast = hindcast(parameters.map((p) => p.prior));
+      const calibratedHindcast = hindcast(calibratedValues);
+      const calibratedSkill = hindcastSkill(data.years, data.observed, calibratedHindcast);
+      const years = data.years;
+
+      const baseId = model.id.endsWith(CALIBRATED_SUFFIX) ? model.id.slice(0, -CALIBRATED_SUFFIX.length) : model.id;
+      const baseLabel = getModelById(baseId)?.label ?? model.label;
+      const calibrated = withParameters(model, parameters, calibratedValues);
+      const definition = {
+        id: `${baseId}${CALIBRATED_SUFFIX}`,
+        label: `${baseLabel} (calibrated)`,
+        description:
+          `${model.label} with meanPerDeg and exponent calibrated to observed sea level ` +
+          `${years[0]}–${years[years.length - 1]} (hindcast RMSE ${(calibratedSkill.rmse * 1000).toFixed(1)} mm)`,
+        contributors: calibrated.contributors,
+        correlations: model.correlations,
+      };
+
+      return {
+        modelId: model.id,
+        seedUsed: seed,
+        years,
+        observed: data.observed,
+        hindcast: { prior: priorHindcast, calibrated: calibratedHindcast },
+        skill: { prior: hindcastSkill(years, data.observed, priorHindcast), calibrated: calibratedSkill },
+        parameters: summaries,
+        acceptanceRate: samples.length > 0 ? accepted / samples.length : 0,
+        samples: samples.length,
+        model: definition,
+      };
+    },
+  };
+}
+
+/**
+ * Line up the records on the years both cover. The temperature record must
+ * be annual over that span; sea level may have gaps.
+ */
+function alignRecords(records, defaultUncertainty) {
+  const { gmsl, temperature } = records || {};
+  if (!gmsl?.years?.length || !temperature?.years?.length) {
+    throw new Error("Calibration needs a sea level record and a temperature record");
+  }
+  const first = Math.max(gmsl.years[0], temperature.years[0]);
+  const last = Math.min(gmsl.years[gmsl.years.length - 1], temperature.years[temperature.years.length - 1]);
+
+  const temperatureByYear = new Map(temperature.years.map((year, i) => [year, temperature.temperature[i]]));
+  const pathway = { years: [], temperatures: [] };
+  for (let year = first; year <= last; year++) {
+    if (!temperatureByYear.has(year)) {
+      throw new Error(`Temperature record has no value for ${year}; it must be annual from ${first} to ${last}`);
+    }
+    pathway.years.push(year);
+    pathway.temperatures.push(temperatureByYear.get(year));
+  }
+
+  const years = [];
+  const indices = [];
+  const levels = [];
+  const sigma = [];
+  gmsl.years.forEach((year, i) => {
+    if (year < first || year > last) return;
+    years.push(year);
+    indices.push(year - first);
+    levels.push(gmsl.gmsl[i]);
+    sigma.push(gmsl.uncertainty?.[i] ?? defaultUncertainty);
+  });
+  if (years.length < 10 || years[0] !== first) {
+    throw new Error("Sea level and temperature records must overlap for at least 10 years, starting with a sea level value");
+  }
+
+  return { years, indices, observed: levels.map((level) => level - levels[0]), sigma, pathway };
+}
+
+/**
+ * Hindcast skill against the record: RMSE, mean bias and R² (m), plus
+ * linear trends (mm/yr) over the whole record and the satellite era.
+ */
+function hindcastSkill(years, observed, modelled) {
+  const n = observed.length;
+  const observedMean = observed.reduce((sum, v) => sum + v, 0) / n;
+  let squaredError = 0;
+  let bias = 0;
+  let totalSquares = 0;
+  for (let i = 0; i < n; i++) {
+    squaredError += (modelled[i] - observed[i]) ** 2;
+    bias += modelled[i] - observed[i];
+    totalSquares += (observed[i] - observedMean) ** 2;
+  }
+
+  const recent = years.map((year, i) => (year >= SATELLITE_ERA_START ? i : -1)).filter((i) => i >= 0);
+  const pick = (values) => recent.map((i) => values[i]);
+  const recentYears = pick(years);
+  return {
+    rmse: Math.sqrt(squaredError / n),
+    bias: bias / n,
+    r2: totalSquares > 0 ? 1 - squaredError / totalSquares : null,
+    trend: { observed: trend(years, observed), modelled: trend(years, modelled) },
+    recentTrend:
+      recent.length >= 10
+        ? { observed: trend(recentYears, pick(observed)), modelled: trend(recentYears, pick(modelled)) }
+        : null,
+  };
+}
+
+/**
+ * Least-squares slope in mm/yr.
+ */
+function trend(years, values) {
+  const n = years.length;
+  const meanYear = years.reduce((sum, v) => sum + v, 0) / n;
+  const meanValue = values.reduce((sum, v) => sum + v, 0) / n;
+  let covariance = 0;
+  let spread = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (years[i] - meanYear) * (values[i] - meanValue);
+    spread += (years[i] - meanYear) ** 2;
+  }
+  return (covariance / spread) * 1000;
+}
+
+function quantile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
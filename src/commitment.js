@@ -0,0 +1,148 @@
+/**
+ * Long-horizon response and ice-sheet collapse what-ifs.
+ *
+ * Contributor models describe the century-scale response to warming. A
+ * response horizon rescales that response to the sea level committed by a
+ * later date (2300, 2500) or at equilibrium, when slow ocean warming and
+ * ice-sheet retreat have run their course. What-if collapses add the full,
+ * sampled sea level equivalent of an ice-sheet region on top of the model.
+ */
+
+export const DEFAULT_HORIZON = "century";
+
+/*
+ * Per-contributor multipliers on the century-scale mean and spread, with
+ * caps at each reservoir's total sea level equivalent (glaciers: Farinotti
+ * et al. 2019; Greenland: Morlighem et al. 2017; Antarctica: Bedmap2).
+ * Equilibrium multipliers are tuned so the ar6 model lands on the AR6 WG1
+ * SPM B.5.4 2000-year commitments (about 2–3 m at 1.5°C, 2–6 m at 2°C,
+ * 19–22 m at 5°C); 2300 and 2500 are illustrative steps towards them.
+ * Contributors not listed (e.g. land water storage) keep their response.
+ */
+export const RESPONSE_HORIZONS = {
+  century: {
+    id: "century",
+    label: "Century scale",
+    description: "The model's own response, as in 2100 projections",
+    contributors: {},
+  },
+  by2300: {
+    id: "by2300",
+    label: "Committed by 2300",
+    description: "Sea level committed by 2300 if warming is held",
+    contributors: {
+      thermalExpansion: { scale: 1.8 },
+      glaciers: { scale: 1.3, cap: 0.32 },
+      greenland: { scale: 1.6, cap: 7.4 },
+      antarctic: { scale: 2.0, cap: 58 },
+    },
+  },
+  by2500: {
+    id: "by2500",
+    label: "Committed by 2500",
+    description: "Sea level committed by 2500 if warming is held",
+    contributors: {
+      thermalExpansion: { scale: 2.5 },
+      glaciers: { scale: 1.6, cap: 0.32 },
+      greenland: { scale: 3.0, cap: 7.4 },
+      antarctic: { scale: 5.0, cap: 58 },
+    },
+  },
+  equilibrium: {
+    id: "equilibrium",
+    label: "Equilibrium",
+    description: "Multi-millennial equilibrium sea level for a sustained warming",
+    contributors: {
+      thermalExpansion: { scale: 3.5 },
+      glaciers: { scale: 2.0, cap: 0.32 },
+      greenland: { scale: 6.0, cap: 7.4 },
+      antarctic: { scale: 14.0, cap: 58 },
+    },
+  },
+};
+
+/*
+ * What-if collapses: the sea level equivalent (m) of losing an ice mass,
+ * as a 5–95% range. Timing is not modelled; switching one on assumes the
+ * loss has happened. `tops` names the contributor that already covers part
+ * of the loss, so only the remainder is added and nothing is counted twice.
+ */
+export const COLLAPSE_EVENTS = {
+  waisCollapse: {
+    id: "waisCollapse",
+    name: "What-if: West Antarctic collapse",
+    label: "West Antarctic collapse (+3.3 m)",
+    median: 3.3, // Bamber et al. 2009, marine-based West Antarctic ice
+    p5: 2.6,
+    p95: 4.3,
+    tops: "antarctic",
+  },
+  greenlandLoss: {
+    id: "greenlandLoss",
+    name: "What-if: Greenland loss",
+    label: "Greenland ice sheet loss (+7.4 m)",
+    median: 7.4, // Morlighem et al. 2017 (BedMachine v3)
+    p5: 7.3,
+    p95: 7.5,
+    tops: "greenland",
+  },
+};
+
+/**
+ * Rescale a contributor model to a response horizon.
+ * @param {object} model - Normalized model from the registry
+ * @param {string} horizonId - RESPONSE_HORIZONS id
+ * @returns {object} the same model for the century horizon, otherwise a
+ *   copy with scaled contributors (and `maxContribution` caps)
+ */
+export function applyHorizon(model, horizonId = DEFAULT_HORIZON) {
+  const horizon = RESPONSE_HORIZONS[horizonId];
+  if (!horizon) {
+    throw new Error(`Unknown response horizon: ${horizonId}`);
+  }
+  if (horizon.id === DEFAULT_HORIZON) return model;
+
+  const contributors = {};
+  for (const [key, contributor] of Object.entries(model.contributors)) {
+    const factor = horizon.contributors[key];
+    contributors[key] = factor ? scaleContributor(contributor, factor) : contributor;
+  }
+  return { ...model, contributors };
+}
+
+function scaleContributor(contributor, { scale, cap = null }) {
+  const { distribution } = contributor;
+  return {
+    ...contributor,
+    meanPerDeg: contributor.meanPerDeg * scale,
+    stdPerDeg: contributor.stdPerDeg * scale,
+    extraTerms: contributor.extraTerms.map((term) => ({ ...term, coefficient: term.coefficient * scale })),
+    distribution:
+      distribution.type === "mixture"
+        ? {
+            ...distribution,
+            branch: {
+              ...distribution.branch,
+              meanPerDeg: distribution.branch.meanPerDeg * scale,
+              stdPerDeg: distribution.branch.stdPerDeg * scale,
+            },
+          }
+        : distribution,
+    maxContribution: cap,
+  };
+}
+
+/**
+ * Look up what-if collapse events by id.
+ * @param {string[]} ids - COLLAPSE_EVENTS ids
+ * @returns {object[]}
+ */
+export function resolveCollapses(ids) {
+  return (ids || []).map((id) => {
+    const event = COLLAPSE_EVENTS[id];
+    if (!event) {
+      throw new Error(`Unknown collapse what-if: ${id}`);
+    }
+    return event;
+  });
+}
@@ -0,0 +1,184 @@
+/**
+ * Hydrological connectivity for regional flood analysis.
+ *
+ * Bathtub shading floods every pixel below geoid + SLR, including inland
+ * basins the sea cannot reach (the Caspian, the Dead Sea). This module
+ * samples terrain on a grid over a view extent and computes, for every cell,
+ * its spill level: the lowest sea level rise at which water from an ocean
+ * cell can flow into it. That is the lowest possible maximum freeboard along
+ * any path from the sea, found with a priority flood from the ocean cells
+ * (Barnes et al. 2014). A cell floods once SLR exceeds its spill level, so
+ * one analysis serves every flood level, band and probability.
+ *
+ * Freeboard is terrain height above today's sea level (ellipsoidal height
+ * minus geoid undulation). Ocean cells are those within OCEAN_TOLERANCE of
+ * sea level; water entering from outside the extent is not seen.
+ */
+import { Cartographic, Math as CesiumMath, Rectangle, sampleTerrain } from "cesium";
+
+// Grid cells per side of the analysed extent.
+export const CONNECTIVITY_GRID_SIZE = 160;
+// Largest extent (degrees on either side) the analysis accepts.
+export const CONNECTIVITY_MAX_EXTENT_DEGREES = 30;
+// Terrain within this many meters of sea level counts as ocean.
+const OCEAN_TOLERANCE = 1.0;
+// Terrain tiles are sampled at roughly this many grid cells per tile.
+const CELLS_PER_TILE = 32;
+const MAX_TERRAIN_LEVEL = 13;
+
+/**
+ * Compute spill levels from a freeboard grid.
+ * @param {Float32Array|number[]} freeboard - Row-major heights above sea level (m),
+ *   NaN where unknown (treated as impassable)
+ * @param {number} width - Grid columns
+ * @param {number} height - Grid rows
+ * @returns {Float32Array} - Spill level per cell (m, >= 0); Infinity where
+ *   no ocean cell in the grid connects
+ */
+export function computeSpillLevels(freeboard, width, height) {
+  const count = width * height;
+  if (freeboard.length !== count) {
+    throw new Error(`Freeboard grid has ${freeboard.length} cells, expected ${width} × ${height}`);
+  }
+
+  const spill = new Float32Array(count).fill(Infinity);
+  const heap = createMinHeap(count);
+  for (let i = 0; i < count; i++) {
+    if (Math.abs(freeboard[i]) <= OCEAN_TOLERANCE) {
+      spill[i] = 0;
+      heap.push(i, 0);
+    }
+  }
+
+  // Always expand the lowest known spill level; 4-connected, so water
+  // does not leak diagonally through one-cell ridges.
+  while (heap.size > 0) {
+    const level = heap.minKey;
+    const cell = heap.pop();
+    // Stale entry: the cell was reached lower since it was pushed.
+    if (level > spill[cell]) continue;
+    const row = Math.floor(cell / width);
+    const col = cell - row * width;
+    const neighbours = [
+      col > 0 ? cell - 1 : -1,
+      col < width - 1 ? cell + 1 : -1,
+      row > 0 ? cell - width : -1,
+      row < height - 1 ? cell + width : -1,
+    ];
+    for (const next of neighbours) {
+      if (next < 0 || Number.isNaN(freeboard[next])) continue;
+      const nextLevel = Math.max(level, freeboard[next], 0);
+      if (nextLevel < spill[next]) {
+        spill[next] = nextLevel;
+        heap.push(next, nextLevel);
+      }
+    }
+  }
+  return spill;
+}
+
+/**
+ * Sample terrain over an extent and compute its spill levels.
+ * @param {object} terrainProvider - Cesium terrain provider
+ * @param {Rectangle} rectangle - Extent in radians (e.g. camera.computeViewRectangle())
+ * @param {function(number, number): number} geoidUndulation - (lon, lat) in degrees → m
+ * @param {object} options
+ * @param {number} options.size - Grid cells per side (default CONNECTIVITY_GRID_SIZE)
+ * @returns {Promise<object>} - { rectangle, width, height, freeboard, spill, level }
+ *   with row-major grids whose row 0 is the northern edge, column 0 the western
+ *   edge; level is the terrain level sampled
+ */
+export async function analyseConnectivity(terrainProvider, rectangle, geoidUndulation, options = {}) {
+  const size = options.size ?? CONNECTIVITY_GRID_SIZE;
+  const widthDegrees = CesiumMath.toDegrees(rectangle.width);
+  const heightDegrees = CesiumMath.toDegrees(rectangle.height);
+  if (widthDegrees > CONNECTIVITY_MAX_EXTENT_DEGREES || heightDegrees > CONNECTIVITY_MAX_EXTENT_DEGREES) {
+    throw new Error(
+      `View spans ${widthDegrees.toFixed(0)}° × ${heightDegrees.toFixed(0)}°; zoom in to under ${CONNECTIVITY_MAX_EXTENT_DEGREES}° for a regional analysis`
+    );
+  }
+
+  // Cell centres, north to south and west to east.
+  const positions = [];
+  for (let row = 0; row < size; row++) {
+    const latitude = rectangle.north - ((row + 0.5) / size) * rectangle.height;
+    for (let col = 0; col < size; col++) {
+      const longitude = rectangle.west + ((col + 0.5) / size) * rectangle.width;
+      positions.push(new Cartographic(longitude, latitude));
+    }
+  }
+
+  // Tile level whose tiles span about CELLS_PER_TILE cells (two level-0 tiles of π).
+  const cellRadians = Math.max(rectangle.width, rectangle.height) / size;
+  const level = Math.min(MAX_TERRAIN_LEVEL, Math.max(0, Math.round(Math.log2(Math.PI / (cellRadians * CELLS_PER_TILE)))));
+  await sampleTerrain(terrainProvider, level, positions);
+
+  const freeboard = new Float32Array(positions.length);
+  positions.forEach((position, i) => {
+    freeboard[i] =
+      position.height === undefined
+        ? NaN
+        : position.height - geoidUndulation(CesiumMath.toDegrees(position.longitude), CesiumMath.toDegrees(position.latitude));
+  });
+
+  return {
+    rectangle: Rectangle.clone(rectangle),
+    width: size,
+    height: size,
+    freeboard,
+    spill: computeSpillLevels(freeboard, size, size),
+    level,
+  };
+}
+
+/**
+ * Binary min-heap of cell indices keyed by level.
+ */
+function createMinHeap(capacity) {
+  const cells = new Int32Array(capacity * 4);
+  const keys = new Float64Array(capacity * 4);
+  let size = 0;
+
+  const swap = (a, b) => {
+    [cells[a], cells[b]] = [cells[b], cells[a]];
+    [keys[a], keys[b]] = [keys[b], keys[a]];
+  };
+
+  return {
+    get size() {
+      return size;
+    },
+    get minKey() {
+      return keys[0];
+    },
+    push(cell, key) {
+      let i = size++;
+      cells[i] = cell;
+      keys[i] = key;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (keys[parent] <= keys[i]) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = cells[0];
+      size--;
+      cells[0] = cells[size];
+      keys[0] = keys[size];
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < size && keys[left] < keys[smallest]) smallest = left;
+        if (right < size && keys[right] < keys[smallest]) smallest = right;
+        if (smallest === i) break;
+        swap(i, smallest);
+        i = smallest;
+      }
+      return top;
+    },
+  };
+}
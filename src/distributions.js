@@ -0,0 +1,319 @@
+/**
+ * Contributor uncertainty distributions for the Monte Carlo engine.
+ *
+ * Every distribution is driven by one standard normal draw `z` (which may
+ * be correlated with other contributors) plus, for mixtures, an auxiliary
+ * branch draw made once per iteration from its own sampler dimension.
+ * Keeping sampler normals as the only drivers lets correlation and
+ * variance-reduction samplers work with any distribution.
+ *
+ * Supported types (set via a contributor's `distribution` field):
+ *   - normal:          Normal(mean, std), clamped at zero (legacy behaviour)
+ *   - truncatedNormal: Normal(mean, std) restricted to [lower, upper] via inverse CDF
+ *   - skewNormal:      skew-normal with the given `shape`, matched to mean/std
+ *                      and truncated at zero via inverse CDF
+ *   - lognormal:       lognormal matched to mean/std (strictly positive)
+ *   - mixture:         base distribution plus a low-probability `branch`
+ *                      (e.g. ice-sheet collapse) with its own parameters
+ */
+
+export const DISTRIBUTION_TYPES = ["normal", "truncatedNormal", "skewNormal", "lognormal", "mixture"];
+
+const DEFAULT_DISTRIBUTION = { type: "normal" };
+
+/**
+ * Validate a distribution definition.
+ * @param {object} distribution - Distribution definition
+ * @param {string} where - Prefix for error messages
+ * @returns {string[]} list of problems (empty when valid)
+ */
+export function validateDistribution(distribution, where) {
+  if (distribution == null) return [];
+  if (typeof distribution !== "object" || !DISTRIBUTION_TYPES.includes(distribution.type)) {
+    return [`${where}: distribution type must be one of ${DISTRIBUTION_TYPES.join(", ")}`];
+  }
+
+  const errors = [];
+  const d = distribution;
+  switch (d.type) {
+    case "truncatedNormal": {
+      const lower = d.lower ?? 0;
+      const upper = d.upper ?? Infinity;
+      if (!Number.isFinite(lower) || Number.isNaN(upper) || upper <= lower) {
+        errors.push(`${where}: truncatedNormal needs lower < upper`);
+      }
+      break;
+    }
+    case "skewNormal":
+      if (!Number.isFinite(d.shape)) {
+        errors.push(`${where}: skewNormal needs a numeric shape`);
+      }
+      break;
+    case "mixture": {
+      const branch = d.branch;
+      if (!Number.isFinite(d.branchProbability) || d.branchProbability <= 0 || d.branchProbability >= 1) {
+        errors.push(`${where}: mixture branchProbability must be between 0 and 1`);
+      }
+      if (!branch || typeof branch !== "object") {
+        errors.push(`${where}: mixture needs a branch { meanPerDeg, stdPerDeg, exponent }`);
+        break;
+      }
+      if (!Number.isFinite(branch.meanPerDeg)) {
+        errors.push(`${where}: mixture branch meanPerDeg must be a number`);
+      }
+      if (!Number.isFinite(branch.stdPerDeg) || branch.stdPerDeg < 0) {
+        errors.push(`${where}: mixture branch stdPerDeg must be a non-negative number`);
+      }
+      if (branch.exponent != null && (!Number.isFinite(branch.exponent) || branch.exponent <= 0)) {
+        errors.push(`${where}: mixture branch exponent must be a positive number`);
+      }
+      for (const part of [d.base, branch.distribution]) {
+        if (part?.type === "mixture") {
+          errors.push(`${where}: mixture components cannot themselves be mixtures`);
+        } else {
+          errors.push(...validateDistribution(part, where));
+        }
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  return errors;
+}
+
+/**
+ * Copy a distribution definition into canonical form (defaults filled in).
+ */
+export function normalizeDistribution(distribution) {
+  const d = distribution || DEFAULT_DISTRIBUTION;
+  switch (d.type) {
+    case "truncatedNormal":
+      return { type: d.type, lower: d.lower ?? 0, upper: d.upper ?? Infinity };
+    case "skewNormal":
+      return { type: d.type, shape: d.shape };
+    case "mixture":
+      return {
+        type: d.type,
+        base: normalizeDistribution(d.base),
+        branchProbability: d.branchProbability,
+        branch: {
+          meanPerDeg: d.branch.meanPerDeg,
+          stdPerDeg: d.branch.stdPerDeg,
+          exponent: d.branch.exponent ?? null,
+          distribution: normalizeDistribution(d.branch.distribution),
+        },
+      };
+    default:
+      return { type: d.type };
+  }
+}
+
+/**
+ * Whether a distribution needs an auxiliary draw each iteration (the
+ * mixture branch choice). Each such draw takes one sampler dimension.
+ */
+export function needsAuxiliary(distribution) {
+  return distribution.type === "mixture";
+}
+
+/**
+ * Make the per-iteration auxiliary draws a distribution needs.
+ * Trajectory runs call this once per iteration so the same draw is reused
+ * every year.
+ * @param {object} distribution - Normalized distribution
+ * @param {number|null} z - Standard normal from the distribution's own
+ *   sampler dimension, so branch choices are mirrored, stratified or
+ *   low-discrepancy like the main draws (null when none is needed)
+ * @returns {object|null}
+ */
+export function drawAuxiliary(distribution, z) {
+  if (!needsAuxiliary(distribution)) return null;
+  return { inBranch: normalCdf(z) < distribution.branchProbability };
+}
+
+/**
+ * Sample a contributor value.
+ * @param {object} distribution - Normalized distribution
+ * @param {number} mean - Contributor mean at this temperature (m)
+ * @param {number} std - Contributor standard deviation at this temperature (m)
+ * @param {number} z - Standard normal driver (possibly correlated)
+ * @param {object|null} aux - Result of drawAuxiliary
+ * @param {object} branchMoments - { mean, std } of the mixture branch, if any
+ * @returns {number} sampled contribution in meters
+ */
+export function sampleDistribution(distribution, mean, std, z, aux, branchMoments = null) {
+  switch (distribution.type) {
+    case "truncatedNormal": {
+      if (std <= 0) return Math.min(Math.max(mean, distribution.lower), distribution.upper);
+      const lowerCdf = normalCdf((distribution.lower - mean) / std);
+      const upperCdf = normalCdf((distribution.upper - mean) / std);
+      const u = lowerCdf + normalCdf(z) * (upperCdf - lowerCdf);
+      const value = mean + std * normalQuantile(Math.min(Math.max(u, 1e-12), 1 - 1e-12));
+      // With the mean several std outside the bounds both CDFs saturate, so clamp.
+      return Math.min(Math.max(value, distribution.lower), distribution.upper);
+    }
+    case "skewNormal": {
+      if (std <= 0) return Math.max(0, mean);
+      const delta = distribution.shape / Math.sqrt(1 + distribution.shape * distribution.shape);
+      // Scale/location chosen so the untruncated distribution has the requested mean and std.
+      const omega = std / Math.sqrt(1 - (2 * delta * delta) / Math.PI);
+      const xi = mean - omega * delta * Math.sqrt(2 / Math.PI);
+      // Restricted to positive values like truncatedNormal, so no mass piles up at zero.
+      const table = getSkewNormalTable(distribution.shape);
+      const lowerCdf = skewNormalCdf(table, -xi / omega);
+      const u = lowerCdf + normalCdf(z) * (1 - lowerCdf);
+      return Math.max(0, xi + omega * skewNormalQuantile(table, u));
+    }
+    case "lognormal": {
+      if (mean <= 0) return 0;
+      const sigmaSq = Math.log(1 + (std * std) / (mean * mean));
+      const mu = Math.log(mean) - sigmaSq / 2;
+      return Math.exp(mu + Math.sqrt(sigmaSq) * z);
+    }
+    case "mixture":
+      if (aux.inBranch) {
+        return sampleDistribution(
+          distribution.branch.distribution,
+          branchMoments.mean,
+          branchMoments.std,
+          z,
+          null
+        );
+      }
+      return sampleDistribution(distribution.base, mean, std, z, null);
+    default:
+      return Math.max(0, mean + z * std);
+  }
+}
+
+// Standard normal 95th percentile.
+const Z_95 = 1.6448536;
+
+/**
+ * Split-normal value from a median and 5–95% range: the lower and upper
+ * halves are normals with their own spread, so asymmetric ranges (e.g. the
+ * long upper tail of projected warming) are preserved.
+ * @param {number} median - Median (50th percentile)
+ * @param {number} p5 - 5th percentile (<= median)
+ * @param {number} p95 - 95th percentile (>= median)
+ * @param {number} z - Standard normal driver
+ */
+export function sampleSplitNormal(median, p5, p95, z) {
+  const spread = z < 0 ? median - p5 : p95 - median;
+  return median + (z * spread) / Z_95;
+}
+
+// Grid on which standard skew-normal CDFs are tabulated.
+const SKEW_NORMAL_GRID = { min: -8, max: 8, step: 0.005 };
+const skewNormalTables = new Map();
+
+/**
+ * CDF of the standard skew-normal with the given shape on SKEW_NORMAL_GRID,
+ * integrated from the density 2 φ(x) Φ(shape x) and cached per shape.
+ * @returns {Float64Array}
+ */
+function getSkewNormalTable(shape) {
+  let cdf = skewNormalTables.get(shape);
+  if (cdf) return cdf;
+
+  const { min, max, step } = SKEW_NORMAL_GRID;
+  const count = Math.round((max - min) / step) + 1;
+  const density = (x) => (2 * Math.exp(-0.5 * x * x) * normalCdf(shape * x)) / Math.sqrt(2 * Math.PI);
+  cdf = new Float64Array(count);
+  let previous = density(min);
+  for (let i = 1; i < count; i++) {
+    const current = density(min + i * step);
+    cdf[i] = cdf[i - 1] + ((previous + current) * step) / 2;
+    previous = current;
+  }
+  const mass = cdf[count - 1];
+  for (let i = 0; i < count; i++) cdf[i] /= mass;
+  skewNormalTables.set(shape, cdf);
+  return cdf;
+}
+
+/**
+ * Standard skew-normal CDF at x, interpolated from a table.
+ */
+function skewNormalCdf(cdf, x) {
+  const position = (x - SKEW_NORMAL_GRID.min) / SKEW_NORMAL_GRID.step;
+  if (position <= 0) return 0;
+  if (position >= cdf.length - 1) return 1;
+  const i = Math.floor(position);
+  return cdf[i] + (cdf[i + 1] - cdf[i]) * (position - i);
+}
+
+/**
+ * Standard skew-normal quantile of p, interpolated from a table.
+ */
+function skewNormalQuantile(cdf, p) {
+  let lo = 0;
+  let hi = cdf.length - 1;
+  if (p <= cdf[lo]) return SKEW_NORMAL_GRID.min;
+  if (p >= cdf[hi]) return SKEW_NORMAL_GRID.max;
+  // Smallest index with cdf[hi] >= p.
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (cdf[mid] >= p) hi = mid;
+    else lo = mid;
+  }
+  const span = cdf[hi] - cdf[lo];
+  const fraction = span > 0 ? (p - cdf[lo]) / span : 0;
+  return SKEW_NORMAL_GRID.min + (lo + fraction) * SKEW_NORMAL_GRID.step;
+}
+
+/**
+ * Standard normal cumulative distribution function.
+ */
+export function normalCdf(x) {
+  return 0.5 * (1 + erf(x / Math.SQRT2));
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation,
+ * relative error below 1.2e-9).
+ * @param {number} p - Probability in (0, 1)
+ */
+export function normalQuantile(p) {
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Error function (Abramowitz & Stegun 7.1.26, absolute error below 1.5e-7).
+ */
+function erf(x) {
+  const a1 = 0.254829592;
+  const a2 = -0.284496736;
+  const a3 = 1.421413741;
+  const a4 = -1.453152027;
+  const a5 = 1.061405429;
+  const p = 0.3275911;
+  const sign = x < 0 ? -1 : 1;
+  x = Math.abs(x);
+  const t = 1.0 / (1.0 + p * x);
+  const y = 1.0 - ((((a5 * t + a4) * t + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
+  return sign * y;
+}
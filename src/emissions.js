@@ -0,0 +1,161 @@
+/**
+ * Emissions-driven warming: a small climate emulator in front of the
+ * sea level model.
+ *
+ * Warming is taken to scale linearly with cumulative CO₂ emissions (the
+ * transient climate response to cumulative emissions, TCRE). Starting from
+ * the observed 2020 level, each 1000 GtCO₂ emitted after 2020 adds TCRE °C.
+ * Non-CO₂ forcing is held at its present-day contribution and the zero
+ * emissions commitment is taken as zero, as in the AR6 remaining carbon
+ * budget framework. Net removals lower warming along the same line.
+ *
+ * An emissions pathway becomes an ordinary scenario (annual warming anchors
+ * plus a 5–95% range), so it runs through the same trajectory, warming
+ * uncertainty and import/export code as the built-in SSPs.
+ */
+
+import { PROJECTION_BASELINE_YEAR, PROJECTION_END_YEAR, interpolateByYear } from "./projections.js";
+
+/*
+ * TCRE in °C per 1000 GtCO₂. AR6 WG1 SPM D.1.1 gives a best estimate of 0.45
+ * with a likely (17–83%) range of 0.27–0.63; p5/p95 widen that range as a
+ * normal distribution would.
+ */
+export const TCRE = { median: 0.45, p5: 0.14, p95: 0.76 };
+
+// Observed 2020 warming (°C above 1850–1900), shared with the SSP presets.
+const BASELINE_WARMING = { median: 1.1, p5: 1.0, p95: 1.2 };
+
+export const EMISSIONS_MODES = {
+  annual: { id: "annual", label: "Annual CO₂", unit: "GtCO₂/yr", min: -100, max: 200 },
+  cumulative: { id: "cumulative", label: "Cumulative CO₂", unit: "GtCO₂ since 2020", min: -5000, max: 20000 },
+};
+
+// Starting point for new pathways: today's emissions falling to net zero by 2050.
+export const DEFAULT_EMISSIONS_BY_YEAR = {
+  annual: { 2020: 40, 2050: 0, 2100: 0 },
+  cumulative: { 2050: 600, 2100: 600 },
+};
+
+/**
+ * Validate an emissions pathway.
+ * @param {object} definition - { mode: "annual"|"cumulative", emissionsByYear: { year: GtCO₂ } }
+ * @returns {string[]} list of human-readable problems (empty when valid)
+ */
+export function validateEmissions(definition) {
+  if (!definition || typeof definition !== "object") {
+    return ["Emissions pathway must be an object"];
+  }
+
+  const mode = EMISSIONS_MODES[definition.mode];
+  if (!mode) {
+    return [`Emissions mode must be one of ${Object.keys(EMISSIONS_MODES).join(", ")}`];
+  }
+
+  const anchors = definition.emissionsByYear;
+  if (!anchors || typeof anchors !== "object" || Object.keys(anchors).length === 0) {
+    return ["Emissions pathway needs at least one year/emissions anchor"];
+  }
+
+  const errors = [];
+  for (const [year, value] of Object.entries(anchors)) {
+    const y = Number(year);
+    if (!Number.isInteger(y) || y < PROJECTION_BASELINE_YEAR || y > PROJECTION_END_YEAR) {
+      errors.push(`Anchor year ${year} must be a whole year from ${PROJECTION_BASELINE_YEAR} to ${PROJECTION_END_YEAR}`);
+    }
+    if (!Number.isFinite(value) || value < mode.min || value > mode.max) {
+      errors.push(`Emissions for ${year} must be between ${mode.min} and ${mode.max} ${mode.unit}`);
+    }
+  }
+  if (definition.mode === "cumulative" && anchors[PROJECTION_BASELINE_YEAR] != null && anchors[PROJECTION_BASELINE_YEAR] !== 0) {
+    errors.push(`Cumulative emissions count from ${PROJECTION_BASELINE_YEAR}, so its anchor must be 0`);
+  }
+  return errors;
+}
+
+/**
+ * Cumulative emissions since the baseline year for every year up to endYear.
+ * Annual pathways are interpolated between anchors, held at the last anchor
+ * afterwards and summed year by year; cumulative pathways are interpolated
+ * directly from an implicit zero at the baseline.
+ */
+function cumulativeByYear(definition, endYear) {
+  const cumulative = [0];
+  if (definition.mode === "cumulative") {
+    const anchors = { [PROJECTION_BASELINE_YEAR]: 0, ...definition.emissionsByYear };
+    for (let year = PROJECTION_BASELINE_YEAR + 1; year <= endYear; year++) {
+      cumulative.push(interpolateByYear(anchors, year));
+    }
+    return cumulative;
+  }
+
+  let total = 0;
+  for (let year = PROJECTION_BASELINE_YEAR + 1; year <= endYear; year++) {
+    total += interpolateByYear(definition.emissionsByYear, year);
+    cumulative.push(total);
+  }
+  return cumulative;
+}
+
+/**
+ * Convert an emissions pathway into a warming pathway.
+ * @param {object} definition - Emissions pathway (see validateEmissions)
+ * @param {number} endYear - Last year to resolve (default PROJECTION_END_YEAR)
+ * @returns {{ years: number[], cumulative: number[], temperatures: number[], p5: number[], p95: number[] }}
+ *   cumulative in GtCO₂ since the baseline, warming in °C above 1850–1900
+ */
+export function emissionsToWarming(definition, endYear = PROJECTION_END_YEAR) {
+  const errors = validateEmissions(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid emissions pathway: ${errors.join("; ")}`);
+  }
+
+  const cumulative = cumulativeByYear(definition, endYear);
+  const years = cumulative.map((_, i) => PROJECTION_BASELINE_YEAR + i);
+  // Bounds combine the baseline and TCRE ranges at the same tail, which
+  // slightly overstates the spread; removals swap which TCRE bound is lower.
+  const warmingAt = (baseline, tcre, teratonnes) => Math.max(0, baseline + tcre * teratonnes);
+  const temperatures = [];
+  const p5 = [];
+  const p95 = [];
+  for (const total of cumulative) {
+    const teratonnes = total / 1000;
+    const [lowTcre, highTcre] = teratonnes >= 0 ? [TCRE.p5, TCRE.p95] : [TCRE.p95, TCRE.p5];
+    temperatures.push(warmingAt(BASELINE_WARMING.median, TCRE.median, teratonnes));
+    p5.push(warmingAt(BASELINE_WARMING.p5, lowTcre, teratonnes));
+    p95.push(warmingAt(BASELINE_WARMING.p95, highTcre, teratonnes));
+  }
+  return { years, cumulative, temperatures, p5, p95 };
+}
+
+/**
+ * Build a scenario definition from an emissions pathway, with annual
+ * warming anchors and ranges ready for registerScenario. The pathway is
+ * kept on the scenario as `emissions` so it can be edited and re-derived.
+ * @param {object} definition - { id, label, description?, mode, emissionsByYear }
+ * @returns {object} scenario definition
+ */
+export function buildEmissionsScenario(definition) {
+  const emissions = { mode: definition.mode, emissionsByYear: { ...definition.emissionsByYear } };
+  const pathway = emissionsToWarming(emissions);
+
+  const temperaturesByYear = {};
+  const warmingRangeByYear = {};
+  pathway.years.forEach((year, i) => {
+    temperaturesByYear[year] = round(pathway.temperatures[i]);
+    warmingRangeByYear[year] = [round(pathway.p5[i]), round(pathway.p95[i])];
+  });
+
+  return {
+    id: definition.id,
+    label: definition.label,
+    description: definition.description || `Emissions-driven (${EMISSIONS_MODES[emissions.mode].label}, TCRE emulator)`,
+    temperaturesByYear,
+    warmingRangeByYear,
+    emissions,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,103 @@
+/**
+ * Model ensembles: one temperature run through several contributor models.
+ *
+ * Every member runs with the same seed, sampler and options, so members share
+ * their random draws (common random numbers) and differ only through their
+ * parameters. Each member is a complete runSimulation result, so the display
+ * can switch between models without resampling.
+ */
+import { createSimulationRun } from "./simulation.js";
+import { getModelById } from "./models.js";
+
+/**
+ * Run a full ensemble.
+ * @param {number} tempIncrease - Temperature increase in °C
+ * @param {number} iterations - Monte Carlo iterations per member
+ * @param {object} options - See createEnsembleRun
+ * @returns {object} - Ensemble results (see createEnsembleRun)
+ */
+export function runEnsemble(tempIncrease, iterations = 1000, options = {}) {
+  const run = createEnsembleRun(tempIncrease, iterations, options);
+  run.step(run.total);
+  return run.finish();
+}
+
+/**
+ * Create an incremental ensemble run; `total` and `completed` count
+ * iterations over all members, which run one after another.
+ *
+ * finish() returns { mode: "ensemble", tempIncrease, modelIds, members,
+ * comparison }, where members are runSimulation results in modelIds order
+ * and comparison rows are { modelId, label, mean, median, p5, p95 } (m).
+ *
+ * @param {number} tempIncrease - Temperature increase in °C
+ * @param {number} iterations - Monte Carlo iterations per member
+ * @param {object} options - runSimulation options shared by every member, plus
+ * @param {string[]} options.modelIds - Registered model ids to compare
+ * @param {object[]} options.models - Model objects, override modelIds (e.g. in a worker)
+ * @returns {object} - { total, completed, done, step(batchSize), finish() }
+ */
+export function createEnsembleRun(tempIncrease, iterations = 1000, options = {}) {
+  const models =
+    options.models ||
+    (options.modelIds || []).map((id) => {
+      const model = getModelById(id);
+      if (!model) {
+        throw new Error(`Unknown model id: ${id}`);
+      }
+      return model;
+    });
+  if (models.length === 0) {
+    throw new Error("An ensemble needs at least one model");
+  }
+
+  const { models: _models, modelIds: _modelIds, ...shared } = options;
+  const runs = models.map((model) => createSimulationRun(tempIncrease, iterations, { ...shared, modelId: model.id, model }));
+  const total = runs.reduce((sum, run) => sum + run.total, 0);
+  let member = 0;
+  let finishedIterations = 0;
+
+  return {
+    total,
+    get completed() {
+      // Members that stop early (adaptive runs) count as complete.
+      return member < runs.length ? finishedIterations + runs[member].completed : total;
+    },
+    get done() {
+      return member >= runs.length;
+    },
+
+    step(batchSize) {
+      let remaining = batchSize;
+      while (remaining > 0 && member < runs.length) {
+        const run = runs[member];
+        const before = run.completed;
+        run.step(remaining);
+        remaining -= run.completed - before;
+        if (run.done) {
+          finishedIterations += run.total;
+          member++;
+        }
+      }
+      return this.completed;
+    },
+
+    finish() {
+      const members = runs.map((run) => run.finish());
+      return {
+        mode: "ensemble",
+        tempIncrease,
+        modelIds: models.map((model) => model.id),
+        members,
+        comparison: members.map((result, i) => ({
+          modelId: models[i].id,
+          label: models[i].label,
+          mean: result.stats.mean,
+          median: result.stats.median,
+          p5: result.stats.p5,
+          p95: result.stats.p95,
+        })),
+      };
+    },
+  };
+}
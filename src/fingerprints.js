@@ -0,0 +1,165 @@
+/**
+ * Regional sea level fingerprints.
+ *
+ * Melting land ice does not raise the sea evenly: the ice sheet's pull on
+ * nearby water weakens and the crust rebounds, so sea level falls near the
+ * source and rises more than average far from it. A fingerprint is the
+ * ratio of local to global mean rise for a unit of loss from one source
+ * (1 = global mean). Local rise is the global rise times the fingerprints
+ * weighted by each source's share of the total.
+ *
+ * Grids are bundled like WW15MGH.DAC: FINGERPRINT_ROWS × FINGERPRINT_COLS
+ * signed 16-bit big-endian integers, ratio × FINGERPRINT_SCALE, rows from
+ * 90°N to 90°S and columns from 0°E to 359°E. The shipped grids are
+ * idealized (see scripts/generate-fingerprints.js), not model output.
+ */
+
+export const FINGERPRINT_ROWS = 181;
+export const FINGERPRINT_COLS = 360;
+export const FINGERPRINT_SCALE = 10000;
+
+// Ratio range encoded in the texture.
+export const FINGERPRINT_MIN = -2.0;
+export const FINGERPRINT_MAX = 3.0;
+export const FINGERPRINT_RANGE = FINGERPRINT_MAX - FINGERPRINT_MIN;
+
+/**
+ * Sources with a fingerprint grid, in texture order (top tile first).
+ * Contributors map to a source by key; COLLAPSE_EVENTS entries by the
+ * contributor they top up. Anything else rises uniformly.
+ */
+export const FINGERPRINT_SOURCES = {
+  greenland: { id: "greenland", url: "/data/fingerprints/greenland.dac", contributors: ["greenland", "greenlandLoss"] },
+  antarctic: { id: "antarctic", url: "/data/fingerprints/antarctic.dac", contributors: ["antarctic", "waisCollapse"] },
+  glaciers: { id: "glaciers", url: "/data/fingerprints/glaciers.dac", contributors: ["glaciers"] },
+};
+
+let loadedGrids = null;
+
+/**
+ * Fetch every fingerprint grid and encode them into one canvas for GPU
+ * sampling: one (FINGERPRINT_COLS + 1) × FINGERPRINT_ROWS tile per source,
+ * stacked top to bottom in FINGERPRINT_SOURCES order, 16-bit across R and G
+ * like the geoid texture. Columns start at -180° with the first column
+ * repeated at the end for wrapping. The grids are also kept for
+ * getRegionalScale.
+ *
+ * @returns {Promise<HTMLCanvasElement|null>} Canvas, or null on failure
+ */
+export async function loadFingerprintTexture() {
+  try {
+    const sources = Object.values(FINGERPRINT_SOURCES);
+    const grids = {};
+    for (const source of sources) {
+      grids[source.id] = await fetchGrid(source.url);
+    }
+
+    const width = FINGERPRINT_COLS + 1;
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = FINGERPRINT_ROWS * sources.length;
+    const ctx = canvas.getContext("2d");
+    const imageData = ctx.createImageData(canvas.width, canvas.height);
+    const pixels = imageData.data;
+
+    sources.forEach((source, tile) => {
+      const grid = grids[source.id];
+      for (let row = 0; row < FINGERPRINT_ROWS; row++) {
+        for (let col = 0; col < width; col++) {
+          const value = grid[row * FINGERPRINT_COLS + (col % FINGERPRINT_COLS)];
+          const normalized = Math.max(0, Math.min(1, (value - FINGERPRINT_MIN) / FINGERPRINT_RANGE));
+          const encoded = Math.round(normalized * 65535);
+          const pixelIdx = ((tile * FINGERPRINT_ROWS + row) * width + col) * 4;
+          pixels[pixelIdx] = (encoded >> 8) & 0xff;
+          pixels[pixelIdx + 1] = encoded & 0xff;
+          pixels[pixelIdx + 3] = 255;
+        }
+      }
+    });
+
+    ctx.putImageData(imageData, 0, 0);
+    loadedGrids = grids;
+    console.log("Sea level fingerprints loaded successfully");
+    return canvas;
+  } catch (err) {
+    console.error("Failed to load sea level fingerprints:", err);
+    return null;
+  }
+}
+
+/**
+ * Fetch one grid, returning ratios with columns rearranged to start at -180°.
+ */
+async function fetchGrid(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  }
+  const buffer = await response.arrayBuffer();
+  if (buffer.byteLength !== FINGERPRINT_ROWS * FINGERPRINT_COLS * 2) {
+    throw new Error(`${url} wrong size: expected ${FINGERPRINT_ROWS * FINGERPRINT_COLS * 2}, got ${buffer.byteLength}`);
+  }
+
+  const view = new DataView(buffer);
+  const half = FINGERPRINT_COLS / 2;
+  const grid = new Float32Array(FINGERPRINT_ROWS * FINGERPRINT_COLS);
+  for (let row = 0; row < FINGERPRINT_ROWS; row++) {
+    for (let col = 0; col < FINGERPRINT_COLS; col++) {
+      const srcCol = (col + half) % FINGERPRINT_COLS;
+      grid[row * FINGERPRINT_COLS + col] = view.getInt16((row * FINGERPRINT_COLS + srcCol) * 2, false) / FINGERPRINT_SCALE;
+    }
+  }
+  return grid;
+}
+
+/**
+ * Share of the total rise from each fingerprint source, from contributor means.
+ * @param {object} contributorStats - result.contributorStats
+ * @returns {{ greenland: number, antarctic: number, glaciers: number, uniform: number }}
+ *   shares summing to 1 (uniform covers contributors without a fingerprint)
+ */
+export function getFingerprintWeights(contributorStats) {
+  const weights = { uniform: 0 };
+  for (const source of Object.values(FINGERPRINT_SOURCES)) weights[source.id] = 0;
+
+  let total = 0;
+  for (const [key, stats] of Object.entries(contributorStats || {})) {
+    const amount = Math.max(0, stats.mean);
+    const source = Object.values(FINGERPRINT_SOURCES).find((s) => s.contributors.includes(key));
+    weights[source ? source.id : "uniform"] += amount;
+    total += amount;
+  }
+  if (total <= 0) {
+    return { ...weights, uniform: 1 };
+  }
+  for (const key of Object.keys(weights)) weights[key] /= total;
+  return weights;
+}
+
+/**
+ * Ratio of local to global rise at a point for the given source shares.
+ * Returns 1 when the grids are not loaded.
+ * @param {object} weights - From getFingerprintWeights
+ * @param {number} longitude - Degrees east
+ * @param {number} latitude - Degrees north
+ * @returns {number}
+ */
+export function getRegionalScale(weights, longitude, latitude) {
+  if (!loadedGrids) return 1;
+  const x = (((longitude + 180) % 360) + 360) % 360;
+  const y = Math.min(FINGERPRINT_ROWS - 1, Math.max(0, 90 - latitude));
+  const col = Math.floor(x);
+  const row = Math.min(FINGERPRINT_ROWS - 2, Math.floor(y));
+  const fx = x - col;
+  const fy = y - row;
+  const nextCol = (col + 1) % FINGERPRINT_COLS;
+
+  let scale = weights.uniform;
+  for (const [id, grid] of Object.entries(loadedGrids)) {
+    const at = (r, c) => grid[r * FINGERPRINT_COLS + c];
+    const top = at(row, col) * (1 - fx) + at(row, nextCol) * fx;
+    const bottom = at(row + 1, col) * (1 - fx) + at(row + 1, nextCol) * fx;
+    scale += (weights[id] ?? 0) * (top * (1 - fy) + bottom * fy);
+  }
+  return scale;
+}
@@ -7,20 +7,79 @@
  *
  * Fallback: if no geoid texture is provided, uses the original single-uniform
  * shader (correct only at one location at a time).
+ *
+ * Banded mode: with low/high levels (e.g. p5 and p95) around the central level,
+ * the shader shades three nested zones — flooded even at the low level, at the
+ * central level, and only at the high level — in FLOOD_BAND_COLORS.
+ *
+ * Probability mode: the result's exceedance curve P(SLR > x) is uploaded as a
+ * 1-D lookup texture, and each fragment is coloured by the probability that
+ * sea level rise exceeds its freeboard (height above today's sea level).
+ *
+ * Connected flooding: a regional spill-level grid from src/connectivity.js
+ * (the sea level rise at which the sea reaches each cell) is uploaded as a
+ * mask texture. Inside its extent, ground floods only once the sea can reach
+ * it; low ground the sea cannot reach is drawn as isolated low ground in
+ * FLOOD_ISOLATED_COLOR. Geoid mode only.
+ *
+ * Regional fingerprints: with contributor weights set, the flood surface is
+ * geoid + SLR × local scale, where the scale mixes the fingerprint grids of
+ * src/fingerprints.js by each source's share of the rise. Geoid mode only.
+ *
+ * Vertical land motion: with a number of years set, the ground at each
+ * fragment moves by its rate from src/landMotion.js times those years before
+ * the flood tests, so subsiding coasts flood sooner. Geoid mode only.
  */
-import { Material } from "cesium";
-import { GEOID_MIN, GEOID_RANGE } from "./geoid.js";
+import { Cartesian3, Cartesian4, Color, Material, Math as CesiumMath, Texture } from "cesium";
+import { GEOID_MIN, GEOID_RANGE, createGeoidSampler } from "./geoid.js";
+import { analyseConnectivity } from "./connectivity.js";
+import { FINGERPRINT_COLS, FINGERPRINT_MIN, FINGERPRINT_RANGE, FINGERPRINT_ROWS, FINGERPRINT_SOURCES } from "./fingerprints.js";
+import { VLM_COLS, VLM_MIN, VLM_RANGE, VLM_ROWS } from "./landMotion.js";
 
 let floodMaterial = null;
+// Exceedance lookup: one canvas, redrawn and copied into one texture per result.
+let exceedanceCanvas = null;
+let exceedanceTexture = null;
 let previousSnapshot = null;
 let currentSnapshot = null;
 let animationFrame = null;
+let geoidSampler = null;
 
 // Animated water alpha
 let waterAlpha = 0;
 let targetAlpha = 0;
 let alphaAnimating = false;
 
+/**
+ * Zone colours for banded mode, shared with the legend in the UI.
+ */
+export const FLOOD_BAND_COLORS = {
+  low: "#e8541a", // flooded even at the low level
+  central: "#ffa600", // flooded at the central level
+  high: "#ffe066", // flooded only at the high level
+};
+
+/**
+ * Texels in the exceedance lookup texture, spanning 0 to the largest sample.
+ */
+const EXCEEDANCE_TEXTURE_SIZE = 512;
+
+/**
+ * Stops of the probability ramp (shared with the UI legend), low to high.
+ */
+export const FLOOD_PROBABILITY_RAMP = ["#ffe066", "#ff8c1a", "#d7263d", "#5b1a72"];
+
+/**
+ * Colour of low ground the sea cannot reach in connected flooding.
+ */
+export const FLOOD_ISOLATED_COLOR = "#7f9bb3";
+
+/**
+ * Spill levels are encoded over 0..CONNECTIVITY_SPILL_RANGE m; higher or
+ * unreachable cells are stored at the top and never flood.
+ */
+const CONNECTIVITY_SPILL_RANGE = 200.0;
+
 /**
  * GLSL shader with per-fragment geoid lookup.
  *
@@ -29,6 +88,43 @@ let alphaAnimating = false;
  * then decodes to local geoid undulation and compares against flood surface.
  */
 const FLOOD_SHADER_GEOID = `
+  // Continuous ramp through FLOOD_PROBABILITY_RAMP for probability mode.
+  vec3 probabilityColor(float p) {
+    float t = clamp(p, 0.0, 1.0) * 3.0;
+    if (t < 1.0) return mix(rampColor0, rampColor1, t);
+    if (t < 2.0) return mix(rampColor1, rampColor2, t - 1.0);
+    return mix(rampColor2, rampColor3, t - 2.0);
+  }
+
+  // Exceedance probability at level x (m), sampling texel centres.
+  float exceedanceLookup(float x) {
+    float size = ${EXCEEDANCE_TEXTURE_SIZE}.0;
+    float u = (x / exceedanceMax * (size - 1.0) + 0.5) / size;
+    vec4 probabilitySample = texture(exceedanceTexture, vec2(u, 0.5));
+    return probabilitySample.r * (255.0 * 256.0 / 65535.0) + probabilitySample.g * (255.0 / 65535.0);
+  }
+
+  // Ratio of local to global rise for one fingerprint tile at globe
+  // texture coordinates (u, v), sampling texel centres.
+  float fingerprintRatio(float u, float v, float tile) {
+    float tiles = ${Object.keys(FINGERPRINT_SOURCES).length}.0;
+    float tu = (u * ${FINGERPRINT_COLS}.0 + 0.5) / ${FINGERPRINT_COLS + 1}.0;
+    float tv = (v * ${FINGERPRINT_ROWS - 1}.0 + 0.5) / ${FINGERPRINT_ROWS}.0;
+    vec4 ratioSample = texture(fingerprintTexture, vec2(tu, (tiles - 1.0 - tile + tv) / tiles));
+    float encoded = ratioSample.r * (255.0 * 256.0 / 65535.0) + ratioSample.g * (255.0 / 65535.0);
+    return encoded * fingerprintRange + fingerprintMin;
+  }
+
+  // Vertical land motion rate (mm/yr, uplift positive) at globe texture
+  // coordinates (u, v), sampling texel centres.
+  float landMotionRate(float u, float v) {
+    float tu = (u * ${VLM_COLS}.0 + 0.5) / ${VLM_COLS + 1}.0;
+    float tv = (v * ${VLM_ROWS - 1}.0 + 0.5) / ${VLM_ROWS}.0;
+    vec4 rateSample = texture(vlmTexture, vec2(tu, tv));
+    float encoded = rateSample.r * (255.0 * 256.0 / 65535.0) + rateSample.g * (255.0 / 65535.0);
+    return encoded * vlmRange + vlmMin;
+  }
+
   czm_material czm_getMaterial(czm_materialInput materialInput) {
     czm_material material = czm_getDefaultMaterial(materialInput);
     material.alpha = 0.0;
@@ -50,6 +146,40 @@ const FLOOD_SHADER_GEOID = `
     float encoded = geoidSample.r * (255.0 * 256.0 / 65535.0) + geoidSample.g * (255.0 / 65535.0);
     float geoidUndulation = encoded * geoidRange + geoidMin;
 
+    // Connected flooding: inside the analysed region, ground floods only
+    // once the sea reaches its cell, so it behaves as if raised to its spill
+    // level. Outside the region the bathtub rule applies.
+    float bathtubH = h;
+    if (connectivityMode > 0.5) {
+      vec2 regionUv = (vec2(u, v) - connectivityBounds.xy) / (connectivityBounds.zw - connectivityBounds.xy);
+      if (regionUv.x >= 0.0 && regionUv.x <= 1.0 && regionUv.y >= 0.0 && regionUv.y <= 1.0) {
+        vec4 spillSample = texture(connectivityTexture, regionUv);
+        float spillEncoded = spillSample.r * (255.0 * 256.0 / 65535.0) + spillSample.g * (255.0 / 65535.0);
+        h = max(h, geoidUndulation + spillEncoded * connectivitySpillRange);
+      }
+    }
+
+    // Land motion: subsidence lowers the ground (and uplift raises it) by
+    // the projection year, relative to today's sea level.
+    if (vlmYears > 0.0) {
+      float displacement = landMotionRate(u, v) * 0.001 * vlmYears;
+      h += displacement;
+      bathtubH += displacement;
+    }
+
+    // Regional fingerprints: local rise is SLR × localScale, applied by
+    // shrinking freeboard instead, so every flood test below stays in global
+    // terms. Where the sea falls locally nothing floods.
+    if (fingerprintMode > 0.5) {
+      float localScale = fingerprintWeights.w
+        + fingerprintWeights.x * fingerprintRatio(u, v, 0.0)
+        + fingerprintWeights.y * fingerprintRatio(u, v, 1.0)
+        + fingerprintWeights.z * fingerprintRatio(u, v, 2.0);
+      float scale = max(localScale, 0.01);
+      h = geoidUndulation + (h - geoidUndulation) / scale;
+      bathtubH = geoidUndulation + (bathtubH - geoidUndulation) / scale;
+    }
+
     // Current flood: land terrain below (geoid + SLR) is underwater.
     // Use a small transition width to avoid harsh contour artifacts from
     // terrain LOD quantization near the flood boundary.
@@ -60,12 +190,50 @@ const FLOOD_SHADER_GEOID = `
       floodMask = 1.0 - smoothstep(floodSurface - edgeSoftness, floodSurface + edgeSoftness, h);
     }
 
-    if (floodMask > 0.001) {
+    if (probabilityMode > 0.5) {
+      // P(SLR > freeboard) from the exceedance lookup; sure flooding below
+      // today's sea level, none above the largest sample.
+      float freeboard = h - geoidUndulation;
+      float probability = 1.0;
+      if (freeboard >= exceedanceMax) {
+        probability = 0.0;
+      } else if (freeboard > 0.0) {
+        probability = exceedanceLookup(freeboard);
+      }
+      if (probability > 0.01) {
+        material.diffuse = probabilityColor(probability);
+        material.alpha = waterAlpha * mix(0.45, 1.0, probability);
+      }
+    } else if (banded > 0.5) {
+      // Nested zones: the high level bounds the flooded area, lower levels
+      // darken the colour where flooding is more certain.
+      float highSurface = geoidUndulation + bandHigh;
+      float highMask = 1.0 - smoothstep(highSurface - edgeSoftness, highSurface + edgeSoftness, h);
+      float lowMask = 0.0;
+      if (bandLow > 0.0) {
+        float lowSurface = geoidUndulation + bandLow;
+        lowMask = 1.0 - smoothstep(lowSurface - edgeSoftness, lowSurface + edgeSoftness, h);
+      }
+      if (highMask > 0.001) {
+        vec3 zoneColor = mix(mix(bandHighColor, bandCentralColor, floodMask), bandLowColor, lowMask);
+        material.diffuse = zoneColor;
+        material.alpha = waterAlpha * highMask;
+      }
+    } else if (floodMask > 0.001) {
       // Amber/orange color — visible against the blue ocean
       material.diffuse = vec3(1.0, 0.65, 0.0);
       material.alpha = waterAlpha * floodMask;
     }
 
+    // Isolated low ground: below the highest level shown, but the sea cannot reach it.
+    if (h > bathtubH && material.alpha < 0.01) {
+      float topLevel = probabilityMode > 0.5 ? exceedanceMax : (banded > 0.5 ? bandHigh : seaLevelRise);
+      if (topLevel > 0.0 && bathtubH < geoidUndulation + topLevel) {
+        material.diffuse = isolatedColor;
+        material.alpha = waterAlpha * 0.6;
+      }
+    }
+
     // Comparison overlay: highlight delta between current and previous SLR
     if (comparisonSLR > 0.0) {
       float compSurface = geoidUndulation + comparisonSLR;
@@ -85,6 +253,22 @@ const FLOOD_SHADER_GEOID = `
  * Fallback GLSL shader without geoid texture (original behavior).
  */
 const FLOOD_SHADER_FALLBACK = `
+  // Continuous ramp through FLOOD_PROBABILITY_RAMP for probability mode.
+  vec3 probabilityColor(float p) {
+    float t = clamp(p, 0.0, 1.0) * 3.0;
+    if (t < 1.0) return mix(rampColor0, rampColor1, t);
+    if (t < 2.0) return mix(rampColor1, rampColor2, t - 1.0);
+    return mix(rampColor2, rampColor3, t - 2.0);
+  }
+
+  // Exceedance probability at level x (m), sampling texel centres.
+  float exceedanceLookup(float x) {
+    float size = ${EXCEEDANCE_TEXTURE_SIZE}.0;
+    float u = (x / exceedanceMax * (size - 1.0) + 0.5) / size;
+    vec4 probabilitySample = texture(exceedanceTexture, vec2(u, 0.5));
+    return probabilitySample.r * (255.0 * 256.0 / 65535.0) + probabilitySample.g * (255.0 / 65535.0);
+  }
+
   czm_material czm_getMaterial(czm_materialInput materialInput) {
     czm_material material = czm_getDefaultMaterial(materialInput);
     material.alpha = 0.0;
@@ -102,7 +286,28 @@ const FLOOD_SHADER_FALLBACK = `
       floodMask = 1.0 - smoothstep(floodLevel - edgeSoftness, floodLevel + edgeSoftness, h);
     }
 
-    if (floodMask > 0.001) {
+    if (probabilityMode > 0.5) {
+      float probability = 1.0;
+      if (h >= exceedanceMax) {
+        probability = 0.0;
+      } else if (h > 0.0) {
+        probability = exceedanceLookup(h);
+      }
+      if (probability > 0.01) {
+        material.diffuse = probabilityColor(probability);
+        material.alpha = waterAlpha * mix(0.45, 1.0, probability);
+      }
+    } else if (banded > 0.5) {
+      float highMask = 1.0 - smoothstep(bandHigh - edgeSoftness, bandHigh + edgeSoftness, h);
+      float lowMask = 0.0;
+      if (bandLow > 0.0) {
+        lowMask = 1.0 - smoothstep(bandLow - edgeSoftness, bandLow + edgeSoftness, h);
+      }
+      if (highMask > 0.001) {
+        material.diffuse = mix(mix(bandHighColor, bandCentralColor, floodMask), bandLowColor, lowMask);
+        material.alpha = waterAlpha * highMask;
+      }
+    } else if (floodMask > 0.001) {
       material.diffuse = vec3(1.0, 0.65, 0.0);
       material.alpha = waterAlpha * floodMask;
     }
@@ -121,16 +326,36 @@ const FLOOD_SHADER_FALLBACK = `
 `;
 
 let useGeoidTexture = false;
+let useFingerprints = false;
+let useLandMotion = false;
 
 /**
  * Initialize flood visualization on the viewer.
  * @param {object} viewer - Cesium Viewer
  * @param {HTMLCanvasElement|null} geoidCanvas - EGM96 geoid texture canvas, or null for fallback
+ * @param {object} layers - Optional data layers, geoid mode only
+ * @param {HTMLCanvasElement|null} layers.fingerprintCanvas - Fingerprint texture
+ *   (loadFingerprintTexture), or null to disable regional fingerprints
+ * @param {HTMLCanvasElement|null} layers.landMotionCanvas - Land motion texture
+ *   (loadLandMotionTexture), or null to disable land motion
  */
-export function initFloodVisualization(viewer, geoidCanvas) {
+export function initFloodVisualization(viewer, geoidCanvas, { fingerprintCanvas = null, landMotionCanvas = null } = {}) {
   viewer.scene.globe.depthTestAgainstTerrain = true;
 
   useGeoidTexture = geoidCanvas != null;
+  geoidSampler = useGeoidTexture ? createGeoidSampler(geoidCanvas) : null;
+  useFingerprints = useGeoidTexture && fingerprintCanvas != null;
+  useLandMotion = useGeoidTexture && landMotionCanvas != null;
+
+  // Cesium only re-uploads a canvas uniform when it is a different canvas, so
+  // the material samples a texture that each redraw is copied into.
+  exceedanceCanvas = document.createElement("canvas");
+  exceedanceCanvas.width = EXCEEDANCE_TEXTURE_SIZE;
+  exceedanceCanvas.height = 1;
+  exceedanceTexture = new Texture({
+    context: viewer.scene.context,
+    source: drawExceedanceCanvas(() => 0, 1),
+  });
 
   if (useGeoidTexture) {
     floodMaterial = new Material({
@@ -140,9 +365,13 @@ export function initFloodVisualization(viewer, geoidCanvas) {
           seaLevelRise: 0.0,
           comparisonSLR: 0.0,
           waterAlpha: 0.0,
+          ...displayUniforms(),
           geoidTexture: geoidCanvas,
           geoidMin: GEOID_MIN,
           geoidRange: GEOID_RANGE,
+          // Placeholders when a layer is not loaded; it then stays off.
+          fingerprintTexture: fingerprintCanvas ?? buildSpillCanvas(new Float32Array(1), 1, 1),
+          vlmTexture: landMotionCanvas ?? buildSpillCanvas(new Float32Array(1), 1, 1),
         },
         source: FLOOD_SHADER_GEOID,
       },
@@ -156,6 +385,7 @@ export function initFloodVisualization(viewer, geoidCanvas) {
           floodLevel: 0.0,
           waterAlpha: 0.0,
           comparisonLevel: 0.0,
+          ...displayUniforms(),
         },
         source: FLOOD_SHADER_FALLBACK,
       },
@@ -165,6 +395,84 @@ export function initFloodVisualization(viewer, geoidCanvas) {
   startAlphaAnimation(viewer);
 }
 
+/**
+ * Uniforms for the banded and probability modes, off until setFloodLevel
+ * asks for them. Colours are vec3 uniforms (Cesium Color's alpha is dropped).
+ */
+function displayUniforms() {
+  const toVec3 = (css) => {
+    const color = Color.fromCssColorString(css);
+    return new Cartesian3(color.red, color.green, color.blue);
+  };
+  return {
+    banded: 0.0,
+    bandLow: 0.0,
+    bandHigh: 0.0,
+    bandLowColor: toVec3(FLOOD_BAND_COLORS.low),
+    bandCentralColor: toVec3(FLOOD_BAND_COLORS.central),
+    bandHighColor: toVec3(FLOOD_BAND_COLORS.high),
+    probabilityMode: 0.0,
+    exceedanceTexture,
+    exceedanceMax: 1.0,
+    connectivityMode: 0.0,
+    connectivityTexture: buildSpillCanvas(new Float32Array(1), 1, 1),
+    connectivityBounds: new Cartesian4(0, 0, 1, 1),
+    connectivitySpillRange: CONNECTIVITY_SPILL_RANGE,
+    isolatedColor: toVec3(FLOOD_ISOLATED_COLOR),
+    fingerprintMode: 0.0,
+    fingerprintWeights: new Cartesian4(0, 0, 0, 1),
+    fingerprintMin: FINGERPRINT_MIN,
+    fingerprintRange: FINGERPRINT_RANGE,
+    vlmYears: 0.0,
+    vlmMin: VLM_MIN,
+    vlmRange: VLM_RANGE,
+    ...Object.fromEntries(FLOOD_PROBABILITY_RAMP.map((css, i) => [`rampColor${i}`, toVec3(css)])),
+  };
+}
+
+/**
+ * Draw an exceedance curve into the 1-pixel-high lookup canvas: texel i holds
+ * P(SLR > x) at x = i / (size - 1) * maxLevel, 16-bit across R and G like the
+ * geoid texture.
+ * @param {function(number): number} exceedanceProbability - P(SLR > x) for x in m
+ * @param {number} maxLevel - Level (m) mapped to the last texel
+ * @returns {HTMLCanvasElement} the shared lookup canvas
+ */
+function drawExceedanceCanvas(exceedanceProbability, maxLevel) {
+  const ctx = exceedanceCanvas.getContext("2d");
+  const image = ctx.createImageData(EXCEEDANCE_TEXTURE_SIZE, 1);
+  for (let i = 0; i < EXCEEDANCE_TEXTURE_SIZE; i++) {
+    const probability = exceedanceProbability((i / (EXCEEDANCE_TEXTURE_SIZE - 1)) * maxLevel);
+    const encoded = Math.round(Math.min(1, Math.max(0, probability)) * 65535);
+    image.data[i * 4] = (encoded >> 8) & 0xff;
+    image.data[i * 4 + 1] = encoded & 0xff;
+    image.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(image, 0, 0);
+  return exceedanceCanvas;
+}
+
+/**
+ * Encode spill levels as a canvas (16-bit across R and G like the geoid texture).
+ * @param {Float32Array} spill - Row-major spill levels (m), row 0 north
+ */
+function buildSpillCanvas(spill, width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(width, height);
+  for (let i = 0; i < spill.length; i++) {
+    const normalized = Math.min(1, spill[i] / CONNECTIVITY_SPILL_RANGE);
+    const encoded = Math.round(normalized * 65535);
+    image.data[i * 4] = (encoded >> 8) & 0xff;
+    image.data[i * 4 + 1] = encoded & 0xff;
+    image.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
 /**
  * Animate water alpha for a smooth fade-in effect.
  */
@@ -198,8 +506,12 @@ function startAlphaAnimation(viewer) {
  * @param {number} seaLevelRise - Sea level rise in meters above MSL
  * @param {object} simulationResult - Full simulation result for snapshot
  * @param {boolean} recordSnapshot - Whether to store this state for comparison history
+ * @param {object|null} display - Display mode other than a single flood level:
+ *   { bands: { low, high } } shades nested zones at the low and high levels (m)
+ *   around seaLevelRise; { probability: true } colours fragments by
+ *   P(SLR > freeboard) from simulationResult's samples
  */
-export function setFloodLevel(viewer, seaLevelRise, simulationResult, recordSnapshot = true) {
+export function setFloodLevel(viewer, seaLevelRise, simulationResult, recordSnapshot = true, display = null) {
   if (recordSnapshot) {
     // Save previous snapshot
     if (currentSnapshot) {
@@ -213,11 +525,26 @@ export function setFloodLevel(viewer, seaLevelRise, simulationResult, recordSnap
     };
   }
 
-  if (seaLevelRise <= 0) {
+  const bands = display?.bands ?? null;
+  const samples = display?.probability ? simulationResult.results : null;
+  const maxLevel = samples?.length ? samples[samples.length - 1] : 0;
+  const topLevel = bands ? bands.high : samples ? maxLevel : seaLevelRise;
+  if (topLevel <= 0) {
     clearFlood(viewer);
     return;
   }
 
+  floodMaterial.uniforms.banded = bands ? 1.0 : 0.0;
+  floodMaterial.uniforms.bandLow = bands ? bands.low : 0.0;
+  floodMaterial.uniforms.bandHigh = bands ? bands.high : 0.0;
+  floodMaterial.uniforms.probabilityMode = samples ? 1.0 : 0.0;
+  if (samples) {
+    exceedanceTexture.copyFrom({
+      source: drawExceedanceCanvas((x) => simulationResult.exceedanceProbability(x), maxLevel),
+    });
+    floodMaterial.uniforms.exceedanceMax = maxLevel;
+  }
+
   if (useGeoidTexture) {
     floodMaterial.uniforms.seaLevelRise = seaLevelRise;
     floodMaterial.uniforms.comparisonSLR = 0.0;
@@ -312,6 +639,89 @@ export function hasPreviousSnapshot() {
   return previousSnapshot !== null;
 }
 
+/**
+ * Analyse hydrological connectivity over the current view and switch the
+ * flood shading there to connected flooding.
+ * @param {object} viewer - Cesium Viewer
+ * @returns {Promise<object>} - The analysis (see analyseConnectivity)
+ */
+export async function enableConnectivity(viewer) {
+  if (!useGeoidTexture) {
+    throw new Error("Connected flooding needs the geoid texture");
+  }
+  const rectangle = viewer.camera.computeViewRectangle();
+  if (!rectangle) {
+    throw new Error("Point the camera at the ground to analyse a region");
+  }
+
+  const analysis = await analyseConnectivity(viewer.terrainProvider, rectangle, geoidSampler);
+  const { west, south, east, north } = analysis.rectangle;
+  // Globe texture coordinates: longitude and latitude mapped to 0..1.
+  floodMaterial.uniforms.connectivityBounds = new Cartesian4(
+    (west + Math.PI) / CesiumMath.TWO_PI,
+    (south + CesiumMath.PI_OVER_TWO) / Math.PI,
+    (east + Math.PI) / CesiumMath.TWO_PI,
+    (north + CesiumMath.PI_OVER_TWO) / Math.PI
+  );
+  floodMaterial.uniforms.connectivityTexture = buildSpillCanvas(analysis.spill, analysis.width, analysis.height);
+  floodMaterial.uniforms.connectivityMode = 1.0;
+  viewer.scene.requestRender();
+  return analysis;
+}
+
+/**
+ * Return to bathtub shading everywhere.
+ */
+export function disableConnectivity(viewer) {
+  if (!floodMaterial) return;
+  floodMaterial.uniforms.connectivityMode = 0.0;
+  viewer.scene.requestRender();
+}
+
+/**
+ * Whether regional fingerprints can be shown (geoid and fingerprint textures loaded).
+ */
+export function hasRegionalFingerprints() {
+  return useFingerprints;
+}
+
+/**
+ * Set the source shares for regional fingerprints, or null for uniform rise.
+ * @param {object} viewer - Cesium Viewer
+ * @param {object|null} weights - From getFingerprintWeights
+ */
+export function setRegionalWeights(viewer, weights) {
+  if (!floodMaterial || !useFingerprints) return;
+  floodMaterial.uniforms.fingerprintMode = weights ? 1.0 : 0.0;
+  if (weights) {
+    floodMaterial.uniforms.fingerprintWeights = new Cartesian4(
+      weights.greenland,
+      weights.antarctic,
+      weights.glaciers,
+      weights.uniform
+    );
+  }
+  viewer.scene.requestRender();
+}
+
+/**
+ * Whether vertical land motion can be shown (geoid and land motion textures loaded).
+ */
+export function hasLandMotion() {
+  return useLandMotion;
+}
+
+/**
+ * Set the years of land motion since the projection baseline; 0 turns it off.
+ * @param {object} viewer - Cesium Viewer
+ * @param {number} years - Years since PROJECTION_BASELINE_YEAR
+ */
+export function setLandMotionYears(viewer, years) {
+  if (!floodMaterial || !useLandMotion) return;
+  floodMaterial.uniforms.vlmYears = Math.max(0, years);
+  viewer.scene.requestRender();
+}
+
 /**
  * Clean up resources.
  */
@@ -98,3 +98,33 @@ export async function loadGeoidTexture() {
     return null;
   }
 }
+
+/**
+ * CPU lookup of the undulation encoded in a loadGeoidTexture canvas, for code
+ * that needs geoid heights outside the shader (e.g. connectivity analysis).
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas from loadGeoidTexture
+ * @returns {function(number, number): number} (longitude, latitude) in degrees →
+ *   bilinearly interpolated undulation in meters
+ */
+export function createGeoidSampler(canvas) {
+  const width = canvas.width;
+  const pixels = canvas.getContext("2d").getImageData(0, 0, width, canvas.height).data;
+  const decode = (row, col) => {
+    const i = (row * width + col) * 4;
+    return ((pixels[i] * 256 + pixels[i + 1]) / 65535) * GEOID_RANGE + GEOID_MIN;
+  };
+
+  return (longitude, latitude) => {
+    // Target columns start at -180° (see loadGeoidTexture); rows at 90°N.
+    const x = Math.min(COLS, Math.max(0, (longitude + 180) * 4));
+    const y = Math.min(ROWS - 1, Math.max(0, (90 - latitude) * 4));
+    const col = Math.min(COLS - 1, Math.floor(x));
+    const row = Math.min(ROWS - 2, Math.floor(y));
+    const fx = x - col;
+    const fy = y - row;
+    const top = decode(row, col) * (1 - fx) + decode(row, col + 1) * fx;
+    const bottom = decode(row + 1, col) * (1 - fx) + decode(row + 1, col + 1) * fx;
+    return top * (1 - fy) + bottom * fy;
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Observed sea level history leading into the projections.
+ *
+ * The bundled record (public/data/gmsl.csv, the same approximated 1900–2020
+ * reconstruction used for calibration) is shown relative to a chosen
+ * reference year. Projections start from zero at the projection baseline,
+ * so a projected fan is continued from the last observation by adding the
+ * observed anomaly there; each percentile is shifted by its own value at the
+ * join, so the fan opens from a single point.
+ */
+import { CALIBRATION_DATA_URLS, parseSeaLevelRecord } from "./calibration.js";
+
+export const OBSERVED_RECORD_URL = CALIBRATION_DATA_URLS.gmsl;
+export const DEFAULT_REFERENCE_YEAR = 1900;
+
+/**
+ * Fetch and parse an observed sea level record.
+ * @param {string} url - CSV with year, gmsl (m)[, uncertainty (m)]
+ * @returns {Promise<{ years: number[], gmsl: number[], uncertainty: (number|null)[] }>}
+ */
+export async function loadObservedRecord(url = OBSERVED_RECORD_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  }
+  return parseSeaLevelRecord(await response.text());
+}
+
+/**
+ * Observed sea level in a year relative to the reference year.
+ * @param {object} record - Parsed record (see loadObservedRecord)
+ * @param {number} year - Observed year
+ * @param {number} referenceYear - Year whose level counts as zero
+ * @returns {{ year: number, level: number, uncertainty: number|null }|null} null
+ *   if either year is missing from the record
+ */
+export function getObservedAnomaly(record, year, referenceYear = DEFAULT_REFERENCE_YEAR) {
+  const index = record.years.indexOf(year);
+  const referenceIndex = record.years.indexOf(referenceYear);
+  if (index < 0 || referenceIndex < 0) return null;
+  return {
+    year,
+    level: record.gmsl[index] - record.gmsl[referenceIndex],
+    uncertainty: record.uncertainty?.[index] ?? null,
+  };
+}
+
+/**
+ * The record as anomalies from the reference year.
+ * @returns {{ years: number[], levels: number[], uncertainty: (number|null)[] }}
+ */
+export function getObservedSeries(record, referenceYear = DEFAULT_REFERENCE_YEAR) {
+  const referenceIndex = record.years.indexOf(referenceYear);
+  if (referenceIndex < 0) {
+    throw new Error(`Reference year ${referenceYear} is not in the observed record`);
+  }
+  const reference = record.gmsl[referenceIndex];
+  return {
+    years: [...record.years],
+    levels: record.gmsl.map((level) => level - reference),
+    uncertainty: record.years.map((_, i) => record.uncertainty?.[i] ?? null),
+  };
+}
+
+/**
+ * Continue a projected fan from the last observation.
+ * @param {object} record - Parsed record
+ * @param {object} trajectory - runTrajectorySimulation result (years, statsByYear)
+ * @param {number} referenceYear - Year whose level counts as zero
+ * @returns {{ years: number[], p5: number[], median: number[], p95: number[] }}
+ *   levels in m relative to the reference year, from the join year on
+ */
+export function joinProjectionToRecord(record, trajectory, referenceYear = DEFAULT_REFERENCE_YEAR) {
+  const lastYear = record.years[record.years.length - 1];
+  const joinIndex = Math.max(0, trajectory.years.findIndex((year) => year >= lastYear));
+  const offset = getObservedAnomaly(record, lastYear, referenceYear)?.level ?? 0;
+  const joinStats = trajectory.statsByYear[joinIndex];
+
+  const fan = { years: [], p5: [], median: [], p95: [] };
+  for (let i = joinIndex; i < trajectory.years.length; i++) {
+    const stats = trajectory.statsByYear[i];
+    fan.years.push(trajectory.years[i]);
+    for (const key of ["p5", "median", "p95"]) {
+      fan[key].push(offset + stats[key] - joinStats[key]);
+    }
+  }
+  return fan;
+}
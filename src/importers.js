@@ -0,0 +1,489 @@
+/**
+ * File import for warming pathways and contributor models.
+ *
+ * Accepted files:
+ *   - Scenario CSV: year,temperature[,low,high] (header optional; low/high
+ *     are the 5–95% warming range)
+ *   - Model CSV:    key,name,meanPerDeg,stdPerDeg,exponent[,responseTimescale][,irreversible]
+ *     (header required; one row per contributor)
+ *   - JSON: a scenario ({ label, temperaturesByYear } or
+ *     { label, years, temperatures, low?, high? }), a model
+ *     ({ id, contributors, ... } as in public/data/models.json), an array of
+ *     either, or { scenarios: [...], models: [...] }
+ *
+ * Observational records (year plus value columns, such as the sea level and
+ * temperature series used for calibration) are parsed by parseRecordCSV;
+ * they are data, not registry items, so importText does not accept them.
+ *
+ * Everything in a file is validated before anything is registered, so a file
+ * with errors changes nothing. Ids must be unique within a file, and an
+ * imported item may only replace one registered by an earlier import in this
+ * session, never a built-in, calibrated or editor-made one. Imported items
+ * sit alongside the built-in presets and can be used immediately.
+ */
+import { getModelById, registerModel, validateModel } from "./models.js";
+import { getScenarioById, registerScenario, validateScenario } from "./projections.js";
+
+// Items registered by earlier imports; re-importing the same id replaces them.
+const importedModelIds = new Set();
+const importedScenarioIds = new Set();
+
+const SCENARIO_COLUMNS = {
+  year: ["year"],
+  temperature: ["temperature", "temp", "warming", "median"],
+  low: ["low", "p5", "lower"],
+  high: ["high", "p95", "upper"],
+};
+
+/**
+ * Import a File (from a file picker or drop).
+ * @param {File} file
+ * @returns {Promise<{ scenarios: object[], models: object[] }>} registered items
+ */
+export async function importFile(file) {
+  return importText(file.name, await file.text());
+}
+
+/**
+ * Import the text content of a scenario or model file.
+ * @param {string} fileName - Used to pick the parser (.csv/.json) and to name items
+ * @param {string} text - File content
+ * @returns {{ scenarios: object[], models: object[] }} registered items
+ * @throws {Error} listing every problem found, prefixed with the file name
+ */
+export function importText(fileName, text) {
+  const baseName = fileName.replace(/\.[^.]+$/, "");
+  const extension = fileName.slice(baseName.length).toLowerCase();
+  let parsed;
+
+  if (extension === ".csv") {
+    parsed = parseCSVFile(text, baseName);
+  } else if (extension === ".json") {
+    parsed = parseJSONFile(text, baseName);
+  } else {
+    throw new Error(`${fileName}: unsupported file type (expected .csv or .json)`);
+  }
+
+  const problems = [
+    ...parsed.problems,
+    ...findDuplicateIds(parsed.scenarios, "scenario"),
+    ...findDuplicateIds(parsed.models, "model"),
+  ];
+  for (const scenario of parsed.scenarios) {
+    problems.push(...checkScenario(scenario));
+  }
+  for (const model of parsed.models) {
+    problems.push(...checkModel(model));
+  }
+  if (problems.length === 0 && parsed.scenarios.length === 0 && parsed.models.length === 0) {
+    problems.push("no scenarios or models found");
+  }
+  if (problems.length > 0) {
+    throw new Error(`${fileName}: ${problems.join("; ")}`);
+  }
+
+  const models = parsed.models.map((definition) => {
+    const model = registerModel(definition, { replace: importedModelIds.has(definition.id) });
+    importedModelIds.add(model.id);
+    return model;
+  });
+  const scenarios = parsed.scenarios.map((definition) => {
+    const scenario = registerScenario(definition, { replace: importedScenarioIds.has(definition.id) });
+    importedScenarioIds.add(scenario.id);
+    return scenario;
+  });
+  return { scenarios, models };
+}
+
+/**
+ * Problems for ids used more than once among a file's items of one kind.
+ */
+function findDuplicateIds(definitions, kind) {
+  const seen = new Set();
+  const repeated = new Set();
+  for (const definition of definitions) {
+    const id = definition?.id;
+    if (typeof id !== "string") continue;
+    if (seen.has(id)) repeated.add(id);
+    seen.add(id);
+  }
+  return [...repeated].map((id) => `${kind} id "${id}" appears more than once in the file`);
+}
+
+/**
+ * Validation problems for a scenario definition, named after its label.
+ */
+function checkScenario(definition) {
+  const where = `scenario "${definition.label || definition.id}"`;
+  const problems = validateScenario(definition).map((problem) => `${where}: ${problem}`);
+  const existing = getScenarioById(definition.id);
+  if (existing && !existing.custom) {
+    problems.push(`${where}: id "${definition.id}" belongs to a built-in scenario; use a different id`);
+  } else if (existing && !importedScenarioIds.has(definition.id)) {
+    problems.push(`${where}: id "${definition.id}" belongs to a custom scenario that was not imported; use a different id`);
+  }
+  return problems;
+}
+
+/**
+ * Validation problems for a model definition, named after its id.
+ */
+function checkModel(definition) {
+  const where = `model "${definition?.id ?? "(no id)"}"`;
+  const problems = validateModel(definition).map((problem) => `${where}: ${problem}`);
+  if (typeof definition?.id === "string" && getModelById(definition.id) && !importedModelIds.has(definition.id)) {
+    problems.push(`${where}: id is already registered; give the imported model a different id`);
+  }
+  return problems;
+}
+
+/**
+ * Parse a CSV file as a model (header mentions meanPerDeg) or a scenario.
+ */
+function parseCSVFile(text, baseName) {
+  const { rows, header } = readCSVRows(text);
+  if (header?.includes("meanperdeg")) {
+    return parseModelCSV(rows, header, baseName);
+  }
+  return parseScenarioCSV(rows, header, baseName);
+}
+
+/**
+ * Scenario CSV: year,temperature[,low,high].
+ */
+function parseScenarioCSV(rows, header, baseName) {
+  const column = {};
+  if (header) {
+    for (const [key, names] of Object.entries(SCENARIO_COLUMNS)) {
+      const index = header.findIndex((name) => names.includes(name));
+      column[key] = index >= 0 ? index : null;
+    }
+    if (column.year === null || column.temperature === null) {
+      return { scenarios: [], models: [], problems: ["header must include year and temperature columns"] };
+    }
+  } else {
+    Object.assign(column, { year: 0, temperature: 1, low: 2, high: 3 });
+  }
+
+  const cell = (cells, key) => (column[key] === null ? "" : (cells[column[key]] ?? ""));
+  const anchors = rows.map(({ line, cells }) => ({
+    where: `line ${line}`,
+    year: cell(cells, "year"),
+    temperature: cell(cells, "temperature"),
+    low: cell(cells, "low"),
+    high: cell(cells, "high"),
+  }));
+
+  const { definition, problems } = buildScenario(anchors, { id: importId(baseName), label: baseName });
+  return { scenarios: definition ? [definition] : [], models: [], problems };
+}
+
+/**
+ * Model CSV: one contributor per row.
+ */
+function parseModelCSV(rows, header, baseName) {
+  const problems = [];
+  const keyIndex = header.indexOf("key");
+  if (keyIndex < 0) {
+    return { scenarios: [], models: [], problems: ["model CSV header must include a key column"] };
+  }
+
+  const numberColumns = {
+    meanPerDeg: "meanperdeg",
+    stdPerDeg: "stdperdeg",
+    exponent: "exponent",
+    responseTimescale: "responsetimescale",
+  };
+  const contributors = {};
+  for (const { line, cells } of rows) {
+    const key = cells[keyIndex];
+    if (!key) {
+      problems.push(`line ${line}: missing contributor key`);
+      continue;
+    }
+    if (contributors[key]) {
+      problems.push(`line ${line}: contributor "${key}" is listed twice`);
+      continue;
+    }
+
+    const nameIndex = header.indexOf("name");
+    const contributor = { name: (nameIndex >= 0 && cells[nameIndex]) || key };
+    for (const [field, name] of Object.entries(numberColumns)) {
+      const index = header.indexOf(name);
+      const raw = index >= 0 ? cells[index] ?? "" : "";
+      // Missing optional columns are left out; validateModel reports missing required ones.
+      if (raw !== "") contributor[field] = Number(raw);
+    }
+    const irreversibleIndex = header.indexOf("irreversible");
+    const irreversible = irreversibleIndex >= 0 ? (cells[irreversibleIndex] ?? "").toLowerCase() : "";
+    if (irreversible !== "") {
+      if (!["true", "false"].includes(irreversible)) {
+        problems.push(`line ${line}: irreversible must be true or false`);
+      } else {
+        contributor.irreversible = irreversible === "true";
+      }
+    }
+    contributors[key] = contributor;
+  }
+
+  const definition = { id: importId(baseName), label: baseName, description: `Imported from ${baseName}.csv`, contributors };
+  return { scenarios: [], models: [definition], problems };
+}
+
+/**
+ * JSON: scenarios and/or models, in any of the shapes listed at the top.
+ */
+function parseJSONFile(text, baseName) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { scenarios: [], models: [], problems: [`invalid JSON (${err.message})`] };
+  }
+
+  const items = Array.isArray(data)
+    ? data
+    : data && (Array.isArray(data.scenarios) || Array.isArray(data.models))
+      ? [...(data.scenarios || []), ...(data.models || [])]
+      : [data];
+
+  const result = { scenarios: [], models: [], problems: [] };
+  items.forEach((item, i) => {
+    const where = items.length > 1 ? `item ${i + 1}` : "file";
+    if (item && typeof item === "object" && item.contributors) {
+      result.models.push(item);
+    } else if (item && typeof item === "object" && (item.temperaturesByYear || item.years)) {
+      const { definition, problems } = parseScenarioJSON(item, baseName, items.length > 1 ? i + 1 : null);
+      if (definition) result.scenarios.push(definition);
+      result.problems.push(...problems.map((problem) => `${where}: ${problem}`));
+    } else {
+      result.problems.push(`${where}: not a scenario (temperaturesByYear or years/temperatures) or model (contributors)`);
+    }
+  });
+  return result;
+}
+
+function parseScenarioJSON(item, baseName, index) {
+  const label = item.label || (index ? `${baseName} ${index}` : baseName);
+  const meta = { id: item.id || importId(label), label, description: item.description };
+
+  let anchors;
+  if (item.years) {
+    if (!Array.isArray(item.years) || !Array.isArray(item.temperatures)) {
+      return { definition: null, problems: ["years and temperatures must both be arrays"] };
+    }
+    if (item.years.length !== item.temperatures.length) {
+      return { definition: null, problems: ["years and temperatures must have the same length"] };
+    }
+    anchors = item.years.map((year, i) => ({
+      where: `years[${i}]`,
+      year,
+      temperature: item.temperatures[i],
+      low: item.low?.[i] ?? "",
+      high: item.high?.[i] ?? "",
+    }));
+  } else {
+    anchors = Object.entries(item.temperaturesByYear).map(([year, temperature]) => {
+      const range = item.warmingRangeByYear?.[year];
+      return { where: `year ${year}`, year, temperature, low: range?.[0] ?? "", high: range?.[1] ?? "" };
+    });
+  }
+  return buildScenario(anchors, meta);
+}
+
+/**
+ * Check anchor rows (missing values, increasing years, ranges) and build a
+ * scenario definition from them.
+ * @param {object[]} anchors - { where, year, temperature, low, high } (raw values)
+ * @param {object} meta - { id, label, description }
+ */
+function buildScenario(anchors, meta) {
+  const problems = [];
+  if (anchors.length === 0) {
+    return { definition: null, problems: ["no year/temperature rows"] };
+  }
+
+  const hasRange = anchors.some((a) => a.low !== "" || a.high !== "");
+  const temperaturesByYear = {};
+  const warmingRangeByYear = {};
+  let previousYear = null;
+
+  for (const anchor of anchors) {
+    const { where } = anchor;
+    if (anchor.year === "" || anchor.year == null) {
+      problems.push(`${where}: missing year`);
+      continue;
+    }
+    const year = Number(anchor.year);
+    if (!Number.isInteger(year)) {
+      problems.push(`${where}: year "${anchor.year}" is not a whole number`);
+      continue;
+    }
+    if (previousYear !== null && year <= previousYear) {
+      problems.push(`${where}: year ${year} does not come after ${previousYear} (years must increase)`);
+    }
+    previousYear = Math.max(previousYear ?? year, year);
+
+    if (anchor.temperature === "" || anchor.temperature == null) {
+      problems.push(`${where}: missing temperature for ${year}`);
+      continue;
+    }
+    const temperature = Number(anchor.temperature);
+    if (!Number.isFinite(temperature)) {
+      problems.push(`${where}: temperature "${anchor.temperature}" is not a number`);
+      continue;
+    }
+    temperaturesByYear[year] = temperature;
+
+    if (hasRange) {
+      const low = anchor.low === "" ? NaN : Number(anchor.low);
+      const high = anchor.high === "" ? NaN : Number(anchor.high);
+      if (!Number.isFinite(low) || !Number.isFinite(high)) {
+        problems.push(`${where}: low and high must be given for every year or for none`);
+      } else if (!(low <= temperature && temperature <= high)) {
+        problems.push(`${where}: range [${low}, ${high}] must contain the temperature ${temperature}`);
+      } else {
+        warmingRangeByYear[year] = [low, high];
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    return { definition: null, problems };
+  }
+  return {
+    definition: {
+      ...meta,
+      temperaturesByYear,
+      ...(hasRange ? { warmingRangeByYear } : {}),
+    },
+    problems,
+  };
+}
+
+/**
+ * Parse an annual record CSV: a year column plus value columns.
+ * @param {string} text - File content; lines starting with # are comments
+ * @param {object} columns - { key: [accepted header names] } for the value
+ *   columns, in positional order for files without a header. The first
+ *   column is required; the others may be missing or blank.
+ * @returns {object} { years, [key]: number[] } sorted by year, with null for
+ *   blank optional values
+ * @throws {Error} listing every problem found
+ */
+export function parseRecordCSV(text, columns) {
+  const { rows, header } = readCSVRows(text);
+  const keys = Object.keys(columns);
+  const column = { year: 0 };
+  keys.forEach((key, i) => {
+    column[key] = header ? header.findIndex((name) => columns[key].includes(name)) : i + 1;
+  });
+  if (header && (!header.includes("year") || column[keys[0]] < 0)) {
+    throw new Error(`header must include year and ${columns[keys[0]][0]} columns`);
+  }
+  if (header) column.year = header.indexOf("year");
+
+  const problems = [];
+  const records = new Map();
+  for (const { line, cells } of rows) {
+    const year = Number(cells[column.year]);
+    if (!Number.isInteger(year)) {
+      problems.push(`line ${line}: year "${cells[column.year] ?? ""}" is not a whole number`);
+      continue;
+    }
+    if (records.has(year)) {
+      problems.push(`line ${line}: duplicate year ${year}`);
+      continue;
+    }
+    const record = {};
+    keys.forEach((key, i) => {
+      const text = column[key] >= 0 ? (cells[column[key]] ?? "") : "";
+      if (text === "" && i > 0) {
+        record[key] = null;
+      } else if (!isNumeric(text)) {
+        problems.push(`line ${line}: ${key} "${text}" is not a number`);
+      } else {
+        record[key] = Number(text);
+      }
+    });
+    records.set(year, record);
+  }
+  if (problems.length === 0 && records.size === 0) {
+    problems.push("no data rows found");
+  }
+  if (problems.length > 0) {
+    throw new Error(problems.join("; "));
+  }
+
+  const years = [...records.keys()].sort((a, b) => a - b);
+  const parsed = { years };
+  for (const key of keys) {
+    parsed[key] = years.map((year) => records.get(year)[key]);
+  }
+  return parsed;
+}
+
+/**
+ * Split CSV text into non-empty, non-comment rows and a normalized header
+ * (null when the first row starts with a number).
+ */
+function readCSVRows(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line, i) => ({ line: i + 1, cells: splitCSVLine(line) }))
+    .filter(({ cells }) => cells.some((cell) => cell !== "") && !cells[0].startsWith("#"));
+
+  const header = rows.length > 0 && !isNumeric(rows[0].cells[0]) ? rows.shift().cells.map(normalizeHeader) : null;
+  return { rows, header };
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields.
+ */
+function splitCSVLine(line) {
+  const cells = [];
+  let current = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+function normalizeHeader(name) {
+  // Drop units such as "(°C)" before matching column names.
+  return name.replace(/\(.*?\)/g, "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function isNumeric(text) {
+  return text !== "" && Number.isFinite(Number(text));
+}
+
+/**
+ * Id for an imported item, derived from its file or label name.
+ */
+function importId(name) {
+  const slug = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `import-${slug || "file"}`;
+}
@@ -0,0 +1,111 @@
+/**
+ * Vertical land motion (VLM): the ground rising or sinking under the sea.
+ *
+ * Relative sea level at a coast is the sea's rise minus the land's own
+ * vertical motion. In deltas and megacities pumping groundwater (Jakarta,
+ * the Bangladesh delta, Shanghai) subsidence outpaces climate-driven rise;
+ * land still rebounding from ice-age glaciers (Scandinavia, Hudson Bay)
+ * rises and offsets it. Motion is taken as a constant rate, so the
+ * displacement by a projection year is rate × (year − PROJECTION_BASELINE_YEAR).
+ *
+ * The grid is bundled like WW15MGH.DAC: VLM_ROWS × VLM_COLS signed 16-bit
+ * big-endian integers, rate in mm/yr × VLM_SCALE (positive = uplift), rows
+ * from 90°N to 90°S and columns from 0°E, every VLM_RESOLUTION degrees. The
+ * shipped grid is idealized (see scripts/generate-land-motion.js).
+ */
+
+export const VLM_URL = "/data/vlm.dac";
+export const VLM_RESOLUTION = 0.5;
+export const VLM_ROWS = 361;
+export const VLM_COLS = 720;
+export const VLM_SCALE = 100;
+
+// Rate range encoded in the texture (mm/yr).
+export const VLM_MIN = -60.0;
+export const VLM_MAX = 30.0;
+export const VLM_RANGE = VLM_MAX - VLM_MIN;
+
+let loadedGrid = null;
+
+/**
+ * Fetch the land motion grid and encode it into a canvas for GPU sampling:
+ * (VLM_COLS + 1) × VLM_ROWS, columns from -180° with the first repeated at
+ * the end, 16-bit across R and G like the geoid texture. The grid is also
+ * kept for getLandMotionRate.
+ *
+ * @param {string} url - Grid file (default VLM_URL)
+ * @returns {Promise<HTMLCanvasElement|null>} Canvas, or null on failure
+ */
+export async function loadLandMotionTexture(url = VLM_URL) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      console.error(`Failed to fetch land motion grid: ${response.status}`);
+      return null;
+    }
+    const buffer = await response.arrayBuffer();
+    if (buffer.byteLength !== VLM_ROWS * VLM_COLS * 2) {
+      console.error(`Land motion grid wrong size: expected ${VLM_ROWS * VLM_COLS * 2}, got ${buffer.byteLength}`);
+      return null;
+    }
+
+    // Rearrange columns from 0°E..359.5°E to -180°..179.5°E.
+    const view = new DataView(buffer);
+    const half = VLM_COLS / 2;
+    const grid = new Float32Array(VLM_ROWS * VLM_COLS);
+    for (let row = 0; row < VLM_ROWS; row++) {
+      for (let col = 0; col < VLM_COLS; col++) {
+        const srcCol = (col + half) % VLM_COLS;
+        grid[row * VLM_COLS + col] = view.getInt16((row * VLM_COLS + srcCol) * 2, false) / VLM_SCALE;
+      }
+    }
+
+    const width = VLM_COLS + 1;
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = VLM_ROWS;
+    const ctx = canvas.getContext("2d");
+    const imageData = ctx.createImageData(width, VLM_ROWS);
+    const pixels = imageData.data;
+    for (let row = 0; row < VLM_ROWS; row++) {
+      for (let col = 0; col < width; col++) {
+        const rate = grid[row * VLM_COLS + (col % VLM_COLS)];
+        const normalized = Math.max(0, Math.min(1, (rate - VLM_MIN) / VLM_RANGE));
+        const encoded = Math.round(normalized * 65535);
+        const pixelIdx = (row * width + col) * 4;
+        pixels[pixelIdx] = (encoded >> 8) & 0xff;
+        pixels[pixelIdx + 1] = encoded & 0xff;
+        pixels[pixelIdx + 3] = 255;
+      }
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    loadedGrid = grid;
+    console.log("Vertical land motion grid loaded successfully");
+    return canvas;
+  } catch (err) {
+    console.error("Failed to load vertical land motion grid:", err);
+    return null;
+  }
+}
+
+/**
+ * Land motion rate at a point, bilinearly interpolated.
+ * @param {number} longitude - Degrees east
+ * @param {number} latitude - Degrees north
+ * @returns {number|null} - mm/yr (positive = uplift), or null when not loaded
+ */
+export function getLandMotionRate(longitude, latitude) {
+  if (!loadedGrid) return null;
+  const x = ((((longitude + 180) % 360) + 360) % 360) / VLM_RESOLUTION;
+  const y = Math.min(VLM_ROWS - 1, Math.max(0, (90 - latitude) / VLM_RESOLUTION));
+  const col = Math.min(VLM_COLS - 1, Math.floor(x));
+  const row = Math.min(VLM_ROWS - 2, Math.floor(y));
+  const fx = x - col;
+  const fy = y - row;
+  const nextCol = (col + 1) % VLM_COLS;
+  const at = (r, c) => loadedGrid[r * VLM_COLS + c];
+  const top = at(row, col) * (1 - fx) + at(row, nextCol) * fx;
+  const bottom = at(row + 1, col) * (1 - fx) + at(row + 1, nextCol) * fx;
+  return top * (1 - fy) + bottom * fy;
+}
@@ -17,7 +17,13 @@ import "cesium/Build/Cesium/Widgets/widgets.css";
 import "./style.css";
 
 import { loadGeoidTexture } from "./geoid.js";
+import { loadFingerprintTexture } from "./fingerprints.js";
+import { loadLandMotionTexture } from "./landMotion.js";
 import { initFloodVisualization } from "./floodVisualization.js";
+import { loadModelsFromUrl, registerModel } from "./models.js";
+import { registerScenario } from "./projections.js";
+import { buildEmissionsScenario } from "./emissions.js";
+import { loadCalibratedModels, loadCustomScenarios } from "./storage.js";
 import { initUI } from "./ui.js";
 import { showOnboarding } from "./onboarding.js";
 
@@ -108,8 +114,40 @@ async function init() {
     console.error("Geoid texture loading failed, using fallback:", err);
   }
 
+  // Regional sea level fingerprints (optional; uniform rise without them)
+  const fingerprintCanvas = geoidCanvas ? await loadFingerprintTexture() : null;
+
+  // Vertical land motion grid (optional; no subsidence without it)
+  const landMotionCanvas = geoidCanvas ? await loadLandMotionTexture() : null;
+
+  // Register additional contributor models shipped as JSON (optional)
+  try {
+    await loadModelsFromUrl("/data/models.json");
+  } catch (err) {
+    console.error("Contributor model loading failed, using built-in models:", err);
+  }
+
+  // Restore model variants calibrated in this browser.
+  for (const definition of loadCalibratedModels()) {
+    try {
+      registerModel(definition, { replace: true });
+    } catch (err) {
+      console.warn("Skipping stored calibrated model:", err.message);
+    }
+  }
+
+  // Restore custom scenarios saved in this browser. Emissions-driven ones are
+  // re-derived from their pathway so they track the current emulator.
+  for (const definition of loadCustomScenarios()) {
+    try {
+      registerScenario(definition.emissions ? buildEmissionsScenario({ ...definition, ...definition.emissions }) : definition);
+    } catch (err) {
+      console.warn("Skipping stored custom scenario:", err.message);
+    }
+  }
+
   // Set up flood visualization with per-fragment geoid correction
-  initFloodVisualization(viewer, geoidCanvas);
+  initFloodVisualization(viewer, geoidCanvas, { fingerprintCanvas, landMotionCanvas });
 
   // Set up UI (temperature controls, stats, histogram, locations)
   initUI(viewer);
@@ -0,0 +1,366 @@
+/**
+ * Contributor model registry for the Monte Carlo engine.
+ *
+ * A model is a named set of sea level rise contributors. Models can be
+ * registered at runtime (for example loaded from JSON) so alternative
+ * parameterisations can be tried without editing the simulation engine.
+ */
+
+import { validateDistribution, normalizeDistribution } from "./distributions.js";
+
+export const DEFAULT_MODEL_ID = "ar6";
+
+/**
+ * Built-in contributor set.
+ * Mean and standard deviation in meters per °C.
+ * Based on IPCC AR6 WG1 Chapter 9 ranges.
+ * responseTimescale (years) is the e-folding lag used by trajectory runs;
+ * 0 means the contributor responds instantly to temperature.
+ * correlations pair contributors whose uncertainties move together
+ * (shared ice-sheet forcing, shared ocean warming).
+ * distribution selects the sampling distribution (see distributions.js);
+ * contributors without one are sampled as a normal clamped at zero.
+ * irreversible contributors respond to the peak warming reached so far, not
+ * the current one: ice-sheet loss and deep-ocean heat uptake do not reverse
+ * on human timescales when warming declines after an overshoot.
+ */
+const AR6_MODEL = {
+  id: DEFAULT_MODEL_ID,
+  label: "IPCC AR6",
+  description: "Default semi-empirical parameters from AR6 WG1 Chapter 9 ranges",
+  contributors: {
+    thermalExpansion: {
+      name: "Thermal Expansion",
+      meanPerDeg: 0.12,
+      stdPerDeg: 0.04,
+      exponent: 1.0, // linear
+      responseTimescale: 40, // ocean heat uptake lag
+      irreversible: true,
+    },
+    glaciers: {
+      name: "Mountain Glaciers",
+      meanPerDeg: 0.10,
+      stdPerDeg: 0.03,
+      exponent: 0.9, // slightly sub-linear (glaciers deplete)
+      responseTimescale: 30,
+    },
+    greenland: {
+      name: "Greenland Ice Sheet",
+      meanPerDeg: 0.06,
+      stdPerDeg: 0.04,
+      exponent: 1.4, // super-linear at higher temps
+      responseTimescale: 60,
+      irreversible: true,
+    },
+    antarctic: {
+      name: "Antarctic Ice Sheet",
+      meanPerDeg: 0.05,
+      stdPerDeg: 0.08,
+      exponent: 1.8, // highly non-linear (MICI risk)
+      responseTimescale: 80, // slow ice-dynamic adjustment
+      irreversible: true,
+    },
+    landWater: {
+      name: "Land Water Storage",
+      meanPerDeg: 0.01,
+      stdPerDeg: 0.01,
+      exponent: 1.0,
+      responseTimescale: 10,
+    },
+  },
+  correlations: [
+    { between: ["greenland", "antarctic"], rho: 0.5 },
+    { between: ["thermalExpansion", "glaciers"], rho: 0.4 },
+  ],
+};
+
+const MODEL_REGISTRY = new Map();
+const changeListeners = new Set();
+
+/**
+ * Validate a model definition.
+ * @param {object} definition - { id, label, description?, contributors }
+ * @returns {string[]} list of human-readable problems (empty when valid)
+ */
+export function validateModel(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== "object") {
+    return ["Model definition must be an object"];
+  }
+  if (typeof definition.id !== "string" || !definition.id.trim()) {
+    errors.push("Model id must be a non-empty string");
+  }
+
+  const contributors = definition.contributors;
+  if (!contributors || typeof contributors !== "object" || Array.isArray(contributors)) {
+    errors.push("Model must define a contributors object");
+    return errors;
+  }
+
+  const keys = Object.keys(contributors);
+  if (keys.length === 0) {
+    errors.push("Model must define at least one contributor");
+  }
+
+  for (const key of keys) {
+    const c = contributors[key];
+    const where = `Contributor "${key}"`;
+    if (!c || typeof c !== "object") {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    if (typeof c.name !== "string" || !c.name.trim()) {
+      errors.push(`${where} needs a name`);
+    }
+    if (!Number.isFinite(c.meanPerDeg)) {
+      errors.push(`${where}: meanPerDeg must be a number`);
+    }
+    if (!Number.isFinite(c.stdPerDeg) || c.stdPerDeg < 0) {
+      errors.push(`${where}: stdPerDeg must be a non-negative number`);
+    }
+    const exponent = c.exponent ?? c.nonLinearExponent;
+    if (!Number.isFinite(exponent) || exponent <= 0) {
+      errors.push(`${where}: exponent must be a positive number`);
+    }
+    if (c.responseTimescale != null && (!Number.isFinite(c.responseTimescale) || c.responseTimescale < 0)) {
+      errors.push(`${where}: responseTimescale must be a non-negative number of years`);
+    }
+    if (c.irreversible != null && typeof c.irreversible !== "boolean") {
+      errors.push(`${where}: irreversible must be true or false`);
+    }
+    errors.push(...validateDistribution(c.distribution, where));
+    if (c.extraTerms != null) {
+      if (!Array.isArray(c.extraTerms)) {
+        errors.push(`${where}: extraTerms must be an array`);
+      } else {
+        c.extraTerms.forEach((term, i) => {
+          if (!term || !Number.isFinite(term.coefficient) || !Number.isFinite(term.exponent)) {
+            errors.push(`${where}: extraTerms[${i}] needs numeric coefficient and exponent`);
+          }
+        });
+      }
+    }
+  }
+
+  if (definition.correlations != null) {
+    errors.push(...validateCorrelations(definition.correlations, keys));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate pairwise correlations and check the implied matrix is usable.
+ */
+function validateCorrelations(correlations, keys) {
+  if (!Array.isArray(correlations)) {
+    return ["correlations must be an array of { between: [a, b], rho }"];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  correlations.forEach((entry, i) => {
+    const pair = entry?.between;
+    if (!Array.isArray(pair) || pair.length !== 2) {
+      errors.push(`correlations[${i}]: between must list two contributor keys`);
+      return;
+    }
+    const [a, b] = pair;
+    if (!keys.includes(a) || !keys.includes(b)) {
+      errors.push(`correlations[${i}]: unknown contributor in [${a}, ${b}]`);
+    } else if (a === b) {
+      errors.push(`correlations[${i}]: a contributor cannot be correlated with itself`);
+    }
+    if (!Number.isFinite(entry.rho) || entry.rho <= -1 || entry.rho >= 1) {
+      errors.push(`correlations[${i}]: rho must be between -1 and 1 (exclusive)`);
+    }
+    const pairKey = [a, b].sort().join("|");
+    if (seen.has(pairKey)) {
+      errors.push(`correlations[${i}]: duplicate pair [${a}, ${b}]`);
+    }
+    seen.add(pairKey);
+  });
+
+  if (errors.length === 0 && !choleskyFactor(buildCorrelationMatrix(correlations, keys))) {
+    errors.push("correlations do not form a positive-definite matrix");
+  }
+  return errors;
+}
+
+/**
+ * Expand pairwise correlations into a full matrix ordered like `keys`.
+ */
+function buildCorrelationMatrix(correlations, keys) {
+  const matrix = keys.map((_, i) => keys.map((__, j) => (i === j ? 1 : 0)));
+  for (const { between, rho } of correlations) {
+    const i = keys.indexOf(between[0]);
+    const j = keys.indexOf(between[1]);
+    matrix[i][j] = rho;
+    matrix[j][i] = rho;
+  }
+  return matrix;
+}
+
+/**
+ * Lower-triangular Cholesky factor L with L·Lᵀ = matrix.
+ * @returns {number[][]|null} null if the matrix is not positive definite
+ */
+function choleskyFactor(matrix) {
+  const n = matrix.length;
+  const lower = matrix.map(() => new Array(n).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) {
+        sum -= lower[i][k] * lower[j][k];
+      }
+      if (i === j) {
+        if (sum <= 0) return null;
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+  return lower;
+}
+
+/**
+ * Copy a validated definition into the canonical shape used by the engine.
+ * Accepts `nonLinearExponent` as an alias for `exponent`.
+ */
+function normalizeModel(definition) {
+  const contributors = {};
+  for (const [key, c] of Object.entries(definition.contributors)) {
+    contributors[key] = {
+      name: c.name,
+      meanPerDeg: c.meanPerDeg,
+      stdPerDeg: c.stdPerDeg,
+      exponent: c.exponent ?? c.nonLinearExponent,
+      extraTerms: (c.extraTerms || []).map((t) => ({ coefficient: t.coefficient, exponent: t.exponent })),
+      responseTimescale: c.responseTimescale ?? 0,
+      irreversible: c.irreversible ?? false,
+      distribution: normalizeDistribution(c.distribution),
+    };
+  }
+
+  // Precompute the Cholesky factor (contributor key order) for sampling.
+  const correlations = (definition.correlations || []).map((c) => ({ between: [...c.between], rho: c.rho }));
+  let correlation = null;
+  if (correlations.length > 0) {
+    const matrix = buildCorrelationMatrix(correlations, Object.keys(contributors));
+    correlation = { matrix, cholesky: choleskyFactor(matrix) };
+  }
+
+  return {
+    id: definition.id.trim(),
+    label: definition.label || definition.id.trim(),
+    description: definition.description || "",
+    contributors,
+    correlations,
+    correlation,
+  };
+}
+
+/**
+ * Register a contributor model.
+ * @param {object} definition - Model definition (see validateModel)
+ * @param {object} options
+ * @param {boolean} options.replace - Allow overwriting an existing id
+ * @returns {object} the normalized, registered model
+ */
+export function registerModel(definition, options = {}) {
+  const { replace = false } = options;
+  const errors = validateModel(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid model${definition?.id ? ` "${definition.id}"` : ""}: ${errors.join("; ")}`);
+  }
+
+  const model = normalizeModel(definition);
+  if (MODEL_REGISTRY.has(model.id) && !replace) {
+    throw new Error(`Model id already registered: ${model.id}`);
+  }
+
+  MODEL_REGISTRY.set(model.id, model);
+  for (const listener of changeListeners) listener(model);
+  return model;
+}
+
+/**
+ * Subscribe to model registrations (e.g. to refresh a model picker).
+ * @param {(model: object) => void} listener - Called with each registered model
+ * @returns {() => void} unsubscribe function
+ */
+export function onModelsChanged(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Return list of registered models, built-ins first.
+ */
+export function getModelPresets() {
+  return [...MODEL_REGISTRY.values()];
+}
+
+/**
+ * Return model by id.
+ */
+export function getModelById(id) {
+  return MODEL_REGISTRY.get(id) || null;
+}
+
+/**
+ * Copy a model with some contributor parameters replaced, e.g. for
+ * calibration proposals or sensitivity evaluations. The registry is not touched.
+ * @param {object} model - Normalized model
+ * @param {{ contributor: string, parameter: string }[]} parameters - Parameters to set
+ * @param {number[]} values - One value per entry of `parameters`
+ * @returns {object} the modified copy
+ */
+export function withParameters(model, parameters, values) {
+  const contributors = {};
+  for (const [key, contributor] of Object.entries(model.contributors)) {
+    contributors[key] = { ...contributor };
+  }
+  parameters.forEach((p, i) => {
+    contributors[p.contributor][p.parameter] = values[i];
+  });
+  return { ...model, contributors };
+}
+
+/**
+ * Drop null and undefined options so they do not override defaults when spread.
+ */
+export function pickDefined(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value != null));
+}
+
+/**
+ * Register one or more models from JSON.
+ * Accepts a single model, an array of models, or `{ models: [...] }`,
+ * either as a parsed object or as a JSON string.
+ * @returns {object[]} the registered models
+ */
+export function loadModelsFromJSON(json, options = {}) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  const definitions = Array.isArray(data) ? data : Array.isArray(data?.models) ? data.models : [data];
+  return definitions.map((definition) => registerModel(definition, options));
+}
+
+/**
+ * Fetch and register models from a JSON file. A missing file is not an error.
+ * @returns {object[]} the registered models
+ */
+export async function loadModelsFromUrl(url) {
+  const response = await fetch(url);
+  if (response.status === 404) return [];
+  if (!response.ok) {
+    throw new Error(`Failed to fetch models from ${url}: ${response.status}`);
+  }
+  return loadModelsFromJSON(await response.json());
+}
+
+registerModel(AR6_MODEL);
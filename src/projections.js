@@ -5,17 +5,74 @@
  * handles presentation/events.
  */
 
-export const PROJECTION_YEARS = [2030, 2050, 2100];
+// Year at which trajectory runs start from zero sea level rise ("Baseline (Current)").
+export const PROJECTION_BASELINE_YEAR = 2020;
 
+// Last year covered by the scenario catalogue. Years in between resolve
+// annually by interpolating the anchor years below.
+export const PROJECTION_END_YEAR = 2300;
+
+/*
+ * Warming (°C above 1850–1900) at anchor years. 2020 is the observed level
+ * shared by all scenarios; 2030–2100 follow AR6 WG1 Table SPM.1; post-2100
+ * values follow the AR6 WG1 Section 4.7.1 ranges for 2300. AR6 has no
+ * official SSP1-1.9 or SSP3-7.0 extension past 2100, so those are
+ * illustrative continuations of their 2100 trends.
+ *
+ * SSP5-3.4-OS is the AR6 overshoot pathway: SSP5-8.5 emissions until 2040,
+ * then steep cuts to net-negative CO₂, so warming peaks mid-century and then
+ * declines. Its anchors are approximate emulator values (AR6 WG1 Chapter 4)
+ * and the post-2100 decline is illustrative.
+ *
+ * warmingRangeByYear holds the very likely (5–95%) warming range around each
+ * central estimate. The range is asymmetric because climate sensitivity has
+ * a long upper tail.
+ */
 const SCENARIO_DATA = {
+  ssp119: {
+    id: "ssp119",
+    label: "SSP1-1.9",
+    description: "Very strong mitigation, warming held near 1.5°C",
+    temperaturesByYear: {
+      2020: 1.1,
+      2030: 1.5,
+      2050: 1.6,
+      2100: 1.4,
+      2150: 1.3,
+      2200: 1.2,
+      2300: 1.1,
+    },
+    warmingRangeByYear: {
+      2020: [1.0, 1.2],
+      2030: [1.2, 1.7],
+      2050: [1.2, 2.0],
+      2100: [1.0, 1.8],
+      2150: [0.9, 1.7],
+      2200: [0.8, 1.7],
+      2300: [0.6, 1.6],
+    },
+  },
   ssp126: {
     id: "ssp126",
     label: "SSP1-2.6",
     description: "Strong mitigation, lower warming pathway",
     temperaturesByYear: {
+      2020: 1.1,
       2030: 1.5,
       2050: 1.8,
       2100: 2.0,
+      2150: 1.9,
+      2200: 1.8,
+      2300: 1.6,
+    },
+    warmingRangeByYear: {
+      2020: [1.0, 1.2],
+      2030: [1.2, 1.8],
+      2050: [1.4, 2.3],
+      2100: [1.4, 2.7],
+      2150: [1.2, 2.7],
+      2200: [1.1, 2.6],
+      2300: [1.0, 2.2],
     },
   },
   ssp245: {
@@ -23,9 +80,45 @@ const SCENARIO_DATA = {
     label: "SSP2-4.5",
     description: "Intermediate emissions pathway",
     temperaturesByYear: {
+      2020: 1.1,
       2030: 1.6,
       2050: 2.2,
       2100: 2.9,
+      2150: 3.3,
+      2200: 3.5,
+      2300: 3.5,
+    },
+    warmingRangeByYear: {
+      2020: [1.0, 1.2],
+      2030: [1.3, 1.9],
+      2050: [1.8, 2.7],
+      2100: [2.2, 3.7],
+      2150: [2.4, 4.4],
+      2200: [2.4, 4.6],
+      2300: [2.3, 4.6],
+    },
+  },
+  ssp370: {
+    id: "ssp370",
+    label: "SSP3-7.0",
+    description: "Regional rivalry, high emissions without climate policy",
+    temperaturesByYear: {
+      2020: 1.1,
+      2030: 1.6,
+      2050: 2.3,
+      2100: 3.6,
+      2150: 4.6,
+      2200: 5.3,
+      2300: 6.0,
+    },
+    warmingRangeByYear: {
+      2020: [1.0, 1.2],
+      2030: [1.3, 1.9],
+      2050: [1.8, 2.8],
+      2100: [2.8, 4.6],
+      2150: [3.4, 6.0],
+      2200: [3.8, 7.2],
+      2300: [4.2, 8.4],
     },
   },
   ssp585: {
@@ -33,20 +126,186 @@ const SCENARIO_DATA = {
     label: "SSP5-8.5",
     description: "High emissions, high warming pathway",
     temperaturesByYear: {
+      2020: 1.1,
       2030: 1.8,
       2050: 2.7,
       2100: 4.4,
+      2150: 6.5,
+      2200: 8.0,
+      2300: 9.5,
+    },
+    warmingRangeByYear: {
+      2020: [1.0, 1.2],
+      2030: [1.5, 2.1],
+      2050: [2.2, 3.3],
+      2100: [3.3, 5.7],
+      2150: [4.8, 8.8],
+      2200: [5.6, 11.2],
+      2300: [6.6, 14.1],
+    },
+  },
+  ssp534os: {
+    id: "ssp534os",
+    label: "SSP5-3.4-OS",
+    description: "Overshoot: warming peaks mid-century, then declines with net-negative emissions",
+    temperaturesByYear: {
+      2020: 1.1,
+      2030: 1.6,
+      2050: 2.3,
+      2060: 2.4,
+      2100: 2.1,
+      2150: 1.8,
+      2200: 1.6,
+      2300: 1.4,
+    },
+    warmingRangeByYear: {
+      2020: [1.0, 1.2],
+      2030: [1.3, 1.9],
+      2050: [1.8, 2.9],
+      2060: [1.8, 3.1],
+      2100: [1.5, 2.9],
+      2150: [1.2, 2.6],
+      2200: [1.0, 2.5],
+      2300: [0.8, 2.3],
     },
   },
 };
 
+const changeListeners = new Set();
+
+// Plausible bounds for user-defined warming anchors (°C above 1850–1900).
+const CUSTOM_TEMP_MIN = 0;
+const CUSTOM_TEMP_MAX = 15;
+
+/**
+ * Validate a scenario definition.
+ * @param {object} definition - { id, label, description?, temperaturesByYear, warmingRangeByYear?, emissions? }
+ *   (`emissions` is the source pathway of emissions-driven scenarios, see emissions.js)
+ * @returns {string[]} list of human-readable problems (empty when valid)
+ */
+export function validateScenario(definition) {
+  if (!definition || typeof definition !== "object") {
+    return ["Scenario definition must be an object"];
+  }
+
+  const errors = [];
+  if (typeof definition.id !== "string" || !definition.id.trim()) {
+    errors.push("Scenario id must be a non-empty string");
+  }
+  if (typeof definition.label !== "string" || !definition.label.trim()) {
+    errors.push("Scenario needs a label");
+  }
+
+  const anchors = definition.temperaturesByYear;
+  if (!anchors || typeof anchors !== "object" || Object.keys(anchors).length === 0) {
+    errors.push("Scenario needs at least one year/temperature anchor");
+    return errors;
+  }
+
+  for (const [year, temp] of Object.entries(anchors)) {
+    const y = Number(year);
+    if (!Number.isInteger(y) || y < PROJECTION_BASELINE_YEAR || y > PROJECTION_END_YEAR) {
+      errors.push(`Anchor year ${year} must be a whole year from ${PROJECTION_BASELINE_YEAR} to ${PROJECTION_END_YEAR}`);
+    }
+    if (!Number.isFinite(temp) || temp < CUSTOM_TEMP_MIN || temp > CUSTOM_TEMP_MAX) {
+      errors.push(`Warming for ${year} must be between ${CUSTOM_TEMP_MIN} and ${CUSTOM_TEMP_MAX}°C`);
+    }
+  }
+
+  if (definition.warmingRangeByYear != null) {
+    for (const [year, range] of Object.entries(definition.warmingRangeByYear)) {
+      if (anchors[year] == null) {
+        errors.push(`Warming range for ${year} has no matching anchor`);
+      } else if (!Array.isArray(range) || range.length !== 2 || !(range[0] <= anchors[year] && anchors[year] <= range[1])) {
+        errors.push(`Warming range for ${year} must be [low, high] around ${anchors[year]}°C`);
+      }
+    }
+  }
+
+  return errors;
+}
+
 /**
- * Return list of available scenario presets.
+ * Register a user-defined scenario. It resolves through the same
+ * interpolation as the built-in presets.
+ * @param {object} definition - Scenario definition (see validateScenario)
+ * @param {object} options
+ * @param {boolean} options.replace - Allow overwriting an existing custom scenario
+ * @returns {object} the registered scenario
+ */
+export function registerScenario(definition, options = {}) {
+  const { replace = false } = options;
+  const errors = validateScenario(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scenario${definition?.label ? ` "${definition.label}"` : ""}: ${errors.join("; ")}`);
+  }
+
+  const id = definition.id.trim();
+  const existing = SCENARIO_DATA[id];
+  if (existing && !existing.custom) {
+    throw new Error(`Built-in scenario cannot be replaced: ${id}`);
+  }
+  if (existing && !replace) {
+    throw new Error(`Scenario id already registered: ${id}`);
+  }
+
+  const scenario = {
+    id,
+    label: definition.label.trim(),
+    description: definition.description || "Custom warming pathway",
+    custom: true,
+    temperaturesByYear: { ...definition.temperaturesByYear },
+    ...(definition.warmingRangeByYear ? { warmingRangeByYear: { ...definition.warmingRangeByYear } } : {}),
+    ...(definition.emissions ? { emissions: definition.emissions } : {}),
+  };
+  SCENARIO_DATA[id] = scenario;
+  notifyScenariosChanged();
+  return scenario;
+}
+
+/**
+ * Remove a user-defined scenario. Built-in presets cannot be removed.
+ * @returns {boolean} true if a scenario was removed
+ */
+export function removeScenario(id) {
+  const scenario = SCENARIO_DATA[id];
+  if (!scenario) return false;
+  if (!scenario.custom) {
+    throw new Error(`Built-in scenario cannot be removed: ${id}`);
+  }
+  delete SCENARIO_DATA[id];
+  notifyScenariosChanged();
+  return true;
+}
+
+/**
+ * Subscribe to custom scenario registrations and removals.
+ * @param {() => void} listener
+ * @returns {() => void} unsubscribe function
+ */
+export function onScenariosChanged(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+function notifyScenariosChanged() {
+  for (const listener of changeListeners) listener();
+}
+
+/**
+ * Return list of available scenario presets, built-ins first.
  */
 export function getScenarioPresets() {
   return Object.values(SCENARIO_DATA);
 }
 
+/**
+ * Return the user-defined scenarios only.
+ */
+export function getCustomScenarios() {
+  return Object.values(SCENARIO_DATA).filter((scenario) => scenario.custom);
+}
+
 /**
  * Return scenario by id.
  */
@@ -56,38 +315,112 @@ export function getScenarioById(id) {
 
 /**
  * Resolve projected temperature increase for a scenario/year pair.
- * Supports interpolation for future extensibility.
+ * Years between anchors are interpolated linearly, so any year from
+ * PROJECTION_BASELINE_YEAR to PROJECTION_END_YEAR resolves.
  */
 export function getProjectedTemp(scenarioId, year) {
   const scenario = getScenarioById(scenarioId);
   if (!scenario) {
     throw new Error(`Unknown scenario id: ${scenarioId}`);
   }
+  return interpolateByYear(scenario.temperaturesByYear, year);
+}
+
+/**
+ * Resolve the projected warming distribution for a scenario/year pair.
+ * @returns {{ median: number, p5: number, p95: number }} °C; p5/p95 equal
+ *   the median when the scenario has no warming range
+ */
+export function getProjectedWarming(scenarioId, year) {
+  const scenario = getScenarioById(scenarioId);
+  if (!scenario) {
+    throw new Error(`Unknown scenario id: ${scenarioId}`);
+  }
+
+  const median = interpolateByYear(scenario.temperaturesByYear, year);
+  if (!scenario.warmingRangeByYear) {
+    return { median, p5: median, p95: median };
+  }
+
+  const lowerByYear = {};
+  const upperByYear = {};
+  for (const [y, [lower, upper]] of Object.entries(scenario.warmingRangeByYear)) {
+    lowerByYear[y] = lower;
+    upperByYear[y] = upper;
+  }
+  return {
+    median,
+    p5: Math.min(median, interpolateByYear(lowerByYear, year)),
+    p95: Math.max(median, interpolateByYear(upperByYear, year)),
+  };
+}
 
-  const years = Object.keys(scenario.temperaturesByYear)
+/**
+ * Look up a value from a { year: value } table, interpolating linearly
+ * between anchors and clamping outside the known range.
+ */
+export function interpolateByYear(valuesByYear, year) {
+  const years = Object.keys(valuesByYear)
     .map((y) => Number(y))
     .sort((a, b) => a - b);
 
-  if (scenario.temperaturesByYear[year] != null) {
-    return scenario.temperaturesByYear[year];
+  if (valuesByYear[year] != null) {
+    return valuesByYear[year];
   }
 
   // Clamp outside known range.
-  if (year <= years[0]) return scenario.temperaturesByYear[years[0]];
-  if (year >= years[years.length - 1]) return scenario.temperaturesByYear[years[years.length - 1]];
+  if (year <= years[0]) return valuesByYear[years[0]];
+  if (year >= years[years.length - 1]) return valuesByYear[years[years.length - 1]];
 
   // Linear interpolation between nearest known anchors.
   for (let i = 0; i < years.length - 1; i++) {
     const y0 = years[i];
     const y1 = years[i + 1];
     if (year >= y0 && year <= y1) {
-      const t0 = scenario.temperaturesByYear[y0];
-      const t1 = scenario.temperaturesByYear[y1];
+      const t0 = valuesByYear[y0];
+      const t1 = valuesByYear[y1];
       const alpha = (year - y0) / (y1 - y0);
       return t0 + (t1 - t0) * alpha;
     }
   }
 
-  return scenario.temperaturesByYear[years[0]];
+  return valuesByYear[years[0]];
 }
 
+/**
+ * Resolve an annual temperature pathway for a scenario.
+ * @param {string} scenarioId - Scenario id
+ * @param {number} endYear - Last year (inclusive)
+ * @param {number} startYear - First year (inclusive), defaults to the baseline year
+ * @returns {{ years: number[], temperatures: number[], p5: number[], p95: number[] }}
+ *   central temperatures plus the 5–95% warming range for each year
+ */
+export function getTemperaturePathway(scenarioId, endYear, startYear = PROJECTION_BASELINE_YEAR) {
+  const years = [];
+  const temperatures = [];
+  const p5 = [];
+  const p95 = [];
+  for (let year = startYear; year <= endYear; year++) {
+    const warming = getProjectedWarming(scenarioId, year);
+    years.push(year);
+    temperatures.push(warming.median);
+    p5.push(warming.p5);
+    p95.push(warming.p95);
+  }
+  return { years, temperatures, p5, p95 };
+}
+
+/**
+ * Resolve the highest warming a scenario reaches from the baseline up to a
+ * year. Each of the median and the 5–95% bounds is its own running maximum.
+ * Equal to getProjectedWarming for pathways that have not yet peaked.
+ * @returns {{ median: number, p5: number, p95: number }} °C
+ */
+export function getPeakWarming(scenarioId, year) {
+  const pathway = getTemperaturePathway(scenarioId, Math.max(year, PROJECTION_BASELINE_YEAR));
+  return {
+    median: Math.max(...pathway.temperatures),
+    p5: Math.max(...pathway.p5),
+    p95: Math.max(...pathway.p95),
+  };
+}
@@ -0,0 +1,273 @@
+/**
+ * Random number sources for the Monte Carlo engine.
+ *
+ * A sampler hands out one vector of standard normal draws per iteration
+ * (one entry per dimension: each contributor, the warming draw, collapses,
+ * then auxiliary draws such as mixture branch selection). All samplers are
+ * deterministic for a given seed.
+ *
+ *   - mulberry32:  plain pseudo-random Monte Carlo (Box-Muller normals)
+ *   - antithetic:  plain draws in mirrored pairs (z, -z)
+ *   - lhs:         Latin Hypercube, one stratum per iteration in each dimension
+ *   - sobol:       Sobol low-discrepancy sequence with a random linear matrix
+ *                  scramble and digital shift per dimension (Matoušek 1998)
+ */
+import { normalQuantile } from "./distributions.js";
+
+export const DEFAULT_SAMPLER = "mulberry32";
+
+export const SAMPLERS = {
+  mulberry32: { id: "mulberry32", label: "Plain Monte Carlo" },
+  antithetic: { id: "antithetic", label: "Antithetic Variates" },
+  lhs: { id: "lhs", label: "Latin Hypercube" },
+  sobol: { id: "sobol", label: "Scrambled Sobol" },
+};
+
+/**
+ * Deterministic pseudo-random generator (Mulberry32).
+ * @param {number} seed - 32-bit unsigned seed
+ * @returns {() => number} function that returns a float in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function next() {
+    state += 0x6D2B79F5;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Box-Muller transform for normal distribution sampling
+export function sampleNormal(mean, stdDev, randomFn = Math.random) {
+  const u1 = Math.max(randomFn(), Number.EPSILON);
+  const u2 = randomFn();
+  const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  return mean + z * stdDev;
+}
+
+/**
+ * Create a sampler.
+ * @param {string} type - One of the SAMPLERS ids
+ * @param {object} options
+ * @param {number|null} options.seed - 32-bit seed, or null for a random one
+ * @param {number} options.dimensions - Normals per iteration
+ * @param {number} options.blockSize - Iterations per Latin Hypercube design
+ * @returns {{ type: string, nextNormals: () => number[] }}
+ */
+export function createSampler(type = DEFAULT_SAMPLER, options = {}) {
+  const { seed = null, dimensions, blockSize = 1000 } = options;
+  if (!SAMPLERS[type]) {
+    throw new Error(`Unknown sampler: ${type}`);
+  }
+
+  // Plain Monte Carlo draws every dimension from one Mulberry32 stream.
+  if (type === "mulberry32") {
+    const randomFn = seed !== null ? createSeededRandom(seed) : Math.random;
+    return {
+      type,
+      nextNormals: () => Array.from({ length: dimensions }, () => sampleNormal(0, 1, randomFn)),
+    };
+  }
+
+  const baseSeed = seed !== null ? seed >>> 0 : Math.floor(Math.random() * 4294967296);
+  const designRandom = createSeededRandom(baseSeed);
+
+  switch (type) {
+    case "antithetic":
+      return { type, nextNormals: createAntitheticSource(dimensions, designRandom) };
+    case "lhs":
+      return { type, nextNormals: createLatinHypercubeSource(dimensions, blockSize, designRandom) };
+    default:
+      return { type, nextNormals: createSobolSource(dimensions, designRandom) };
+  }
+}
+
+/**
+ * Antithetic variates: every second vector is the negation of the previous one.
+ */
+function createAntitheticSource(dimensions, randomFn) {
+  let pending = null;
+  return () => {
+    if (pending) {
+      const mirrored = pending.map((z) => -z);
+      pending = null;
+      return mirrored;
+    }
+    pending = Array.from({ length: dimensions }, () => sampleNormal(0, 1, randomFn));
+    return pending;
+  };
+}
+
+/**
+ * Latin Hypercube: each block of `blockSize` iterations places exactly one
+ * point in each of `blockSize` equal-probability strata per dimension.
+ */
+function createLatinHypercubeSource(dimensions, blockSize, randomFn) {
+  let permutations = [];
+  let index = blockSize;
+
+  function newDesign() {
+    permutations = Array.from({ length: dimensions }, () => {
+      const perm = Array.from({ length: blockSize }, (_, i) => i);
+      for (let i = blockSize - 1; i > 0; i--) {
+        const j = Math.floor(randomFn() * (i + 1));
+        [perm[i], perm[j]] = [perm[j], perm[i]];
+      }
+      return perm;
+    });
+    index = 0;
+  }
+
+  return () => {
+    if (index >= blockSize) newDesign();
+    const i = index++;
+    return permutations.map((perm) => {
+      const u = (perm[i] + randomFn()) / blockSize;
+      return normalQuantile(Math.min(Math.max(u, Number.EPSILON), 1 - Number.EPSILON));
+    });
+  };
+}
+
+/**
+ * Primitive polynomials and initial direction numbers for Sobol dimensions
+ * 2..21 (Joe & Kuo, new-joe-kuo-6.21201): [degree s, coefficients a, m_1..m_s].
+ */
+const SOBOL_PARAMETERS = [
+  [1, 0, [1]],
+  [2, 1, [1, 3]],
+  [3, 1, [1, 3, 1]],
+  [3, 2, [1, 1, 1]],
+  [4, 1, [1, 1, 3, 3]],
+  [4, 4, [1, 3, 5, 13]],
+  [5, 2, [1, 1, 5, 5, 17]],
+  [5, 4, [1, 1, 5, 5, 5]],
+  [5, 7, [1, 1, 7, 11, 19]],
+  [5, 11, [1, 1, 5, 1, 1]],
+  [5, 13, [1, 1, 1, 3, 11]],
+  [5, 14, [1, 3, 5, 5, 31]],
+  [6, 1, [1, 3, 3, 9, 7, 49]],
+  [6, 13, [1, 1, 1, 15, 21, 21]],
+  [6, 16, [1, 3, 1, 13, 27, 49]],
+  [6, 19, [1, 1, 1, 15, 7, 5]],
+  [6, 22, [1, 3, 1, 15, 13, 25]],
+  [6, 25, [1, 1, 5, 5, 19, 61]],
+  [7, 1, [1, 3, 7, 11, 23, 15, 103]],
+  [7, 4, [1, 3, 7, 13, 13, 15, 69]],
+];
+
+const SOBOL_BITS = 32;
+
+export const SOBOL_MAX_DIMENSIONS = SOBOL_PARAMETERS.length + 1;
+
+/**
+ * Direction numbers V_1..V_32 for one Sobol dimension (1-based).
+ */
+function sobolDirections(dimension) {
+  const v = new Array(SOBOL_BITS + 1).fill(0);
+
+  if (dimension === 1) {
+    for (let k = 1; k <= SOBOL_BITS; k++) {
+      v[k] = (1 << (SOBOL_BITS - k)) >>> 0;
+    }
+    return v;
+  }
+
+  const [s, a, m] = SOBOL_PARAMETERS[dimension - 2];
+  const mk = [0, ...m];
+  for (let k = s + 1; k <= SOBOL_BITS; k++) {
+    let value = mk[k - s] ^ (mk[k - s] << s);
+    for (let j = 1; j < s; j++) {
+      if ((a >> (s - 1 - j)) & 1) {
+        value ^= mk[k - j] << j;
+      }
+    }
+    mk[k] = value >>> 0;
+  }
+  for (let k = 1; k <= SOBOL_BITS; k++) {
+    v[k] = (mk[k] * 2 ** (SOBOL_BITS - k)) >>> 0;
+  }
+  return v;
+}
+
+/**
+ * Parity (XOR of all bits) of a 32-bit integer.
+ */
+function parity(x) {
+  let v = x >>> 0;
+  v ^= v >>> 16;
+  v ^= v >>> 8;
+  v ^= v >>> 4;
+  v ^= v >>> 2;
+  v ^= v >>> 1;
+  return v & 1;
+}
+
+/**
+ * Random lower-triangular binary matrix with a unit diagonal, stored as one
+ * 32-bit row mask per output digit (row i covers input digits 1..i, most
+ * significant first).
+ */
+function randomScrambleMatrix(randomFn) {
+  return Array.from({ length: SOBOL_BITS }, (_, i) => {
+    const diagonal = 2 ** (SOBOL_BITS - 1 - i);
+    // Bits above the diagonal are the more significant input digits.
+    const above = (Math.floor(randomFn() * 4294967296) & ~(2 * diagonal - 1)) >>> 0;
+    return (above | diagonal) >>> 0;
+  });
+}
+
+/**
+ * Multiply a 32-bit digit vector by a scramble matrix over GF(2).
+ */
+function applyScrambleMatrix(rows, x) {
+  let out = 0;
+  for (let i = 0; i < SOBOL_BITS; i++) {
+    if (parity(x & rows[i])) out |= 1 << (SOBOL_BITS - 1 - i);
+  }
+  return out >>> 0;
+}
+
+/**
+ * Sobol sequence (Gray-code order) with a random linear matrix scramble and
+ * digital shift per dimension, mapped to standard normals through the
+ * inverse CDF. The scramble is linear, so it is applied once to the
+ * direction numbers; every point of the scrambled sequence is then
+ * uniformly distributed while each 2^k block keeps its net stratification.
+ */
+function createSobolSource(dimensions, randomFn) {
+  if (dimensions > SOBOL_MAX_DIMENSIONS) {
+    throw new Error(`Sobol sampler supports up to ${SOBOL_MAX_DIMENSIONS} dimensions, got ${dimensions}`);
+  }
+
+  const directions = Array.from({ length: dimensions }, (_, d) => {
+    const rows = randomScrambleMatrix(randomFn);
+    return sobolDirections(d + 1).map((v) => applyScrambleMatrix(rows, v));
+  });
+  const shifts = Array.from({ length: dimensions }, () => Math.floor(randomFn() * 4294967296) >>> 0);
+  const state = new Array(dimensions).fill(0);
+  let index = 0;
+
+  return () => {
+    // Point 0 is the origin; after the shift it is a valid point like any other.
+    if (index > 0) {
+      // Position of the lowest zero bit of (index - 1) selects the direction.
+      let c = 1;
+      let n = index - 1;
+      while (n & 1) {
+        n >>>= 1;
+        c++;
+      }
+      for (let d = 0; d < dimensions; d++) {
+        state[d] = (state[d] ^ directions[d][c]) >>> 0;
+      }
+    }
+    index++;
+
+    return state.map((x, d) => {
+      const u = (((x ^ shifts[d]) >>> 0) + 0.5) / 4294967296;
+      return normalQuantile(u);
+    });
+  };
+}
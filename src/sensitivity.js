@@ -0,0 +1,238 @@
+/**
+ * Sensitivity of simulated sea level rise to contributor parameters.
+ *
+ * Every contributor's meanPerDeg, stdPerDeg and exponent is treated as an
+ * uncertain input varying uniformly over a relative range around its model
+ * value. The output is one statistic (median or p95 SLR) of a runSimulation
+ * at a fixed temperature. All evaluations share one seed (common random
+ * numbers), so differences between them come from the parameters alone.
+ *
+ *   - One-at-a-time (tornado): each parameter is set to the low and high end
+ *     of its range with all others at their model values.
+ *   - Sobol indices: first-order (Saltelli 2010) and total-effect (Jansen
+ *     1999) estimators from two random parameter matrices A and B plus one
+ *     pick-freeze matrix per parameter (A with that column taken from B).
+ */
+import { DEFAULT_MODEL_ID, getModelById, pickDefined, withParameters } from "./models.js";
+import { runSimulation } from "./simulation.js";
+import { createSeededRandom } from "./samplers.js";
+
+// Relative half-width of each parameter's range, e.g. 0.25 = ±25%.
+export const SENSITIVITY_PARAMETERS = {
+  meanPerDeg: { id: "meanPerDeg", label: "mean", range: 0.25 },
+  stdPerDeg: { id: "stdPerDeg", label: "spread", range: 0.5 },
+  exponent: { id: "exponent", label: "exponent", range: 0.1 },
+};
+
+export const SENSITIVITY_STATISTICS = ["median", "p95"];
+
+const SENSITIVITY_DEFAULTS = {
+  statistic: "median",
+  iterations: 500, // Monte Carlo iterations per evaluation
+  samples: 64, // rows of the A and B matrices
+};
+
+/**
+ * Run a full sensitivity analysis.
+ * @param {number} tempIncrease - Temperature increase in °C
+ * @param {object} options - See createSensitivityRun
+ * @returns {object} - Sensitivity results (see createSensitivityRun)
+ */
+export function runSensitivityAnalysis(tempIncrease, options = {}) {
+  const run = createSensitivityRun(tempIncrease, options);
+  run.step(run.total);
+  return run.finish();
+}
+
+/**
+ * Create an incremental sensitivity analysis; `total` and `completed` count
+ * runSimulation evaluations so the worker can report progress.
+ *
+ * finish() returns { tempIncrease, statistic, baseline, tornado, sobol,
+ * outputVariance, evaluations, iterationsPerEvaluation, samples }, where
+ * tornado entries ({ contributor, name, parameter, low, high, lowValue,
+ * highValue, swing }) are sorted by swing and sobol entries ({ contributor,
+ * name, parameter, first, total }) by total effect. Values are in meters.
+ *
+ * @param {number} tempIncrease - Temperature increase in °C (must be > 0)
+ * @param {object} options
+ * @param {string} options.statistic - "median" (default) or "p95"
+ * @param {number} options.iterations - Iterations per evaluation (default 500)
+ * @param {number} options.samples - Sobol base sample size N (default 64);
+ *   the analysis runs 1 + 2k + N(k + 2) evaluations for k parameters
+ * @param {number|null} options.seed - Seed shared by every evaluation and
+ *   used for the parameter matrices
+ * @param {string} options.modelId, options.model, options.sampler,
+ *   options.horizon, options.collapses, options.warming,
+ *   options.peakWarming - Passed to runSimulation (adaptive runs are not
+ *   supported: every evaluation uses `iterations`)
+ * @returns {object} - { total, completed, done, step(batchSize), finish() }
+ */
+export function createSensitivityRun(tempIncrease, options = {}) {
+  const { statistic, iterations, samples } = { ...SENSITIVITY_DEFAULTS, ...pickDefined(options) };
+  if (!SENSITIVITY_STATISTICS.includes(statistic)) {
+    throw new Error(`Sensitivity statistic must be one of ${SENSITIVITY_STATISTICS.join(", ")}`);
+  }
+  if (!Number.isInteger(iterations) || iterations <= 0 || !Number.isInteger(samples) || samples < 2) {
+    throw new Error("Sensitivity analysis needs a positive integer iterations and samples >= 2");
+  }
+  if (!(tempIncrease > 0)) {
+    throw new Error("Sensitivity analysis needs a temperature increase above 0°C");
+  }
+
+  const model = options.model || getModelById(options.modelId ?? DEFAULT_MODEL_ID);
+  if (!model) {
+    throw new Error(`Unknown model id: ${options.modelId}`);
+  }
+  const seed = Number.isInteger(options.seed) && options.seed >= 0 ? options.seed >>> 0 : 1;
+  const simulationOptions = {
+    seed,
+    sampler: options.sampler,
+    horizon: options.horizon,
+    collapses: options.collapses,
+    warming: options.warming,
+    peakWarming: options.peakWarming,
+    compareIndependent: false,
+  };
+
+  // One input per contributor parameter, in a fixed order.
+  const inputs = [];
+  for (const [key, contributor] of Object.entries(model.contributors)) {
+    for (const parameter of Object.values(SENSITIVITY_PARAMETERS)) {
+      const value = contributor[parameter.id];
+      inputs.push({
+        contributor: key,
+        name: contributor.name,
+        parameter: parameter.id,
+        low: value * (1 - parameter.range),
+        high: value * (1 + parameter.range),
+      });
+    }
+  }
+  const k = inputs.length;
+
+  // Unit-interval design: A and B rows, then one pick-freeze row per (row, parameter).
+  const random = createSeededRandom((seed ^ 0x5bd1e995) >>> 0);
+  const matrixA = Array.from({ length: samples }, () => inputs.map(() => random()));
+  const matrixB = Array.from({ length: samples }, () => inputs.map(() => random()));
+
+  const evaluations = [{ kind: "baseline", point: null }];
+  inputs.forEach((_, i) => {
+    evaluations.push({ kind: "low", input: i, point: null });
+    evaluations.push({ kind: "high", input: i, point: null });
+  });
+  for (let r = 0; r < samples; r++) {
+    evaluations.push({ kind: "A", row: r, point: matrixA[r] });
+    evaluations.push({ kind: "B", row: r, point: matrixB[r] });
+    for (let i = 0; i < k; i++) {
+      const point = [...matrixA[r]];
+      point[i] = matrixB[r][i];
+      evaluations.push({ kind: "AB", row: r, input: i, point });
+    }
+  }
+  const total = evaluations.length;
+  const outputs = new Float64Array(total);
+  let completed = 0;
+
+  function evaluate(evaluation) {
+    let values;
+    if (evaluation.point) {
+      values = evaluation.point.map((u, i) => inputs[i].low + u * (inputs[i].high - inputs[i].low));
+    } else if (evaluation.kind === "baseline") {
+      values = null;
+    } else {
+      values = inputs.map((input, i) =>
+        i === evaluation.input ? input[evaluation.kind] : model.contributors[input.contributor][input.parameter]
+      );
+    }
+    const result = runSimulation(tempIncrease, iterations, {
+      ...simulationOptions,
+      model: values ? withParameters(model, inputs, values) : model,
+    });
+    return result.stats[statistic];
+  }
+
+  return {
+    total,
+    get completed() {
+      return completed;
+    },
+    get done() {
+      return completed >= total;
+    },
+
+    step(batchSize) {
+      const end = Math.min(total, completed + batchSize);
+      for (; completed < end; completed++) {
+        outputs[completed] = evaluate(evaluations[completed]);
+      }
+      return completed;
+    },
+
+    finish() {
+      const byKind = { low: [], high: [], A: [], B: [], AB: inputs.map(() => []) };
+      let baseline = 0;
+      evaluations.forEach((evaluation, e) => {
+        if (evaluation.kind === "baseline") baseline = outputs[e];
+        else if (evaluation.kind === "AB") byKind.AB[evaluation.input][evaluation.row] = outputs[e];
+        else if (evaluation.kind === "A" || evaluation.kind === "B") byKind[evaluation.kind][evaluation.row] = outputs[e];
+        else byKind[evaluation.kind][evaluation.input] = outputs[e];
+      });
+
+      const tornado = inputs
+        .map((input, i) => ({
+          contributor: input.contributor,
+          name: input.name,
+          parameter: input.parameter,
+          low: input.low,
+          high: input.high,
+          lowValue: byKind.low[i],
+          highValue: byKind.high[i],
+          swing: Math.abs(byKind.high[i] - byKind.low[i]),
+        }))
+        .sort((a, b) => b.swing - a.swing);
+
+      const { A, B } = byKind;
+      const pooled = [...A, ...B];
+      const outputMean = pooled.reduce((sum, v) => sum + v, 0) / pooled.length;
+      const outputVariance = variance(pooled, outputMean);
+      const sobol = inputs
+        .map((input, i) => {
+          const AB = byKind.AB[i];
+          let firstSum = 0;
+          let totalSum = 0;
+          for (let r = 0; r < samples; r++) {
+            // Centering B leaves the estimator unbiased and cuts its variance.
+            firstSum += (B[r] - outputMean) * (AB[r] - A[r]);
+            totalSum += (A[r] - AB[r]) ** 2;
+          }
+          return {
+            contributor: input.contributor,
+            name: input.name,
+            parameter: input.parameter,
+            first: outputVariance > 0 ? firstSum / samples / outputVariance : 0,
+            total: outputVariance > 0 ? totalSum / (2 * samples) / outputVariance : 0,
+          };
+        })
+        .sort((a, b) => b.total - a.total);
+
+      return {
+        tempIncrease,
+        statistic,
+        modelId: model.id,
+        seedUsed: seed,
+        baseline,
+        tornado,
+        sobol,
+        outputVariance,
+        evaluations: completed,
+        iterationsPerEvaluation: iterations,
+        samples,
+      };
+    },
+  };
+}
+
+function variance(values, mean) {
+  return values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+}
@@ -4,97 +4,212 @@
  * Based on IPCC AR5/AR6 semi-empirical approach.
  * Models 5 contributors to sea level rise, each with uncertainty.
  * Uses non-linear scaling for ice sheet dynamics at higher temperatures.
+ * Contributor parameters come from the model registry in models.js.
  */
+import { DEFAULT_MODEL_ID, getModelById } from "./models.js";
+import { drawAuxiliary, needsAuxiliary, sampleDistribution, sampleSplitNormal } from "./distributions.js";
+import { DEFAULT_SAMPLER, createSampler } from "./samplers.js";
+import { DEFAULT_HORIZON, applyHorizon, resolveCollapses } from "./commitment.js";
 
-// Box-Muller transform for normal distribution sampling
-function sampleNormal(mean, stdDev, randomFn = Math.random) {
-  const u1 = Math.max(randomFn(), Number.EPSILON);
-  const u2 = randomFn();
-  const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-  return mean + z * stdDev;
+/**
+ * Mean contribution for a contributor at a given temperature:
+ * meanPerDeg * T^exponent plus any extra power-law terms.
+ */
+function contributorMean(contributor, tempIncrease) {
+  // Apply non-linear scaling: contribution scales as T^exponent
+  let mean = contributor.meanPerDeg * Math.pow(tempIncrease, contributor.exponent);
+  for (const term of contributor.extraTerms || []) {
+    mean += term.coefficient * Math.pow(tempIncrease, term.exponent);
+  }
+  return mean;
 }
 
 /**
- * Deterministic pseudo-random generator (Mulberry32).
- * @param {number} seed - 32-bit unsigned seed
- * @returns {() => number} function that returns a float in [0, 1)
+ * Expected contribution at a temperature, ignoring the clamp at zero:
+ * the contributor mean, blended with the mixture branch mean if any, and
+ * limited to the contributor's cap (long response horizons).
  */
-function createSeededRandom(seed) {
-  let state = seed >>> 0;
-  return function next() {
-    state += 0x6D2B79F5;
-    let t = state;
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
+function contributorExpectedValue(contributor, tempIncrease) {
+  let expected = contributorMean(contributor, tempIncrease);
+  const { distribution } = contributor;
+  if (distribution.type === "mixture") {
+    const { branch, branchProbability } = distribution;
+    const branchMean = branch.meanPerDeg * Math.pow(tempIncrease, branch.exponent ?? contributor.exponent);
+    expected = (1 - branchProbability) * expected + branchProbability * branchMean;
+  }
+  return contributor.maxContribution != null ? Math.min(expected, contributor.maxContribution) : expected;
 }
 
-// Clamp to non-negative
-function clampPositive(val) {
-  return Math.max(0, val);
-}
-
-/**
- * Sea level rise contributors per degree of warming.
- * Mean and standard deviation in meters.
- * Based on IPCC AR6 WG1 Chapter 9 ranges.
- */
-const CONTRIBUTORS = {
-  thermalExpansion: {
-    name: "Thermal Expansion",
-    meanPerDeg: 0.12,
-    stdPerDeg: 0.04,
-    nonLinearExponent: 1.0, // linear
-  },
-  glaciers: {
-    name: "Mountain Glaciers",
-    meanPerDeg: 0.10,
-    stdPerDeg: 0.03,
-    nonLinearExponent: 0.9, // slightly sub-linear (glaciers deplete)
-  },
-  greenland: {
-    name: "Greenland Ice Sheet",
-    meanPerDeg: 0.06,
-    stdPerDeg: 0.04,
-    nonLinearExponent: 1.4, // super-linear at higher temps
-  },
-  antarctic: {
-    name: "Antarctic Ice Sheet",
-    meanPerDeg: 0.05,
-    stdPerDeg: 0.08,
-    nonLinearExponent: 1.8, // highly non-linear (MICI risk)
-  },
-  landWater: {
-    name: "Land Water Storage",
-    meanPerDeg: 0.01,
-    stdPerDeg: 0.01,
-    nonLinearExponent: 1.0,
-  },
-};
+/**
+ * Sample one contributor value from its distribution at a temperature.
+ * @param {object} contributor - Contributor from the model
+ * @param {number} tempIncrease - Temperature increase in °C
+ * @param {number} z - Standard normal driver (possibly correlated)
+ * @param {object|null} aux - Per-iteration auxiliary draws (see drawAuxiliary)
+ */
+function sampleContributor(contributor, tempIncrease, z, aux) {
+  const mean = contributorMean(contributor, tempIncrease);
+  // Standard deviation scales with sqrt of temperature for stability
+  const std = contributor.stdPerDeg * Math.sqrt(tempIncrease);
+
+  let branchMoments = null;
+  const { distribution } = contributor;
+  if (distribution.type === "mixture") {
+    const { branch } = distribution;
+    branchMoments = {
+      mean: branch.meanPerDeg * Math.pow(tempIncrease, branch.exponent ?? contributor.exponent),
+      std: branch.stdPerDeg * Math.sqrt(tempIncrease),
+    };
+  }
+
+  const value = sampleDistribution(distribution, mean, std, z, aux, branchMoments);
+  return contributor.maxContribution != null ? Math.min(value, contributor.maxContribution) : value;
+}
+
+/**
+ * Apply the model's correlation structure to independent standard normals.
+ * Returns the input unchanged when the model has no correlations.
+ */
+function correlateNormals(model, normals) {
+  const lower = model.correlation?.cholesky;
+  if (!lower) return normals;
+
+  return lower.map((row, i) => {
+    let sum = 0;
+    for (let k = 0; k <= i; k++) {
+      sum += row[k] * normals[k];
+    }
+    return sum;
+  });
+}
 
 /**
  * Run a single Monte Carlo iteration for a given temperature increase.
- * @param {number} tempIncrease - Temperature increase in °C
- * @returns {object} - { total, breakdown }
+ * Takes one standard normal per contributor from the sampler, correlates
+ * them through the model's Cholesky factor, then maps each through its
+ * contributor's distribution. With a warming range, the sampler supplies one
+ * extra normal that first draws this iteration's temperature. With a peak
+ * warming, irreversible contributors respond to the peak (drawn at the same
+ * percentile) instead of the current temperature. Each what-if collapse
+ * takes one more normal for its sea level equivalent, and each auxiliary
+ * draw (e.g. a mixture branch choice) one after those.
+ * @param {object} model - Contributor model from the registry
+ * @param {number} tempIncrease - Temperature increase in °C (median when warming is set)
+ * @param {object} sampler - Sampler from createSampler
+ * @param {object|null} warming - { p5, p95 } warming range in °C
+ * @param {object|null} peak - { median, p5, p95 } peak warming so far in °C
+ * @param {object[]} collapses - What-if collapse events (see commitment.js)
+ * @returns {object} - { total, breakdown, independentTotal, temperature, expectedTotal }
+ *   where independentTotal uses the same draws without correlation and
+ *   expectedTotal is the expected total at the sampled temperature
  */
-function singleIteration(tempIncrease, randomFn = Math.random) {
+function singleIteration(model, tempIncrease, sampler, warming = null, peak = null, collapses = []) {
+  const entries = Object.entries(model.contributors);
+  const normals = sampler.nextNormals();
+  const correlated = correlateNormals(model, normals);
+  const auxiliary = drawAuxiliaries(entries, normals, entries.length + (warming ? 1 : 0) + collapses.length);
+  const temperature = warming
+    ? Math.max(0, sampleSplitNormal(tempIncrease, warming.p5, warming.p95, normals[entries.length]))
+    : tempIncrease;
+  let peakTemperature = temperature;
+  if (peak) {
+    const peakDraw = warming ? sampleSplitNormal(peak.median, peak.p5, peak.p95, normals[entries.length]) : peak.median;
+    peakTemperature = Math.max(temperature, peakDraw);
+  }
   const breakdown = {};
   let total = 0;
+  let independentTotal = 0;
+  let expectedTotal = 0;
 
-  for (const [key, contributor] of Object.entries(CONTRIBUTORS)) {
-    // Apply non-linear scaling: contribution scales as T^exponent
-    const scaledTemp = Math.pow(tempIncrease, contributor.nonLinearExponent);
-    const mean = contributor.meanPerDeg * scaledTemp;
-    // Standard deviation scales with sqrt of temperature for stability
-    const std = contributor.stdPerDeg * Math.sqrt(tempIncrease);
-
-    const value = clampPositive(sampleNormal(mean, std, randomFn));
+  entries.forEach(([key, contributor], i) => {
+    const temp = contributor.irreversible ? peakTemperature : temperature;
+    const value = sampleContributor(contributor, temp, correlated[i], auxiliary[i]);
     breakdown[key] = value;
     total += value;
+    independentTotal += correlated === normals ? value : sampleContributor(contributor, temp, normals[i], auxiliary[i]);
+    if (warming) expectedTotal += contributorExpectedValue(contributor, temp);
+  });
+
+  // A collapse that tops up a modelled contributor only adds what the model has not yet lost.
+  const collapseOffset = entries.length + (warming ? 1 : 0);
+  collapses.forEach((event, i) => {
+    const loss = Math.max(0, sampleSplitNormal(event.median, event.p5, event.p95, normals[collapseOffset + i]));
+    const value = Math.max(0, loss - (event.tops ? breakdown[event.tops] ?? 0 : 0));
+    breakdown[event.id] = value;
+    total += value;
+    independentTotal += value;
+    expectedTotal += value;
+  });
+
+  return { total, breakdown, independentTotal, temperature, expectedTotal };
+}
+
+/**
+ * Check a warming range against its median. A zero-width range means no
+ * warming uncertainty and resolves to null.
+ * @returns {object|null} - { p5, p95 }
+ */
+function resolveWarming(warming, median) {
+  if (!warming) return null;
+  const { p5, p95 } = warming;
+  if (!Number.isFinite(p5) || !Number.isFinite(p95) || p5 > median || p95 < median) {
+    throw new Error(`Warming range must satisfy p5 <= ${median} <= p95, got [${p5}, ${p95}]`);
+  }
+  return p5 === median && p95 === median ? null : { p5, p95 };
+}
+
+/**
+ * Number of sampler dimensions a model's auxiliary draws take.
+ */
+function countAuxiliaryDimensions(model) {
+  return Object.values(model.contributors).filter((c) => needsAuxiliary(c.distribution)).length;
+}
+
+/**
+ * Make each contributor's auxiliary draws from the sampler normals starting
+ * at `offset`, one dimension per contributor that needs one.
+ * @returns {Array<object|null>} per contributor, see drawAuxiliary
+ */
+function drawAuxiliaries(entries, normals, offset) {
+  let next = offset;
+  return entries.map(([, contributor]) =>
+    drawAuxiliary(contributor.distribution, needsAuxiliary(contributor.distribution) ? normals[next++] : null)
+  );
+}
+
+/**
+ * Check a peak warming against the current one. A peak that is not above
+ * the current warming changes nothing and resolves to null.
+ * @param {object|null} peak - { median, p5?, p95? } (°C)
+ * @param {number} median - Current warming (°C)
+ * @param {object|null} warming - Resolved current warming range
+ * @returns {object|null} - { median, p5, p95 }
+ */
+function resolvePeakWarming(peak, median, warming) {
+  if (!peak) return null;
+  const { median: peakMedian, p5 = peakMedian, p95 = peakMedian } = peak;
+  if (!Number.isFinite(peakMedian) || peakMedian < median) {
+    throw new Error(`Peak warming must be at least the current warming ${median}, got ${peakMedian}`);
+  }
+  if (!Number.isFinite(p5) || !Number.isFinite(p95) || p5 > peakMedian || p95 < peakMedian) {
+    throw new Error(`Peak warming range must satisfy p5 <= ${peakMedian} <= p95, got [${p5}, ${p95}]`);
   }
+  const raised = warming ? peakMedian > median || p5 > warming.p5 || p95 > warming.p95 : peakMedian > median;
+  return raised ? { median: peakMedian, p5, p95 } : null;
+}
 
-  return { total, breakdown };
+/**
+ * Resolve the contributor model for a run. An explicit model object wins
+ * over a registry id so callers without access to the registry (e.g. a
+ * worker) can pass the definition directly.
+ */
+function resolveModel(modelId, model) {
+  if (model) return model;
+  const resolved = getModelById(modelId ?? DEFAULT_MODEL_ID);
+  if (!resolved) {
+    throw new Error(`Unknown model id: ${modelId}`);
+  }
+  return resolved;
 }
 
 /**
@@ -103,71 +218,604 @@ function singleIteration(tempIncrease, randomFn = Math.random) {
  * @param {number} iterations - Number of Monte Carlo iterations (default 1000)
  * @param {object} options - Simulation options
  * @param {number|null} options.seed - Optional 32-bit seed for deterministic runs
+ * @param {string} options.modelId - Registered contributor model id (default "ar6")
+ * @param {object} options.model - Contributor model object, overrides modelId
+ * @param {boolean} options.compareIndependent - For correlated models, also
+ *   summarise the same draws sampled independently (default true)
+ * @param {string} options.sampler - Sampler id: "mulberry32" (default),
+ *   "antithetic", "lhs" or "sobol" (see samplers.js)
+ * @param {object|null} options.adaptive - Keep sampling in batches until the
+ *   95% confidence half-width of `statistic` is at most `tolerance`:
+ *   { statistic: "p95", tolerance: 0.005 (m), batchSize: iterations, maxIterations: 100000 }
+ * @param {object|null} options.warming - 5–95% warming range { p5, p95 } (°C)
+ *   around tempIncrease. Each iteration then samples its temperature from a
+ *   split normal, and the result reports `warming` and `uncertaintySplit`.
+ * @param {object|null} options.peakWarming - Highest warming reached so far,
+ *   { median, p5?, p95? } (°C). Irreversible contributors (ice sheets) are
+ *   sampled at the peak rather than at tempIncrease, so sea level does not
+ *   fall when warming declines after an overshoot. Reported as `peakWarming`.
+ * @param {string} options.horizon - Response horizon id (see commitment.js):
+ *   "century" (default), "by2300", "by2500" or "equilibrium"
+ * @param {string[]} options.collapses - What-if collapse ids added as extra
+ *   contributors, e.g. ["waisCollapse"]
  * @returns {object} - Simulation results
  */
 export function runSimulation(tempIncrease, iterations = 1000, options = {}) {
-  const { seed = null } = options;
-
-  if (tempIncrease <= 0) {
-    return {
-      tempIncrease: 0,
-      iterations: 0,
-      results: [],
-      stats: {
-        mean: 0,
-        median: 0,
-        p5: 0,
-        p95: 0,
-        min: 0,
-        max: 0,
-      },
-      contributorStats: {},
-      seedUsed: null,
-    };
-  }
+  const run = createSimulationRun(tempIncrease, iterations, options);
+  run.step(run.total);
+  return attachResultQueries(run.finish());
+}
+
+/**
+ * Create an incremental simulation run that can be advanced in batches.
+ *
+ * Used by the Web Worker to report progress and honour cancellation between
+ * batches. Stepping a run to completion gives exactly the same samples as
+ * runSimulation with the same arguments. In adaptive mode `total` is the
+ * iteration cap and the run is done as soon as the requested precision is met.
+ * `finish()` returns plain data so it can be posted from the worker; call
+ * attachResultQueries on the receiving side.
+ *
+ * @param {number} tempIncrease - Temperature increase in °C
+ * @param {number} iterations - Number of Monte Carlo iterations (batch size when adaptive)
+ * @param {object} options - Same options as runSimulation
+ * @returns {object} - { total, completed, done, converged, step(batchSize), finish() }
+ */
+export function createSimulationRun(tempIncrease, iterations = 1000, options = {}) {
+  const {
+    seed = null,
+    modelId = DEFAULT_MODEL_ID,
+    compareIndependent = true,
+    sampler: samplerType = DEFAULT_SAMPLER,
+    adaptive = null,
+    horizon = DEFAULT_HORIZON,
+  } = options;
+  const model = applyHorizon(resolveModel(modelId, options.model), horizon);
+  const collapses = resolveCollapses(options.collapses);
+  const seedUsed = Number.isInteger(seed) && seed >= 0 ? seed >>> 0 : null;
+  const warming = resolveWarming(options.warming, tempIncrease);
+  const peak = resolvePeakWarming(options.peakWarming, tempIncrease, warming);
+  const adaptiveConfig = adaptive ? resolveAdaptiveConfig(adaptive, iterations) : null;
+  const cap = adaptiveConfig ? adaptiveConfig.maxIterations : iterations;
+  const total = tempIncrease > 0 ? cap : 0;
+  const trackIndependent = compareIndependent && model.correlation != null;
 
   const results = [];
+  const independentResults = [];
+  const sampledTemperatures = [];
+  const expectedTotals = [];
   const contributorTotals = {};
 
-  for (const key of Object.keys(CONTRIBUTORS)) {
+  const contributorNames = {};
+  for (const [key, contributor] of Object.entries(model.contributors)) {
+    contributorNames[key] = contributor.name;
+  }
+  for (const event of collapses) {
+    contributorNames[event.id] = event.name;
+  }
+  for (const key of Object.keys(contributorNames)) {
     contributorTotals[key] = [];
   }
 
-  const randomFn =
-    Number.isInteger(seed) && seed >= 0
-      ? createSeededRandom(seed >>> 0)
-      : Math.random;
+  const sampler = createSampler(samplerType, {
+    seed: seedUsed,
+    // One extra dimension drives the warming draw, one more each collapse
+    // and each auxiliary draw.
+    dimensions:
+      Object.keys(model.contributors).length + (warming ? 1 : 0) + collapses.length + countAuxiliaryDimensions(model),
+    // Adaptive runs get a fresh Latin Hypercube design per batch.
+    blockSize: Math.max(adaptiveConfig ? adaptiveConfig.batchSize : total, 1),
+  });
+  let completed = 0;
+  let converged = false;
+
+  return {
+    total,
+    get completed() {
+      return completed;
+    },
+    get done() {
+      return completed >= total || converged;
+    },
+    get converged() {
+      return converged;
+    },
+
+    /**
+     * Run up to batchSize more iterations (fewer if an adaptive run converges).
+     * @returns {number} iterations completed so far
+     */
+    step(batchSize) {
+      const end = Math.min(total, completed + batchSize);
+      while (completed < end && !converged) {
+        const {
+          total: iterationTotal,
+          breakdown,
+          independentTotal,
+          temperature,
+          expectedTotal,
+        } = singleIteration(model, tempIncrease, sampler, warming, peak, collapses);
+        results.push(iterationTotal);
+        if (trackIndependent) independentResults.push(independentTotal);
+        if (warming) {
+          sampledTemperatures.push(temperature);
+          expectedTotals.push(expectedTotal);
+        }
+
+        for (const [key, value] of Object.entries(breakdown)) {
+          contributorTotals[key].push(value);
+        }
+        completed++;
+
+        if (adaptiveConfig && completed % adaptiveConfig.batchSize === 0) {
+          const sorted = [...results].sort((a, b) => a - b);
+          const { halfWidth } = computeConfidence(sorted)[adaptiveConfig.statistic];
+          converged = halfWidth <= adaptiveConfig.tolerance;
+        }
+      }
+      return completed;
+    },
+
+    /**
+     * Summarise the samples drawn so far into a simulation result.
+     */
+    finish() {
+      if (total === 0) {
+        return emptyResult(model);
+      }
+
+      // Sort results for percentile calculation
+      results.sort((a, b) => a - b);
+
+      const stats = computeStats(results);
+      const contributorStats = {};
+
+      for (const [key, values] of Object.entries(contributorTotals)) {
+        const sorted = [...values].sort((a, b) => a - b);
+        contributorStats[key] = {
+          name: contributorNames[key],
+          ...computeStats(sorted),
+        };
+      }
+
+      return {
+        tempIncrease,
+        iterations: completed,
+        modelId: model.id,
+        sampler: sampler.type,
+        seedUsed,
+        results,
+        stats,
+        confidence: computeConfidence(results),
+        adaptive: adaptiveConfig ? { ...adaptiveConfig, converged } : null,
+        warming: warming
+          ? {
+              median: tempIncrease,
+              ...warming,
+              sampledStats: computeStats([...sampledTemperatures].sort((a, b) => a - b)),
+            }
+          : null,
+        uncertaintySplit: warming ? computeUncertaintySplit(results, expectedTotals) : null,
+        peakWarming: peak,
+        horizon,
+        collapses: collapses.map((event) => event.id),
+        contributorStats,
+        correlationImpact: trackIndependent ? computeCorrelationImpact(stats, independentResults) : null,
+      };
+    },
+  };
+}
+
+/**
+ * Run a time-evolving Monte Carlo simulation along a temperature pathway.
+ * @param {object} pathway - { years: number[], temperatures: number[] } (annual)
+ * @param {number} iterations - Number of Monte Carlo iterations
+ * @param {object} options - Same options as runSimulation
+ * @returns {object} - Trajectory results (see createTrajectoryRun)
+ */
+export function runTrajectorySimulation(pathway, iterations = 1000, options = {}) {
+  const run = createTrajectoryRun(pathway, iterations, options);
+  run.step(run.total);
+  return run.finish();
+}
+
+/**
+ * Create an incremental trajectory run.
+ *
+ * Each iteration draws one (correlated) sensitivity anomaly and one set of
+ * auxiliary distribution draws per contributor (from sampler dimensions
+ * after the warming draw), then steps
+ * year by year: the contributor's equilibrium response to that year's
+ * temperature is approached with an e-folding lag of responseTimescale
+ * years, so sea level keeps catching up with past warming. The first
+ * pathway year is the reference: sea level is zero there and the response
+ * starts from the second year.
+ *
+ * Irreversible contributors (ice sheets) respond to the highest temperature
+ * reached so far, so after a warming peak they keep rising towards the peak
+ * equilibrium instead of falling back. The sum of the equilibria each year is
+ * the committed sea level: where sea level would settle if warming held at
+ * that year's level, while the realised (lagged) level is still catching up.
+ *
+ * With `options.warming` ({ p5: number[], p95: number[] } per pathway year),
+ * each iteration also draws one warming percentile and follows that
+ * percentile of the warming range in every year, so hot and cool pathways
+ * stay consistent over time.
+ *
+ * finish() returns per-year sorted sample distributions, per-year stats,
+ * contributor stats, rate-of-rise stats in mm/yr (null for the first year,
+ * which has no previous year), committed sea level stats and the running
+ * peak of the central temperature.
+ *
+ * @param {object} pathway - { years: number[], temperatures: number[] } with
+ *   consecutive integer years
+ * @param {number} iterations - Number of Monte Carlo iterations
+ * @param {object} options - Same options as runSimulation (warming as arrays)
+ * @returns {object} - { total, completed, done, step(batchSize), finish() }
+ */
+export function createTrajectoryRun(pathway, iterations = 1000, options = {}) {
+  const { seed = null, modelId = DEFAULT_MODEL_ID, sampler: samplerType = DEFAULT_SAMPLER } = options;
+  const model = resolveModel(modelId, options.model);
+  const seedUsed = Number.isInteger(seed) && seed >= 0 ? seed >>> 0 : null;
+  const { years, temperatures } = pathway;
+  assertAnnualPathway(years);
+  const yearCount = years.length;
+  const total = yearCount > 0 ? iterations : 0;
+  const warmingRanges = options.warming
+    ? years.map((_, y) => resolveWarming({ p5: options.warming.p5[y], p95: options.warming.p95[y] }, temperatures[y]))
+    : null;
+  const warming = warmingRanges?.some((range) => range !== null) ? warmingRanges : null;
+
+  const contributorEntries = Object.entries(model.contributors);
+  // Fraction of the gap to equilibrium closed in one year.
+  const relaxation = contributorEntries.map(([, c]) =>
+    c.responseTimescale > 0 ? 1 - Math.exp(-1 / c.responseTimescale) : 1
+  );
+
+  const totalsByYear = years.map(() => new Float64Array(total));
+  const expectedByYear = warming ? years.map(() => new Float64Array(total)) : null;
+  const committedByYear = years.map(() => new Float64Array(total));
+  const contributorByYear = {};
+  for (const [key] of contributorEntries) {
+    contributorByYear[key] = years.map(() => new Float64Array(total));
+  }
+
+  const sampler = createSampler(samplerType, {
+    seed: seedUsed,
+    dimensions: contributorEntries.length + (warming ? 1 : 0) + countAuxiliaryDimensions(model),
+    blockSize: Math.max(total, 1),
+  });
+  const anomalies = new Float64Array(contributorEntries.length);
+  const levels = new Float64Array(contributorEntries.length);
+  const expectedLevels = new Float64Array(contributorEntries.length);
+  let completed = 0;
+
+  return {
+    total,
+    get completed() {
+      return completed;
+    },
+    get done() {
+      return completed >= total;
+    },
+
+    step(batchSize) {
+      const end = Math.min(total, completed + batchSize);
+      for (; completed < end; completed++) {
+        const normals = sampler.nextNormals();
+        const correlated = correlateNormals(model, normals);
+        const auxiliary = drawAuxiliaries(contributorEntries, normals, contributorEntries.length + (warming ? 1 : 0));
+        for (let c = 0; c < contributorEntries.length; c++) {
+          anomalies[c] = correlated[c];
+          levels[c] = 0;
+          expectedLevels[c] = 0;
+        }
+        const warmingDriver = warming ? normals[contributorEntries.length] : 0;
+        let peakTemp = 0;
+
+        for (let y = 0; y < yearCount; y++) {
+          const range = warming?.[y];
+          const temp = Math.max(
+            0,
+            range ? sampleSplitNormal(temperatures[y], range.p5, range.p95, warmingDriver) : temperatures[y]
+          );
+          peakTemp = Math.max(peakTemp, temp);
+          let yearTotal = 0;
+          let expectedTotal = 0;
+          let committedTotal = 0;
+          for (let c = 0; c < contributorEntries.length; c++) {
+            const [key, contributor] = contributorEntries[c];
+            const forcing = contributor.irreversible ? peakTemp : temp;
+            const equilibrium = sampleContributor(contributor, forcing, anomalies[c], auxiliary[c]);
+            if (y > 0) levels[c] += (equilibrium - levels[c]) * relaxation[c];
+            contributorByYear[key][y][completed] = levels[c];
+            yearTotal += levels[c];
+            committedTotal += equilibrium;
+            if (warming && y > 0) {
+              expectedLevels[c] += (contributorExpectedValue(contributor, forcing) - expectedLevels[c]) * relaxation[c];
+              expectedTotal += expectedLevels[c];
+            }
+          }
+          totalsByYear[y][completed] = yearTotal;
+          committedByYear[y][completed] = committedTotal;
+          if (warming) expectedByYear[y][completed] = expectedTotal;
+        }
+      }
+      return completed;
+    },
+
+    finish() {
+      const statsByYear = [];
+      const rateStatsByYear = [];
+      const contributorStatsByYear = [];
+      const samplesByYear = [];
+      const uncertaintySplitByYear = [];
+      const committedStatsByYear = [];
+
+      for (let y = 0; y < yearCount; y++) {
+        const current = totalsByYear[y].subarray(0, completed);
 
-  for (let i = 0; i < iterations; i++) {
-    const { total, breakdown } = singleIteration(tempIncrease, randomFn);
-    results.push(total);
+        // Rate of rise per sample in mm/yr, before sorting breaks pairing.
+        if (y > 0) {
+          const previous = totalsByYear[y - 1].subarray(0, completed);
+          const rates = Array.from(current, (value, i) => (value - previous[i]) * 1000);
+          rates.sort((a, b) => a - b);
+          rateStatsByYear.push(computeStats(rates));
+        } else {
+          rateStatsByYear.push(null);
+        }
 
-    for (const [key, value] of Object.entries(breakdown)) {
-      contributorTotals[key].push(value);
+        const contributorStats = {};
+        for (const [key, contributor] of contributorEntries) {
+          const sorted = Array.from(contributorByYear[key][y].subarray(0, completed)).sort((a, b) => a - b);
+          contributorStats[key] = { name: contributor.name, ...computeStats(sorted) };
+        }
+        contributorStatsByYear.push(contributorStats);
+
+        uncertaintySplitByYear.push(
+          warming ? computeUncertaintySplit(current, expectedByYear[y].subarray(0, completed)) : null
+        );
+
+        committedStatsByYear.push(
+          computeStats(Array.from(committedByYear[y].subarray(0, completed)).sort((a, b) => a - b))
+        );
+
+        const sorted = Array.from(current).sort((a, b) => a - b);
+        samplesByYear.push(sorted);
+        statsByYear.push(computeStats(sorted));
+      }
+
+      let peak = 0;
+      const peakTemperatures = temperatures.map((temp) => (peak = Math.max(peak, temp)));
+
+      return {
+        mode: "trajectory",
+        years: [...years],
+        temperatures: [...temperatures],
+        peakTemperatures,
+        warmingByYear: warming ? warming.map((range, y) => ({ median: temperatures[y], ...range })) : null,
+        iterations: completed,
+        modelId: model.id,
+        sampler: sampler.type,
+        seedUsed,
+        samplesByYear,
+        statsByYear,
+        rateStatsByYear,
+        contributorStatsByYear,
+        uncertaintySplitByYear,
+        committedStatsByYear,
+      };
+    },
+  };
+}
+
+/**
+ * Check that pathway years are consecutive integers, as the yearly
+ * relaxation step and year lookups assume.
+ */
+function assertAnnualPathway(years) {
+  for (let y = 0; y < years.length; y++) {
+    if (!Number.isInteger(years[y]) || (y > 0 && years[y] !== years[y - 1] + 1)) {
+      throw new Error(`Trajectory pathways must be annual; got ${years[y - 1]} then ${years[y]}`);
     }
   }
+}
 
-  // Sort results for percentile calculation
-  results.sort((a, b) => a - b);
+/**
+ * Expected sea level along an annual temperature pathway: the noise-free
+ * counterpart of a trajectory run, in which each contributor relaxes towards
+ * its expected contribution (irreversible ones forced by peak warming).
+ * Zero in the first year, like a trajectory run. Used to hindcast observed
+ * records.
+ * @param {object} pathway - { years: number[], temperatures: number[] } (annual)
+ * @param {object} options - { modelId, model } as for runSimulation
+ * @returns {number[]} expected total sea level rise (m) per pathway year
+ */
+export function expectedTrajectory(pathway, options = {}) {
+  const model = resolveModel(options.modelId, options.model);
+  const contributors = Object.values(model.contributors);
+  const relaxation = contributors.map((c) => (c.responseTimescale > 0 ? 1 - Math.exp(-1 / c.responseTimescale) : 1));
+  const levels = new Float64Array(contributors.length);
+  let peakTemp = 0;
+
+  return pathway.temperatures.map((rawTemp, y) => {
+    const temp = Math.max(0, rawTemp);
+    peakTemp = Math.max(peakTemp, temp);
+    let total = 0;
+    for (let c = 0; c < contributors.length; c++) {
+      const forcing = contributors[c].irreversible ? peakTemp : temp;
+      if (y > 0) levels[c] += (contributorExpectedValue(contributors[c], forcing) - levels[c]) * relaxation[c];
+      total += levels[c];
+    }
+    return total;
+  });
+}
 
-  const stats = computeStats(results);
-  const contributorStats = {};
+/**
+ * Extract a single year from a trajectory result in the same shape as a
+ * runSimulation result (including the query methods), plus `year`,
+ * `rateStats` (mm/yr, null for the first year), `committedStats` (m) and
+ * `peakTempIncrease` (°C).
+ * @param {object} trajectory - Result of runTrajectorySimulation
+ * @param {number} year - Year to extract (rounded, and clamped to the pathway range)
+ */
+export function getTrajectoryYearResult(trajectory, year) {
+  const { years } = trajectory;
+  // Trajectory years are annual (checked by createTrajectoryRun).
+  const index = Math.min(Math.max(Math.round(year) - years[0], 0), years.length - 1);
 
-  for (const [key, values] of Object.entries(contributorTotals)) {
-    const sorted = [...values].sort((a, b) => a - b);
-    contributorStats[key] = {
-      name: CONTRIBUTORS[key].name,
-      ...computeStats(sorted),
-    };
+  return attachResultQueries({
+    tempIncrease: trajectory.temperatures[index],
+    iterations: trajectory.iterations,
+    modelId: trajectory.modelId,
+    sampler: trajectory.sampler,
+    seedUsed: trajectory.seedUsed,
+    year: years[index],
+    results: trajectory.samplesByYear[index],
+    stats: trajectory.statsByYear[index],
+    confidence: computeConfidence(trajectory.samplesByYear[index]),
+    warming: trajectory.warmingByYear?.[index] ?? null,
+    uncertaintySplit: trajectory.uncertaintySplitByYear[index],
+    contributorStats: trajectory.contributorStatsByYear[index],
+    rateStats: trajectory.rateStatsByYear[index],
+    committedStats: trajectory.committedStatsByYear[index],
+    peakTempIncrease: trajectory.peakTemperatures[index],
+  });
+}
+
+const ADAPTIVE_DEFAULTS = {
+  statistic: "p95",
+  tolerance: 0.005,
+  maxIterations: 100000,
+};
+
+/**
+ * Fill in adaptive-mode defaults and check the requested statistic.
+ */
+function resolveAdaptiveConfig(adaptive, iterations) {
+  const config = { ...ADAPTIVE_DEFAULTS, batchSize: iterations, ...adaptive };
+  if (!CONFIDENCE_STATISTICS.includes(config.statistic)) {
+    throw new Error(`Adaptive statistic must be one of ${CONFIDENCE_STATISTICS.join(", ")}`);
   }
+  if (!(config.tolerance > 0) || !(config.batchSize > 0)) {
+    throw new Error("Adaptive tolerance and batchSize must be positive");
+  }
+  return config;
+}
+
+const CONFIDENCE_STATISTICS = ["mean", "median", "p5", "p95"];
+// Two-sided 95% normal critical value.
+const CONFIDENCE_Z = 1.959964;
+
+/**
+ * 95% confidence intervals for the headline statistics of a sorted sample.
+ * The mean uses the normal standard error; percentiles use the
+ * distribution-free binomial interval on order statistics. Intervals assume
+ * independent draws, so they are conservative for antithetic, Latin
+ * Hypercube and Sobol samplers.
+ * @returns {object} - { mean, median, p5, p95 } each { lower, upper, halfWidth }
+ */
+function computeConfidence(sorted) {
+  const n = sorted.length;
+  const mean = sorted.reduce((a, b) => a + b, 0) / n;
+  const variance = sorted.reduce((acc, x) => acc + (x - mean) * (x - mean), 0) / Math.max(n - 1, 1);
+  const meanHalfWidth = CONFIDENCE_Z * Math.sqrt(variance / n);
+
+  const quantileInterval = (p) => {
+    const spread = CONFIDENCE_Z * Math.sqrt(n * p * (1 - p));
+    const lowerRank = Math.max(0, Math.floor(n * p - spread));
+    const upperRank = Math.min(n - 1, Math.ceil(n * p + spread));
+    const lower = sorted[lowerRank];
+    const upper = sorted[upperRank];
+    return { lower, upper, halfWidth: (upper - lower) / 2 };
+  };
 
   return {
-    tempIncrease,
-    iterations,
-    seedUsed: Number.isInteger(seed) && seed >= 0 ? seed >>> 0 : null,
-    results,
-    stats,
-    contributorStats,
+    mean: { lower: mean - meanHalfWidth, upper: mean + meanHalfWidth, halfWidth: meanHalfWidth },
+    median: quantileInterval(0.5),
+    p5: quantileInterval(0.05),
+    p95: quantileInterval(0.95),
+  };
+}
+
+/**
+ * Split the variance of the totals into warming and sea-level response
+ * parts with the law of total variance: Var(S) = Var(E[S|T]) + E[Var(S|T)],
+ * where conditionalMeans[i] is E[S|T] at iteration i's sampled temperature.
+ * @returns {object} - { totalVariance, warmingVariance, responseVariance, warmingShare, responseShare }
+ */
+function computeUncertaintySplit(totals, conditionalMeans) {
+  const totalVariance = sampleVariance(totals);
+  const warmingVariance = Math.min(sampleVariance(conditionalMeans), totalVariance);
+  const responseVariance = totalVariance - warmingVariance;
+
+  return {
+    totalVariance,
+    warmingVariance,
+    responseVariance,
+    warmingShare: totalVariance > 0 ? warmingVariance / totalVariance : 0,
+    responseShare: totalVariance > 0 ? responseVariance / totalVariance : 0,
+  };
+}
+
+function sampleVariance(values) {
+  const n = values.length;
+  if (n < 2) return 0;
+  let mean = 0;
+  for (const v of values) mean += v;
+  mean /= n;
+  let sum = 0;
+  for (const v of values) sum += (v - mean) * (v - mean);
+  return sum / (n - 1);
+}
+
+/**
+ * Compare the p5–p95 band of a correlated run against the same draws
+ * sampled independently (common random numbers, so the difference is due
+ * to correlation alone).
+ */
+function computeCorrelationImpact(stats, independentResults) {
+  independentResults.sort((a, b) => a - b);
+  const independentStats = computeStats(independentResults);
+  const correlatedBand = stats.p95 - stats.p5;
+  const independentBand = independentStats.p95 - independentStats.p5;
+
+  return {
+    correlatedBand,
+    independentBand,
+    widening: independentBand > 0 ? correlatedBand / independentBand - 1 : 0,
+    independentStats,
+  };
+}
+
+/**
+ * Result returned for a non-positive temperature increase.
+ */
+function emptyResult(model) {
+  return {
+    tempIncrease: 0,
+    iterations: 0,
+    results: [],
+    stats: {
+      mean: 0,
+      median: 0,
+      p5: 0,
+      p95: 0,
+      min: 0,
+      max: 0,
+    },
+    confidence: null,
+    adaptive: null,
+    warming: null,
+    uncertaintySplit: null,
+    peakWarming: null,
+    horizon: DEFAULT_HORIZON,
+    collapses: [],
+    contributorStats: {},
+    correlationImpact: null,
+    modelId: model.id,
+    sampler: null,
+    seedUsed: null,
   };
 }
 
@@ -188,6 +836,68 @@ function computeStats(sorted) {
   };
 }
 
+/**
+ * Add quantile/exceedance query methods to a simulation result.
+ *
+ * The methods read the sorted `results` array and are defined as
+ * non-enumerable properties, so the result still serialises as plain data
+ * (JSON, postMessage). Results posted from the worker lose them and must be
+ * passed through here again. Returns the same object.
+ *
+ *   - quantile(p):             SLR (m) at probability p in [0, 1], using the
+ *                              same rank rule as stats (quantile(0.95) === stats.p95)
+ *   - exceedanceProbability(x): fraction of iterations with SLR above x meters
+ *   - cdf(x):                  P(SLR <= x); without an argument, the empirical
+ *                              CDF as { values, probabilities }
+ *
+ * @param {object} result - runSimulation result (or trajectory year result)
+ * @returns {object} the result
+ */
+export function attachResultQueries(result) {
+  const sorted = result.results;
+  const n = sorted.length;
+
+  // Number of samples <= x (binary search on the sorted results).
+  const countAtOrBelow = (x) => {
+    let lo = 0;
+    let hi = n;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (sorted[mid] <= x) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  const queries = {
+    quantile(p) {
+      if (!Number.isFinite(p) || p < 0 || p > 1) {
+        throw new Error(`Quantile probability must be between 0 and 1, got ${p}`);
+      }
+      if (n === 0) return 0;
+      return sorted[Math.min(Math.floor(n * p), n - 1)];
+    },
+    exceedanceProbability(x) {
+      if (n === 0) return 0;
+      return (n - countAtOrBelow(x)) / n;
+    },
+    cdf(x) {
+      if (x !== undefined) {
+        return n === 0 ? 1 : countAtOrBelow(x) / n;
+      }
+      return {
+        values: sorted,
+        probabilities: sorted.map((_, i) => (i + 1) / n),
+      };
+    },
+  };
+
+  for (const [name, fn] of Object.entries(queries)) {
+    Object.defineProperty(result, name, { value: fn, enumerable: false, configurable: true, writable: true });
+  }
+  return result;
+}
+
 /**
  * Get human-readable description of sea level rise impact.
  * @param {number} slrMeters - Sea level rise in meters
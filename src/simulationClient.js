@@ -0,0 +1,279 @@
+/**
+ * Main-thread client for the simulation Web Worker.
+ *
+ * Requests are keyed by channel: starting a run cancels the previous one on
+ * the same channel only, whose promise resolves with null, so a new
+ * temperature replaces the previous simulation without touching unrelated
+ * analyses. Falls back to running on the main thread when Web Workers are
+ * unavailable.
+ */
+import { attachResultQueries, runSimulation, runTrajectorySimulation } from "./simulation.js";
+import { DEFAULT_MODEL_ID, getModelById } from "./models.js";
+import { runEnsemble } from "./ensemble.js";
+import { runSensitivityAnalysis } from "./sensitivity.js";
+import { runCalibration } from "./calibration.js";
+
+let worker = null;
+let workerFailed = false;
+let nextRunId = 1;
+// Request in flight per channel: { runId, resolve, reject, onProgress }.
+const activeRequests = new Map();
+
+const SIMULATION_CHANNEL = "simulation";
+const SENSITIVITY_CHANNEL = "sensitivity";
+const CALIBRATION_CHANNEL = "calibration";
+const HISTORY_CHANNEL = "history";
+
+/**
+ * Lazily create the worker. Returns null if workers are not supported.
+ */
+function getWorker() {
+  if (worker || workerFailed) return worker;
+
+  if (typeof Worker === "undefined") {
+    workerFailed = true;
+    return null;
+  }
+
+  try {
+    worker = new Worker(new URL("./simulationWorker.js", import.meta.url), { type: "module" });
+  } catch (err) {
+    console.warn("Simulation worker unavailable, running on main thread:", err);
+    workerFailed = true;
+    return null;
+  }
+
+  worker.onmessage = handleWorkerMessage;
+  worker.onerror = (event) => {
+    console.error("Simulation worker error:", event.message);
+    for (const request of activeRequests.values()) {
+      request.reject(new Error(event.message || "Simulation worker failed"));
+    }
+    activeRequests.clear();
+  };
+  return worker;
+}
+
+function handleWorkerMessage(event) {
+  const message = event.data;
+
+  // Messages for superseded runs are ignored.
+  const channel = findChannel(message.runId);
+  if (channel === null) return;
+  const request = activeRequests.get(channel);
+
+  switch (message.type) {
+    case "progress":
+      request.onProgress?.(message.completed, message.total);
+      break;
+    case "result":
+      activeRequests.delete(channel);
+      request.resolve(message.result);
+      break;
+    case "cancelled":
+      activeRequests.delete(channel);
+      request.resolve(null);
+      break;
+    case "error":
+      activeRequests.delete(channel);
+      request.reject(new Error(message.message));
+      break;
+  }
+}
+
+/**
+ * Channel whose request in flight has this run id, or null.
+ */
+function findChannel(runId) {
+  for (const [channel, request] of activeRequests) {
+    if (request.runId === runId) return channel;
+  }
+  return null;
+}
+
+/**
+ * Run a simulation in the worker, superseding any simulation still in flight.
+ * @param {number} tempIncrease - Temperature increase in °C
+ * @param {number} iterations - Number of Monte Carlo iterations
+ * @param {object} options - runSimulation options (seed, modelId)
+ * @param {(completed: number, total: number) => void} onProgress - Progress callback
+ * @returns {Promise<object|null>} result with query methods (quantile,
+ *   exceedanceProbability, cdf), or null if superseded/cancelled
+ */
+export function requestSimulation(tempIncrease, iterations, options = {}, onProgress = null) {
+  return dispatchRun(
+    SIMULATION_CHANNEL,
+    { kind: "static", tempIncrease, iterations },
+    options,
+    onProgress,
+    (runOptions) => runSimulation(tempIncrease, iterations, runOptions)
+  ).then((result) => result && attachResultQueries(result));
+}
+
+/**
+ * Run a time-evolving trajectory simulation in the worker, superseding any
+ * simulation still in flight.
+ * @param {object} pathway - { years, temperatures } annual temperature pathway
+ * @param {number} iterations - Number of Monte Carlo iterations
+ * @param {object} options - runSimulation options (seed, modelId)
+ * @param {(completed: number, total: number) => void} onProgress - Progress callback
+ * @returns {Promise<object|null>} trajectory result, or null if superseded/cancelled
+ */
+export function requestTrajectory(pathway, iterations, options = {}, onProgress = null) {
+  return dispatchRun(
+    SIMULATION_CHANNEL,
+    { kind: "trajectory", pathway, iterations },
+    options,
+    onProgress,
+    (runOptions) => runTrajectorySimulation(pathway, iterations, runOptions)
+  );
+}
+
+/**
+ * Run a trajectory for the historical chart's projection fan in the worker,
+ * superseding any fan still in flight. Runs on its own channel, so it
+ * neither cancels nor is cancelled by the simulation on display.
+ * @param {object} pathway - { years, temperatures } annual temperature pathway
+ * @param {number} iterations - Number of Monte Carlo iterations
+ * @param {object} options - runSimulation options (seed, modelId)
+ * @returns {Promise<object|null>} trajectory result, or null if superseded/cancelled
+ */
+export function requestHistoryTrajectory(pathway, iterations, options = {}) {
+  return dispatchRun(
+    HISTORY_CHANNEL,
+    { kind: "trajectory", pathway, iterations },
+    options,
+    null,
+    (runOptions) => runTrajectorySimulation(pathway, iterations, runOptions)
+  );
+}
+
+/**
+ * Run the same temperature through several models in the worker,
+ * superseding any simulation still in flight.
+ * @param {number} tempIncrease - Temperature increase in °C
+ * @param {number} iterations - Monte Carlo iterations per model
+ * @param {object} options - runSimulation options plus modelIds (models to compare)
+ * @param {(completed: number, total: number) => void} onProgress - Progress callback
+ * @returns {Promise<object|null>} ensemble result whose members have query
+ *   methods, or null if superseded/cancelled
+ */
+export function requestEnsemble(tempIncrease, iterations, options = {}, onProgress = null) {
+  const { modelIds = [], ...rest } = options;
+  const models = modelIds.map(getModelById);
+  const unknown = modelIds.find((id, i) => !models[i]);
+  if (unknown) {
+    return Promise.reject(new Error(`Unknown model id: ${unknown}`));
+  }
+  return dispatchRun(
+    SIMULATION_CHANNEL,
+    { kind: "ensemble", tempIncrease, iterations },
+    { ...rest, models },
+    onProgress,
+    (runOptions) => runEnsemble(tempIncrease, iterations, runOptions)
+  ).then((result) => {
+    if (result) result.members.forEach(attachResultQueries);
+    return result;
+  });
+}
+
+/**
+ * Run a parameter sensitivity analysis in the worker, superseding any
+ * sensitivity run still in flight. Runs on its own channel, so it neither
+ * cancels nor is cancelled by simulations.
+ * @param {number} tempIncrease - Temperature increase in °C
+ * @param {object} options - createSensitivityRun options (statistic, seed, modelId, ...)
+ * @param {(completed: number, total: number) => void} onProgress - Progress callback (evaluations)
+ * @returns {Promise<object|null>} sensitivity result, or null if superseded/cancelled
+ */
+export function requestSensitivity(tempIncrease, options = {}, onProgress = null) {
+  return dispatchRun(
+    SENSITIVITY_CHANNEL,
+    { kind: "sensitivity", tempIncrease },
+    options,
+    onProgress,
+    (runOptions) => runSensitivityAnalysis(tempIncrease, runOptions)
+  );
+}
+
+/**
+ * Calibrate a model against observed records in the worker, superseding any
+ * calibration still in flight. Runs on its own channel, so simulations
+ * started meanwhile do not cancel it.
+ * @param {{ gmsl: object, temperature: object }} records - Parsed sea level and temperature records
+ * @param {object} options - createCalibrationRun options (modelId, iterations, seed, ...)
+ * @param {(completed: number, total: number) => void} onProgress - Progress callback (Metropolis steps)
+ * @returns {Promise<object|null>} calibration result, or null if superseded/cancelled
+ */
+export function requestCalibration(records, options = {}, onProgress = null) {
+  return dispatchRun(
+    CALIBRATION_CHANNEL,
+    { kind: "calibration", records },
+    options,
+    onProgress,
+    (runOptions) => runCalibration(records, runOptions)
+  );
+}
+
+/**
+ * Post a run message to the worker (or run the fallback on the main thread),
+ * replacing the request in flight on the same channel.
+ */
+function dispatchRun(channel, message, options, onProgress, runOnMainThread) {
+  cancelSimulation(channel);
+
+  // Send the resolved model so models registered on the main thread at
+  // runtime are available inside the worker.
+  const modelId = options.modelId ?? DEFAULT_MODEL_ID;
+  const model = getModelById(modelId);
+  if (!model) {
+    return Promise.reject(new Error(`Unknown model id: ${modelId}`));
+  }
+  const runOptions = { ...options, modelId, model };
+  const runId = nextRunId++;
+
+  return new Promise((resolve, reject) => {
+    activeRequests.set(channel, { runId, resolve, reject, onProgress });
+
+    const w = getWorker();
+    if (w) {
+      w.postMessage({ type: "run", runId, ...message, options: runOptions });
+      return;
+    }
+
+    // Main-thread fallback: defer so the UI can paint the running state.
+    setTimeout(() => {
+      if (findChannel(runId) === null) return;
+      activeRequests.delete(channel);
+      try {
+        resolve(runOnMainThread(runOptions));
+      } catch (err) {
+        reject(err);
+      }
+    }, 0);
+  });
+}
+
+/**
+ * Cancel the run in flight on a channel, if any. Its promise resolves with null.
+ * @param {string} channel - Request channel (default "simulation")
+ */
+export function cancelSimulation(channel = SIMULATION_CHANNEL) {
+  const request = activeRequests.get(channel);
+  if (!request) return;
+
+  const { runId, resolve } = request;
+  activeRequests.delete(channel);
+  if (worker) {
+    worker.postMessage({ type: "cancel", runId });
+  }
+  resolve(null);
+}
+
+/**
+ * Cancel the sensitivity analysis in flight, if any (e.g. when the result it
+ * analyses is no longer on display). Its promise resolves with null.
+ */
+export function cancelSensitivity() {
+  cancelSimulation(SENSITIVITY_CHANNEL);
+}
@@ -0,0 +1,105 @@
+/**
+ * Web Worker that runs Monte Carlo simulations off the main thread.
+ *
+ * Message protocol (main → worker):
+ *   { type: "run", runId, kind: "static", tempIncrease, iterations, options }
+ *   { type: "run", runId, kind: "trajectory", pathway, iterations, options }
+ *   { type: "run", runId, kind: "ensemble", tempIncrease, iterations, options }
+ *   { type: "run", runId, kind: "sensitivity", tempIncrease, options }
+ *   { type: "run", runId, kind: "calibration", records, options }
+ *   { type: "cancel", runId }
+ *
+ * Message protocol (worker → main):
+ *   { type: "progress", runId, completed, total }
+ *   { type: "result", runId, result }
+ *   { type: "cancelled", runId }
+ *   { type: "error", runId, message }
+ *
+ * Runs advance in batches and yield between them, so a "cancel" message is
+ * picked up mid-run. Several runs can be active at once (one per client
+ * channel); their batches interleave.
+ */
+import { createSimulationRun, createTrajectoryRun } from "./simulation.js";
+import { createEnsembleRun } from "./ensemble.js";
+import { createSensitivityRun } from "./sensitivity.js";
+import { createCalibrationRun } from "./calibration.js";
+
+const BATCH_SIZE = 500;
+// Trajectory iterations step through every year, so use smaller batches.
+const TRAJECTORY_BATCH_SIZE = 100;
+// Sensitivity runs step whole simulations (evaluations), not iterations.
+const SENSITIVITY_BATCH_SIZE = 10;
+// Calibration steps are single Metropolis proposals (one hindcast each).
+const CALIBRATION_BATCH_SIZE = 1000;
+const BATCH_SIZES = {
+  static: BATCH_SIZE,
+  ensemble: BATCH_SIZE,
+  trajectory: TRAJECTORY_BATCH_SIZE,
+  sensitivity: SENSITIVITY_BATCH_SIZE,
+  calibration: CALIBRATION_BATCH_SIZE,
+};
+
+// Runs that have not finished, failed or been cancelled.
+const activeRunIds = new Set();
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === "run") {
+    startRun(message);
+  } else if (message.type === "cancel") {
+    activeRunIds.delete(message.runId);
+  }
+};
+
+function startRun({ runId, kind = "static", tempIncrease, pathway, records, iterations, options }) {
+  activeRunIds.add(runId);
+  const batchSize = BATCH_SIZES[kind] ?? BATCH_SIZE;
+
+  let run;
+  try {
+    if (kind === "trajectory") {
+      run = createTrajectoryRun(pathway, iterations, options);
+    } else if (kind === "ensemble") {
+      run = createEnsembleRun(tempIncrease, iterations, options);
+    } else if (kind === "sensitivity") {
+      run = createSensitivityRun(tempIncrease, options);
+    } else if (kind === "calibration") {
+      run = createCalibrationRun(records, options);
+    } else {
+      run = createSimulationRun(tempIncrease, iterations, options);
+    }
+  } catch (err) {
+    activeRunIds.delete(runId);
+    self.postMessage({ type: "error", runId, message: err.message });
+    return;
+  }
+
+  function nextBatch() {
+    if (!activeRunIds.has(runId)) {
+      self.postMessage({ type: "cancelled", runId });
+      return;
+    }
+
+    try {
+      run.step(batchSize);
+    } catch (err) {
+      activeRunIds.delete(runId);
+      self.postMessage({ type: "error", runId, message: err.message });
+      return;
+    }
+
+    self.postMessage({ type: "progress", runId, completed: run.completed, total: run.total });
+
+    if (run.done) {
+      activeRunIds.delete(runId);
+      self.postMessage({ type: "result", runId, result: run.finish() });
+      return;
+    }
+
+    // Yield so queued messages and other runs' batches are handled before the next batch.
+    setTimeout(nextBatch, 0);
+  }
+
+  nextBatch();
+}
@@ -0,0 +1,86 @@
+/**
+ * Browser storage for user-created data (custom scenarios, calibrated models).
+ *
+ * Values are stored as JSON in localStorage. Storage can be unavailable
+ * (private browsing, disabled cookies, quota); reads then fall back to the
+ * default and writes report failure instead of throwing.
+ */
+
+const STORAGE_PREFIX = "worldWaterLevels.";
+const CUSTOM_SCENARIOS_KEY = "customScenarios";
+const CALIBRATED_MODELS_KEY = "calibratedModels";
+
+/**
+ * Read a JSON value, or return `fallback` if missing, unreadable or unavailable.
+ */
+function readJSON(key, fallback) {
+  try {
+    const raw = globalThis.localStorage?.getItem(STORAGE_PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.warn(`Could not read stored ${key}:`, err);
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON value.
+ * @returns {boolean} false if storage is unavailable or full
+ */
+function writeJSON(key, value) {
+  try {
+    if (!globalThis.localStorage) return false;
+    globalThis.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.warn(`Could not save ${key}:`, err);
+    return false;
+  }
+}
+
+/**
+ * Return the stored custom scenario definitions (unvalidated).
+ * @returns {object[]}
+ */
+export function loadCustomScenarios() {
+  const stored = readJSON(CUSTOM_SCENARIOS_KEY, []);
+  return Array.isArray(stored) ? stored : [];
+}
+
+/**
+ * Replace the stored custom scenario definitions.
+ * @param {object[]} scenarios - Scenario definitions to persist
+ * @returns {boolean} false if they could not be saved
+ */
+export function saveCustomScenarios(scenarios) {
+  return writeJSON(
+    CUSTOM_SCENARIOS_KEY,
+    scenarios.map(({ id, label, description, temperaturesByYear, warmingRangeByYear, emissions }) => ({
+      id,
+      label,
+      description,
+      temperaturesByYear,
+      ...(warmingRangeByYear ? { warmingRangeByYear } : {}),
+      ...(emissions ? { emissions } : {}),
+    }))
+  );
+}
+
+/**
+ * Return the stored calibrated model definitions (unvalidated).
+ * @returns {object[]}
+ */
+export function loadCalibratedModels() {
+  const stored = readJSON(CALIBRATED_MODELS_KEY, []);
+  return Array.isArray(stored) ? stored : [];
+}
+
+/**
+ * Store a calibrated model definition, replacing one with the same id.
+ * @param {object} definition - Model definition (see validateModel)
+ * @returns {boolean} false if it could not be saved
+ */
+export function saveCalibratedModel(definition) {
+  const others = loadCalibratedModels().filter((stored) => stored?.id !== definition.id);
+  return writeJSON(CALIBRATED_MODELS_KEY, [...others, definition]);
+}
@@ -3,46 +3,169 @@
  */
 import { Chart, registerables } from "chart.js";
 import { Cartesian3, Math as CesiumMath } from "cesium";
-import { runSimulation, getImpactDescription, POPULATION_AT_RISK } from "./simulation.js";
-import { PROJECTION_YEARS, getScenarioPresets, getScenarioById, getProjectedTemp } from "./projections.js";
+import { getImpactDescription, POPULATION_AT_RISK } from "./simulation.js";
+import { getTrajectoryYearResult } from "./simulation.js";
+import {
+  requestSimulation,
+  requestTrajectory,
+  requestHistoryTrajectory,
+  requestEnsemble,
+  requestSensitivity,
+  requestCalibration,
+  cancelSimulation,
+  cancelSensitivity,
+} from "./simulationClient.js";
+import { DEFAULT_MODEL_ID, getModelPresets, getModelById, onModelsChanged, registerModel } from "./models.js";
+import { DEFAULT_SAMPLER, SAMPLERS } from "./samplers.js";
+import {
+  PROJECTION_BASELINE_YEAR,
+  PROJECTION_END_YEAR,
+  getScenarioPresets,
+  getScenarioById,
+  getProjectedTemp,
+  getProjectedWarming,
+  getPeakWarming,
+  getTemperaturePathway,
+  getCustomScenarios,
+  registerScenario,
+  removeScenario,
+  onScenariosChanged,
+} from "./projections.js";
+import { saveCalibratedModel, saveCustomScenarios } from "./storage.js";
+import { COLLAPSE_EVENTS, DEFAULT_HORIZON, RESPONSE_HORIZONS } from "./commitment.js";
+import { SENSITIVITY_PARAMETERS, SENSITIVITY_STATISTICS } from "./sensitivity.js";
+import { loadCalibrationRecords } from "./calibration.js";
+import {
+  DEFAULT_REFERENCE_YEAR,
+  getObservedAnomaly,
+  getObservedSeries,
+  joinProjectionToRecord,
+  loadObservedRecord,
+} from "./history.js";
+import { DEFAULT_EMISSIONS_BY_YEAR, EMISSIONS_MODES, buildEmissionsScenario, emissionsToWarming } from "./emissions.js";
+import { importFile } from "./importers.js";
 import { LOCATIONS, getLocationById } from "./locations.js";
 import {
+  FLOOD_BAND_COLORS,
+  FLOOD_PROBABILITY_RAMP,
+  FLOOD_ISOLATED_COLOR,
   setFloodLevel,
   clearFlood,
   showComparison,
   hideComparison,
   getComparisonDelta,
   hasPreviousSnapshot,
+  enableConnectivity,
+  disableConnectivity,
+  hasRegionalFingerprints,
+  setRegionalWeights,
+  hasLandMotion,
+  setLandMotionYears,
 } from "./floodVisualization.js";
+import { getFingerprintWeights, getRegionalScale } from "./fingerprints.js";
+import { getLandMotionRate } from "./landMotion.js";
 
 Chart.register(...registerables);
 
 let histogramChart = null;
+let sensitivityChart = null;
+// Result the sensitivity panel analyses (or is analysing).
+let sensitivityResult = null;
 let currentActiveTemp = 0;
 let currentLocationId = null;
 let currentSimulationResult = null;
-let currentFloodMetric = "p95";
+let currentFloodPercentile = 95;
+// "percentile" floods to currentFloodPercentile; "bands" shows FLOOD_BANDS
+// together; "probability" shades P(SLR > freeboard) from the whole distribution.
+let floodDisplayMode = "percentile";
+// Scale the flood surface by regional fingerprints instead of a uniform rise.
+let regionalFingerprints = false;
+// Move the ground by vertical land motion up to the projection year.
+let includeLandMotion = false;
+let currentExceedanceThresholdCm = 100;
 let currentProjection = null;
+let currentModelId = DEFAULT_MODEL_ID;
+let currentSampler = DEFAULT_SAMPLER;
+let currentIterationMode = "fixed";
+let currentTrajectory = null;
+// Models compared alongside the current one, and the last ensemble result.
+const ensembleModelIds = new Set();
+let currentEnsemble = null;
+let includeWarmingUncertainty = true;
+let currentHorizon = DEFAULT_HORIZON;
+const activeCollapses = new Set();
+let pendingTrajectoryKey = null;
+// Bumped whenever a model or scenario is (re-)registered, so a calibrated or
+// imported replacement does not reuse a trajectory cached for the old one.
+let registryRevision = 0;
+let refreshProjection = null;
+let refreshEnsembleOptions = null;
+let refreshHistory = null;
 let tempButtonsContainer = null;
 let resetTempButton = null;
+let statusClearTimer = null;
 
 const TEMP_LEVELS = [1, 2, 3, 5, 8, 10];
 const TEMP_STEP = 0.05;
 const TEMP_MAX = 10;
 const TEMP_MIN = 0;
 const MONTE_CARLO_ITERATIONS = 5000;
+const ADAPTIVE_BATCH_SIZE = 1000;
+const ITERATION_MODES = {
+  fixed: { id: "fixed", label: `Fixed (${MONTE_CARLO_ITERATIONS.toLocaleString("en-US")})`, adaptive: null },
+  adaptiveP95: {
+    id: "adaptiveP95",
+    label: "Adaptive: p95 ± 0.5 cm",
+    adaptive: { statistic: "p95", tolerance: 0.005, batchSize: ADAPTIVE_BATCH_SIZE },
+  },
+  adaptiveMedian: {
+    id: "adaptiveMedian",
+    label: "Adaptive: median ± 0.25 cm",
+    adaptive: { statistic: "median", tolerance: 0.0025, batchSize: ADAPTIVE_BATCH_SIZE },
+  },
+};
 const MONTE_CARLO_BASE_SEED = 1337;
+// Labelled marks on the continuous projection year slider.
+const PROJECTION_MARK_YEARS = [2020, 2050, 2100, 2150, 2200, 2300];
+// Parameters shown in the tornado chart and Sobol list, largest first.
+const SENSITIVITY_TOP_PARAMETERS = 8;
+// Historical mode: projected fan drawn to this year, from the trajectory on display
+// or else a small trajectory run in the worker.
+const HISTORY_PROJECTION_END_YEAR = 2100;
+const HISTORY_FAN_ITERATIONS = 500;
+// Outline colours for the other models overlaid on the histogram.
+const ENSEMBLE_COLORS = ["#2ecc71", "#e67e22", "#9b59b6", "#f1c40f", "#1abc9c", "#e84393"];
 const FLOOD_METRICS = {
-  median: { key: "median", label: "Median (50th)" },
-  p95: { key: "p95", label: "High-end (95th)" },
+  median: { key: "median", label: "Median (50th)", percentile: 50 },
+  p95: { key: "p95", label: "High-end (95th)", percentile: 95 },
 };
+// Percentiles of the nested zones in banded mode.
+const FLOOD_BANDS = {
+  low: { percentile: 5, label: "Always flooded" },
+  central: { percentile: 50, label: "Likely" },
+  high: { percentile: 95, label: "Possible" },
+};
+const FLOOD_PERCENTILE_MIN = 0.1;
+const FLOOD_PERCENTILE_MAX = 99.9;
 
 /**
  * Initialize all UI components.
  */
 export function initUI(viewer) {
+  // Subscribed first so pickers reacting to the same change already see the new revision.
+  onModelsChanged(() => registryRevision++);
+  onScenariosChanged(() => registryRevision++);
   createTempButtons(viewer);
+  createModelPicker(viewer);
+  createSamplerPicker(viewer);
+  createEnsembleControls(viewer);
+  createIterationModePicker(viewer);
+  createLongTermControls(viewer);
+  createImportControls();
+  createCalibrationControls(viewer);
   createProjectionControls(viewer);
+  createHistoryPanel(viewer);
+  createSensitivityPanel();
   createFloodMetricToggle(viewer);
   createLocationButtons(viewer);
   setupComparisonButton(viewer);
@@ -61,12 +184,16 @@ function createTempButtons(viewer) {
   resetBtn.className = "temp-btn reset-btn active";
   resetBtn.textContent = "Reset";
   resetBtn.addEventListener("click", () => {
+    cancelSimulation();
+    clearSimulationStatus();
     currentActiveTemp = 0;
     currentSimulationResult = null;
+    currentEnsemble = null;
     currentProjection = null;
     clearFlood(viewer);
     updateStatsPanel(null);
     updateHistogram(null);
+    resetSensitivityPanel(null);
     updateInfoOverlay(0, 0, "median");
     updateCompareButton();
     setActiveButton(container, resetBtn);
@@ -116,12 +243,16 @@ function createTempButtons(viewer) {
   minusBtn.addEventListener("click", () => {
     const newTemp = Math.max(TEMP_MIN, parseFloat((currentActiveTemp - TEMP_STEP).toFixed(2)));
     if (newTemp <= 0) {
+      cancelSimulation();
+      clearSimulationStatus();
       currentActiveTemp = 0;
       currentSimulationResult = null;
+      currentEnsemble = null;
       currentProjection = null;
       clearFlood(viewer);
       updateStatsPanel(null);
       updateHistogram(null);
+      resetSensitivityPanel(null);
       updateInfoOverlay(0, 0, "median");
       updateCompareButton();
       setActiveButton(container, resetBtn);
@@ -148,7 +279,441 @@ function createTempButtons(viewer) {
 }
 
 /**
- * Run simulation and update visualization.
+ * Create contributor model picker next to the temperature controls.
+ */
+function createModelPicker(viewer) {
+  const tempButtonsEl = document.getElementById("tempButtons");
+  const wrapper = document.createElement("div");
+  wrapper.className = "setting-picker";
+  wrapper.innerHTML = `
+    <label class="setting-picker-label" for="modelSelect">Contributor Model</label>
+    <select id="modelSelect" class="setting-select"></select>
+  `;
+
+  const selectEl = wrapper.querySelector("#modelSelect");
+  function renderOptions() {
+    selectEl.innerHTML = "";
+    for (const model of getModelPresets()) {
+      const option = document.createElement("option");
+      option.value = model.id;
+      option.textContent = model.label;
+      option.title = model.description;
+      selectEl.appendChild(option);
+    }
+    selectEl.value = currentModelId;
+  }
+  renderOptions();
+  // Models imported at runtime appear without a reload.
+  onModelsChanged(renderOptions);
+
+  selectEl.addEventListener("change", () => {
+    if (!getModelById(selectEl.value)) return;
+
+    // Models already in the ensemble on display are shown without resampling.
+    if (currentEnsemble?.modelIds.includes(selectEl.value)) {
+      showEnsembleMember(viewer, selectEl.value);
+      return;
+    }
+    currentModelId = selectEl.value;
+
+    // Re-run the current selection under the newly picked model.
+    rerunCurrentSelection(viewer);
+  });
+
+  tempButtonsEl.parentNode.insertBefore(wrapper, tempButtonsEl.nextSibling);
+}
+
+/**
+ * Create sampler picker (plain, antithetic, Latin Hypercube, Sobol) below the model picker.
+ */
+function createSamplerPicker(viewer) {
+  const modelPickerEl = document.getElementById("modelSelect").parentNode;
+  const wrapper = document.createElement("div");
+  wrapper.className = "setting-picker";
+  wrapper.innerHTML = `
+    <label class="setting-picker-label" for="samplerSelect">Sampler</label>
+    <select id="samplerSelect" class="setting-select"></select>
+  `;
+
+  const selectEl = wrapper.querySelector("#samplerSelect");
+  for (const sampler of Object.values(SAMPLERS)) {
+    const option = document.createElement("option");
+    option.value = sampler.id;
+    option.textContent = sampler.label;
+    selectEl.appendChild(option);
+  }
+  selectEl.value = currentSampler;
+
+  selectEl.addEventListener("change", () => {
+    if (!SAMPLERS[selectEl.value]) return;
+    currentSampler = selectEl.value;
+    rerunCurrentSelection(viewer);
+  });
+
+  modelPickerEl.parentNode.insertBefore(wrapper, modelPickerEl.nextSibling);
+}
+
+/**
+ * Create the model comparison checkboxes below the model picker. Ticking
+ * other models runs the same temperature through each of them (same seed)
+ * and overlays their distributions; the current model is always included.
+ */
+function createEnsembleControls(viewer) {
+  const modelPickerEl = document.getElementById("modelSelect").parentNode;
+  const wrapper = document.createElement("div");
+  wrapper.className = "ensemble-controls";
+  wrapper.innerHTML = `
+    <div class="setting-picker-label">Compare Models</div>
+    <div class="ensemble-models"></div>
+  `;
+
+  const listEl = wrapper.querySelector(".ensemble-models");
+  function renderOptions() {
+    listEl.innerHTML = "";
+    for (const model of getModelPresets()) {
+      const isCurrent = model.id === currentModelId;
+      const label = document.createElement("label");
+      label.className = "ensemble-model";
+      label.title = model.description;
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = model.id;
+      const name = document.createElement("span");
+      name.textContent = model.label;
+      label.append(checkbox, " ", name);
+      checkbox.checked = isCurrent || ensembleModelIds.has(model.id);
+      checkbox.disabled = isCurrent;
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) {
+          ensembleModelIds.add(model.id);
+        } else {
+          ensembleModelIds.delete(model.id);
+        }
+        rerunCurrentSelection(viewer);
+      });
+      listEl.appendChild(label);
+    }
+  }
+  renderOptions();
+  onModelsChanged(renderOptions);
+  document.getElementById("modelSelect").addEventListener("change", renderOptions);
+  refreshEnsembleOptions = renderOptions;
+
+  // Comparison table rows in the stats panel switch the displayed model.
+  document.getElementById("statsPanel").addEventListener("click", (event) => {
+    const row = event.target.closest(".ensemble-row");
+    if (row && currentEnsemble) showEnsembleMember(viewer, row.dataset.modelId);
+  });
+
+  modelPickerEl.parentNode.insertBefore(wrapper, modelPickerEl.nextSibling);
+}
+
+/**
+ * Models in the next run: the current model first, then the ticked others.
+ */
+function getEnsembleModelIds() {
+  const others = [...ensembleModelIds].filter((id) => id !== currentModelId && getModelById(id));
+  return [currentModelId, ...others];
+}
+
+/**
+ * Switch the globe and panels to another member of the ensemble on display,
+ * reusing its samples. The previous model stays in the comparison.
+ */
+function showEnsembleMember(viewer, modelId) {
+  const member = currentEnsemble.members[currentEnsemble.modelIds.indexOf(modelId)];
+  if (!member) return;
+
+  ensembleModelIds.add(currentModelId);
+  currentModelId = modelId;
+  document.getElementById("modelSelect").value = modelId;
+  refreshEnsembleOptions?.();
+  currentSimulationResult = member;
+  applySimulationResult(viewer, member, true);
+}
+
+/**
+ * Ensemble members ({ modelId, label, result }) when `result` belongs to the
+ * ensemble on display, otherwise an empty list.
+ */
+function getEnsembleMembers(result) {
+  if (!currentEnsemble || !currentEnsemble.members.includes(result)) return [];
+  const { modelIds, members, comparison } = currentEnsemble;
+  return modelIds.map((modelId, i) => ({ modelId, label: comparison[i].label, result: members[i] }));
+}
+
+/**
+ * Create iteration mode picker: fixed count or adaptive until a precision target.
+ */
+function createIterationModePicker(viewer) {
+  const samplerPickerEl = document.getElementById("samplerSelect").parentNode;
+  const wrapper = document.createElement("div");
+  wrapper.className = "setting-picker";
+  wrapper.innerHTML = `
+    <label class="setting-picker-label" for="iterationModeSelect">Iterations</label>
+    <select id="iterationModeSelect" class="setting-select"></select>
+  `;
+
+  const selectEl = wrapper.querySelector("#iterationModeSelect");
+  for (const mode of Object.values(ITERATION_MODES)) {
+    const option = document.createElement("option");
+    option.value = mode.id;
+    option.textContent = mode.label;
+    selectEl.appendChild(option);
+  }
+  selectEl.value = currentIterationMode;
+  selectEl.title = "Adaptive modes apply to manual and single-year runs; trajectories use a fixed count";
+
+  selectEl.addEventListener("change", () => {
+    if (!ITERATION_MODES[selectEl.value]) return;
+    currentIterationMode = selectEl.value;
+    rerunCurrentSelection(viewer);
+  });
+
+  samplerPickerEl.parentNode.insertBefore(wrapper, samplerPickerEl.nextSibling);
+}
+
+/**
+ * Create the response horizon picker and what-if collapse switches below
+ * the iteration picker. Both apply to single-temperature and single-year
+ * runs; trajectories keep the century-scale response.
+ */
+function createLongTermControls(viewer) {
+  const iterationPickerEl = document.getElementById("iterationModeSelect").parentNode;
+  const wrapper = document.createElement("div");
+  wrapper.className = "long-term-controls";
+  wrapper.innerHTML = `
+    <div class="setting-picker">
+      <label class="setting-picker-label" for="horizonSelect">Horizon</label>
+      <select id="horizonSelect" class="setting-select"></select>
+    </div>
+    <div class="what-if-toggles"></div>
+  `;
+
+  const selectEl = wrapper.querySelector("#horizonSelect");
+  for (const horizon of Object.values(RESPONSE_HORIZONS)) {
+    const option = document.createElement("option");
+    option.value = horizon.id;
+    option.textContent = horizon.label;
+    option.title = horizon.description;
+    selectEl.appendChild(option);
+  }
+  selectEl.value = currentHorizon;
+  selectEl.title = "Long horizons apply to manual and single-year runs; trajectories use the century-scale response";
+  selectEl.addEventListener("change", () => {
+    if (!RESPONSE_HORIZONS[selectEl.value]) return;
+    currentHorizon = selectEl.value;
+    rerunCurrentSelection(viewer);
+  });
+
+  const togglesEl = wrapper.querySelector(".what-if-toggles");
+  for (const event of Object.values(COLLAPSE_EVENTS)) {
+    const label = document.createElement("label");
+    label.className = "what-if-toggle";
+    label.title = "Assumes the full loss has happened (timing is not modelled)";
+    label.innerHTML = `<input type="checkbox" /> What-if: ${event.label}`;
+    label.querySelector("input").addEventListener("change", (e) => {
+      if (e.target.checked) {
+        activeCollapses.add(event.id);
+      } else {
+        activeCollapses.delete(event.id);
+      }
+      rerunCurrentSelection(viewer);
+    });
+    togglesEl.appendChild(label);
+  }
+
+  iterationPickerEl.parentNode.insertBefore(wrapper, iterationPickerEl.nextSibling);
+}
+
+/**
+ * Create the file import drop zone (scenario and model CSV/JSON files)
+ * below the simulation setting pickers.
+ */
+function createImportControls() {
+  const iterationPickerEl = document.querySelector(".long-term-controls");
+  const wrapper = document.createElement("div");
+  wrapper.className = "import-drop";
+  wrapper.innerHTML = `
+    <input id="importFileInput" type="file" accept=".csv,.json" multiple hidden />
+    <span class="import-drop-text">
+      Drop scenario or model files (CSV, JSON) or <button class="import-browse" type="button">browse</button>
+    </span>
+    <div class="import-status"></div>
+  `;
+
+  const inputEl = wrapper.querySelector("#importFileInput");
+  const statusEl = wrapper.querySelector(".import-status");
+
+  async function importFiles(files) {
+    const messages = [];
+    for (const file of files) {
+      try {
+        const { scenarios, models } = await importFile(file);
+        const names = [
+          ...scenarios.map((scenario) => `scenario “${scenario.label}”`),
+          ...models.map((model) => `model “${model.label}”`),
+        ];
+        messages.push({ ok: true, text: `Imported ${names.join(", ")}` });
+      } catch (err) {
+        messages.push({ ok: false, text: err.message });
+      }
+    }
+    // Imported scenarios are kept like editor-made ones; models last for the session.
+    if (messages.some((m) => m.ok)) {
+      saveCustomScenarios(getCustomScenarios());
+    }
+
+    statusEl.innerHTML = "";
+    for (const { ok, text } of messages) {
+      const line = document.createElement("div");
+      line.className = ok ? "import-ok" : "import-error";
+      line.textContent = text;
+      statusEl.appendChild(line);
+    }
+  }
+
+  wrapper.querySelector(".import-browse").addEventListener("click", () => inputEl.click());
+  inputEl.addEventListener("change", () => {
+    importFiles([...inputEl.files]);
+    inputEl.value = "";
+  });
+
+  wrapper.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    wrapper.classList.add("dragging");
+  });
+  wrapper.addEventListener("dragleave", () => wrapper.classList.remove("dragging"));
+  wrapper.addEventListener("drop", (event) => {
+    event.preventDefault();
+    wrapper.classList.remove("dragging");
+    importFiles([...event.dataTransfer.files]);
+  });
+
+  iterationPickerEl.parentNode.insertBefore(wrapper, iterationPickerEl.nextSibling);
+}
+
+/**
+ * Create the calibration control below the file import: fits the selected
+ * model to the bundled observed sea level record, reports hindcast skill and
+ * registers the result as a "(calibrated)" model variant saved in this browser.
+ */
+function createCalibrationControls(viewer) {
+  const importDropEl = document.querySelector(".import-drop");
+  const wrapper = document.createElement("div");
+  wrapper.className = "calibration-controls";
+  wrapper.innerHTML = `
+    <button class="calibration-run" type="button" title="Fit meanPerDeg and exponent to observed sea level 1900–2020">
+      Calibrate model to observed sea level
+    </button>
+    <div class="calibration-status"></div>
+    <div class="calibration-report"></div>
+  `;
+
+  const buttonEl = wrapper.querySelector(".calibration-run");
+  const statusEl = wrapper.querySelector(".calibration-status");
+  const reportEl = wrapper.querySelector(".calibration-report");
+
+  buttonEl.addEventListener("click", async () => {
+    buttonEl.disabled = true;
+    reportEl.innerHTML = "";
+    statusEl.textContent = "Loading observed records...";
+    try {
+      const records = await loadCalibrationRecords();
+      const calibration = await requestCalibration(records, { modelId: currentModelId }, (completed, total) => {
+        statusEl.textContent = `Calibrating... ${Math.round((completed / total) * 100)}%`;
+      });
+      // Superseded by another calibration started meanwhile.
+      if (!calibration) {
+        statusEl.textContent = "Calibration cancelled";
+        return;
+      }
+
+      const model = registerModel(calibration.model, { replace: true });
+      const saved = saveCalibratedModel(calibration.model);
+      statusEl.textContent = `Added model “${model.label}”${saved ? "" : " (could not be saved in this browser)"}`;
+      renderCalibrationReport(reportEl, calibration);
+
+      currentModelId = model.id;
+      document.getElementById("modelSelect").value = model.id;
+      refreshEnsembleOptions?.();
+      rerunCurrentSelection(viewer);
+    } catch (err) {
+      console.error("Calibration failed:", err);
+      statusEl.textContent = `Calibration failed: ${err.message}`;
+    } finally {
+      buttonEl.disabled = false;
+    }
+  });
+
+  importDropEl.parentNode.insertBefore(wrapper, importDropEl.nextSibling);
+}
+
+/**
+ * Show hindcast skill before and after calibration, and the calibrated parameters.
+ */
+function renderCalibrationReport(reportEl, calibration) {
+  const { skill, years } = calibration;
+  const mm = (value) => (value * 1000).toFixed(1);
+  const trend = (t) => (t ? `${t.modelled.toFixed(2)} <span class="calibration-observed">(obs. ${t.observed.toFixed(2)})</span>` : "–");
+  const row = (label, s) => `
+    <tr>
+      <td>${label}</td>
+      <td>${mm(s.rmse)}</td>
+      <td>${mm(s.bias)}</td>
+      <td>${s.r2 === null ? "–" : s.r2.toFixed(3)}</td>
+      <td>${trend(s.trend)}</td>
+      <td>${trend(s.recentTrend)}</td>
+    </tr>
+  `;
+  const parameters = calibration.parameters
+    .map(
+      (p) => `
+        <div class="calibration-parameter">
+          <span class="calibration-parameter-name"></span>
+          <span>${formatParameter(p.prior)} → ${formatParameter(p.median)}
+            <span class="calibration-observed">(${formatParameter(p.p5)}–${formatParameter(p.p95)})</span></span>
+        </div>
+      `
+    )
+    .join("");
+
+  reportEl.innerHTML = `
+    <div class="calibration-title">Hindcast ${years[0]}–${years[years.length - 1]}</div>
+    <table class="calibration-skill">
+      <tr><th></th><th>RMSE mm</th><th>Bias mm</th><th>R²</th><th>Trend mm/yr</th><th>Since 1993</th></tr>
+      ${row("Prior", skill.prior)}
+      ${row("Calibrated", skill.calibrated)}
+    </table>
+    <div class="calibration-title">Posterior median (5–95%)</div>
+    ${parameters}
+  `;
+  // Contributor names can come from imported models, so they are set as text.
+  reportEl.querySelectorAll(".calibration-parameter-name").forEach((el, i) => {
+    const p = calibration.parameters[i];
+    el.textContent = `${p.name} · ${p.parameter}`;
+  });
+}
+
+function formatParameter(value) {
+  return value.toFixed(value < 1 ? 3 : 2);
+}
+
+/**
+ * Re-run whatever is currently shown (manual temperature or projection)
+ * after a simulation setting changes.
+ */
+function rerunCurrentSelection(viewer) {
+  if (currentProjection && refreshProjection) {
+    refreshProjection();
+  } else if (currentActiveTemp > 0) {
+    runAndVisualize(viewer, currentActiveTemp, { projection: currentProjection });
+  }
+}
+
+/**
+ * Run simulation in the worker and update visualization.
+ * A newer call supersedes a run still in flight; only the latest result is applied.
  */
 function runAndVisualize(viewer, tempIncrease, options = {}) {
   const { projection = null } = options;
@@ -156,21 +721,170 @@ function runAndVisualize(viewer, tempIncrease, options = {}) {
   currentProjection = projection;
   updateTempDisplay();
   const statusEl = document.getElementById("simulationStatus");
-  statusEl.innerHTML = `<div class="running">Running ${MONTE_CARLO_ITERATIONS} Monte Carlo iterations...</div>`;
+  const { adaptive } = ITERATION_MODES[currentIterationMode];
+  // Scenario runs sample warming from its likely range; manual temperatures are exact.
+  const warming =
+    projection && includeWarmingUncertainty ? getProjectedWarming(projection.scenarioId, projection.year) : null;
+  // After an overshoot, ice sheets stay committed to the peak warming.
+  const peakWarming = projection ? getPeakWarming(projection.scenarioId, projection.year) : null;
+  clearTimeout(statusClearTimer);
+  renderSimulationProgress(statusEl, 0, MONTE_CARLO_ITERATIONS, adaptive);
+
+  const iterations = adaptive ? adaptive.batchSize : MONTE_CARLO_ITERATIONS;
+  const runOptions = {
+    seed: buildSeedForRun(tempIncrease, projection),
+    modelId: currentModelId,
+    sampler: currentSampler,
+    adaptive,
+    warming,
+    peakWarming,
+    horizon: currentHorizon,
+    collapses: [...activeCollapses],
+  };
+  const modelIds = getEnsembleModelIds();
+  // The ensemble on display no longer matches once a new run starts.
+  currentEnsemble = null;
+  // Ensemble progress spans several models, so it is shown as a percentage.
+  const request =
+    modelIds.length > 1
+      ? requestEnsemble(tempIncrease, iterations, { ...runOptions, modelIds }, (completed, total) =>
+          renderSimulationProgress(statusEl, completed, total)
+        ).then((ensemble) => {
+          currentEnsemble = ensemble;
+          return ensemble && ensemble.members[0];
+        })
+      : requestSimulation(tempIncrease, iterations, runOptions, (completed, total) =>
+          renderSimulationProgress(statusEl, completed, total, adaptive)
+        );
+
+  request
+    .then((result) => {
+      // Superseded by a newer run.
+      if (!result) return;
+
+      currentSimulationResult = result;
+      applySimulationResult(viewer, result, true);
+
+      statusEl.innerHTML = `<div class="done">✓ Simulation complete</div>`;
+      statusClearTimer = setTimeout(() => {
+        statusEl.innerHTML = "";
+      }, 2000);
+    })
+    .catch((err) => {
+      console.error("Simulation failed:", err);
+      renderSimulationFailure(statusEl, err);
+    });
+}
+
+/**
+ * Cache key for a scenario's trajectory under the current model, sampler,
+ * warming setting and registry revision.
+ */
+function getTrajectoryKey(scenarioId) {
+  return `${scenarioId}|${currentModelId}|${currentSampler}|${includeWarmingUncertainty}|${registryRevision}`;
+}
+
+/**
+ * Show a year of the time-evolving trajectory for a scenario. The trajectory
+ * is run once per trajectory key and cached, so moving the year slider only
+ * re-reads the stored per-year distributions.
+ */
+function showTrajectoryYear(viewer, scenarioId, year) {
+  const key = getTrajectoryKey(scenarioId);
+  currentProjection = { scenarioId, year, trajectory: true };
+
+  if (currentTrajectory && currentTrajectory.key === key) {
+    // Drop any stale run so it cannot overwrite this selection.
+    cancelSimulation();
+    pendingTrajectoryKey = null;
+    applyTrajectoryYear(viewer, year);
+    return;
+  }
+
+  // Same trajectory already running: it will pick up the latest year.
+  if (pendingTrajectoryKey === key) return;
+  pendingTrajectoryKey = key;
 
-  // Use requestAnimationFrame to let the UI update before running simulation
-  requestAnimationFrame(() => {
-    const result = runSimulation(tempIncrease, MONTE_CARLO_ITERATIONS, {
-      seed: buildSeedForRun(tempIncrease, projection),
+  const statusEl = document.getElementById("simulationStatus");
+  clearTimeout(statusClearTimer);
+  renderSimulationProgress(statusEl, 0, MONTE_CARLO_ITERATIONS);
+
+  const pathway = getTemperaturePathway(scenarioId, PROJECTION_END_YEAR);
+  requestTrajectory(
+    pathway,
+    MONTE_CARLO_ITERATIONS,
+    {
+      seed: buildSeedForRun(0, currentProjection),
+      modelId: currentModelId,
+      sampler: currentSampler,
+      warming: includeWarmingUncertainty ? { p5: pathway.p5, p95: pathway.p95 } : null,
+    },
+    (completed, total) => renderSimulationProgress(statusEl, completed, total)
+  )
+    .then((result) => {
+      if (pendingTrajectoryKey === key) pendingTrajectoryKey = null;
+      // Superseded by a newer run.
+      if (!result) return;
+
+      currentTrajectory = { key, result };
+      applyTrajectoryYear(viewer, currentProjection.year);
+
+      statusEl.innerHTML = `<div class="done">✓ Trajectory complete</div>`;
+      statusClearTimer = setTimeout(() => {
+        statusEl.innerHTML = "";
+      }, 2000);
+    })
+    .catch((err) => {
+      if (pendingTrajectoryKey === key) pendingTrajectoryKey = null;
+      console.error("Trajectory simulation failed:", err);
+      renderSimulationFailure(statusEl, err);
     });
-    currentSimulationResult = result;
-    applySimulationResult(viewer, result, true);
+}
 
-    statusEl.innerHTML = `<div class="done">✓ Simulation complete</div>`;
-    setTimeout(() => {
-      statusEl.innerHTML = "";
-    }, 2000);
-  });
+/**
+ * Apply one year of the cached trajectory to the globe and panels.
+ */
+function applyTrajectoryYear(viewer, year) {
+  const result = getTrajectoryYearResult(currentTrajectory.result, year);
+  currentEnsemble = null;
+  currentActiveTemp = result.tempIncrease;
+  currentSimulationResult = result;
+  updateTempDisplay();
+  applySimulationResult(viewer, result, true);
+}
+
+/**
+ * Show a failed run in the status area. The message is set as text, since
+ * errors can quote imported model and scenario names.
+ */
+function renderSimulationFailure(statusEl, err) {
+  const line = document.createElement("div");
+  line.className = "failed";
+  line.textContent = `Simulation failed: ${err.message}`;
+  statusEl.replaceChildren(line);
+}
+
+/**
+ * Render running status with a progress bar.
+ * Adaptive runs show iterations so far; the bar fills towards the iteration cap.
+ */
+function renderSimulationProgress(statusEl, completed, total, adaptive = null) {
+  const pct = total > 0 ? Math.round((completed / total) * 100) : 0;
+  const label = adaptive
+    ? `Sampling until ${adaptive.statistic} ± ${(adaptive.tolerance * 100).toFixed(2)} cm... ${formatNumber(completed)} iterations`
+    : `Running ${total} Monte Carlo iterations... ${pct}%`;
+  statusEl.innerHTML = `
+    <div class="running">${label}</div>
+    <div class="simulation-progress"><div class="simulation-progress-fill" style="width: ${pct}%"></div></div>
+  `;
+}
+
+/**
+ * Clear simulation status (used when a run is cancelled by resetting).
+ */
+function clearSimulationStatus() {
+  clearTimeout(statusClearTimer);
+  document.getElementById("simulationStatus").innerHTML = "";
 }
 
 /**
@@ -202,6 +916,45 @@ function setActiveButton(container, activeBtn) {
   activeBtn.classList.add("active");
 }
 
+/**
+ * Years of land motion for the result on display: from the projection
+ * baseline to the projection year, 0 without one.
+ */
+function getLandMotionYears() {
+  return currentProjection ? Math.max(0, currentProjection.year - PROJECTION_BASELINE_YEAR) : 0;
+}
+
+/**
+ * Median sea level at a location split into global rise, the regional
+ * fingerprint and land motion (each when on), and the relative rise they add
+ * up to.
+ */
+function relativeSeaLevelHTML(result, loc) {
+  const globalRise = result.stats.median;
+  const regionalScale = regionalFingerprints
+    ? getRegionalScale(getFingerprintWeights(result.contributorStats), loc.longitude, loc.latitude)
+    : 1;
+  const localRise = globalRise * regionalScale;
+  const rate = includeLandMotion ? getLandMotionRate(loc.longitude, loc.latitude) : null;
+  const years = getLandMotionYears();
+  const landMotion = rate != null ? (rate / 1000) * years : 0;
+
+  const rows = [`<p>Global SLR (median): ${formatSignedCm(globalRise)}</p>`];
+  if (regionalFingerprints) {
+    rows.push(`<p>Regional SLR: ${formatSignedCm(localRise)} (×${regionalScale.toFixed(2)} of global)</p>`);
+  }
+  if (rate != null) {
+    const direction = rate < 0 ? "subsiding" : "rising";
+    rows.push(
+      years > 0
+        ? `<p>Land motion: ${rate.toFixed(1)} mm/yr ${direction}, ${formatSignedCm(landMotion)} by ${currentProjection.year}</p>`
+        : `<p>Land motion: ${rate.toFixed(1)} mm/yr ${direction} (applies to projection years)</p>`
+    );
+  }
+  rows.push(`<p>Relative SLR: <strong>${formatSignedCm(localRise - landMotion)}</strong></p>`);
+  return rows.join("");
+}
+
 /**
  * Update the stats panel with simulation results.
  */
@@ -221,26 +974,135 @@ function updateStatsPanel(result) {
   for (const [key, cs] of Object.entries(result.contributorStats)) {
     const pct = ((cs.mean / s.mean) * 100).toFixed(0);
     contributorHTML += `
-      <div class="contributor">
-        <span class="contributor-name">${cs.name}</span>
+      <div class="contributor${COLLAPSE_EVENTS[key] ? " what-if" : ""}">
+        <span class="contributor-name"></span>
         <span class="contributor-value">${(cs.mean * 100).toFixed(1)} cm (${pct}%)</span>
         <div class="contributor-bar" style="width: ${pct}%"></div>
       </div>
     `;
   }
 
+  // Monte Carlo precision (95% confidence half-widths)
+  const confidence = result.confidence;
+  let convergenceHTML = `<div class="convergence-note">n = ${formatNumber(result.iterations)} iterations`;
+  if (result.adaptive) {
+    const target = `${result.adaptive.statistic} ± ${(result.adaptive.tolerance * 100).toFixed(2)} cm`;
+    convergenceHTML += result.adaptive.converged
+      ? ` · converged to ${target}`
+      : ` · stopped at cap before reaching ${target}`;
+  }
+  convergenceHTML += ` · ± is the 95% Monte Carlo interval</div>`;
+
+  // Warming vs sea-level response share of the spread (scenario runs with warming uncertainty)
+  let warmingHTML = "";
+  if (result.warming && result.uncertaintySplit) {
+    const { p5, p95 } = result.warming;
+    const split = result.uncertaintySplit;
+    warmingHTML = `
+      <div class="uncertainty-split">
+        <div class="uncertainty-split-label">
+          Warming sampled from +${p5.toFixed(1)}–${p95.toFixed(1)}°C (5–95%). Share of SLR variance:
+        </div>
+        <div class="uncertainty-split-bar">
+          <div class="uncertainty-split-warming" style="width: ${(split.warmingShare * 100).toFixed(1)}%"></div>
+        </div>
+        <div class="uncertainty-split-legend">
+          <span>Warming ${(split.warmingShare * 100).toFixed(0)}%</span>
+          <span>Sea-level response ${(split.responseShare * 100).toFixed(0)}%</span>
+        </div>
+      </div>
+    `;
+  }
+
+  // Rate of rise (trajectory results only)
+  let rateHTML = "";
+  if (result.rateStats) {
+    rateHTML = `
+      <div class="stat">
+        <span class="stat-label">Rate of Rise (${result.year})</span>
+        <span class="stat-value">${result.rateStats.median.toFixed(1)} mm/yr</span>
+      </div>
+      <div class="stat">
+        <span class="stat-label">Rate 95th Pct.</span>
+        <span class="stat-value">${result.rateStats.p95.toFixed(1)} mm/yr</span>
+      </div>
+    `;
+  }
+
+  // Committed vs realised sea level (trajectories) or peak-warming commitment (scenario years past a peak)
+  let committedHTML = "";
+  if (result.committedStats) {
+    const peakNote =
+      result.peakTempIncrease > result.tempIncrease ? `, ice sheets at the +${result.peakTempIncrease.toFixed(1)}°C peak` : "";
+    committedHTML = `
+      <div class="committed-note">
+        Realised ${(s.median * 100).toFixed(1)} cm by ${result.year}; committed
+        <strong>${(result.committedStats.median * 100).toFixed(1)} cm</strong>
+        (${(result.committedStats.p5 * 100).toFixed(0)}–${(result.committedStats.p95 * 100).toFixed(0)} cm) once sea level
+        catches up with +${result.tempIncrease.toFixed(1)}°C${peakNote}
+      </div>
+    `;
+  } else if (result.peakWarming) {
+    committedHTML = `
+      <div class="committed-note">
+        Warming peaked at +${result.peakWarming.median.toFixed(1)}°C: ice sheets and ocean heat stay committed to the peak,
+        so sea level does not fall as warming declines
+      </div>
+    `;
+  }
+
+  // Long response horizon and what-if collapses, labelled so they are not read as 2100 projections
+  let longTermHTML = "";
+  const longTermLabel = describeLongTerm(result);
+  if (longTermLabel) {
+    const horizon = RESPONSE_HORIZONS[result.horizon];
+    const perDegree =
+      result.horizon !== DEFAULT_HORIZON ? ` · ≈ ${(s.median / result.tempIncrease).toFixed(1)} m per °C (median)` : "";
+    longTermHTML = `
+      <div class="long-term-note">
+        <strong>${longTermLabel}</strong>${perDegree}
+        ${result.horizon !== DEFAULT_HORIZON ? `<div>${horizon.description}</div>` : ""}
+        ${result.collapses?.length ? "<div>What-if collapses assume the full loss has happened; timing is not modelled</div>" : ""}
+      </div>
+    `;
+  }
+
+  // Tail widening from correlated contributor sampling
+  let correlationHTML = "";
+  if (result.correlationImpact) {
+    const ci = result.correlationImpact;
+    const widening = ci.widening * 100;
+    correlationHTML = `
+      <div class="correlation-impact">
+        Correlated sampling ${widening >= 0 ? "widens" : "narrows"} the p5–p95 band by
+        <strong>${widening >= 0 ? "+" : ""}${widening.toFixed(0)}%</strong>
+        (${(ci.correlatedBand * 100).toFixed(1)} cm vs ${(ci.independentBand * 100).toFixed(1)} cm independent)
+      </div>
+    `;
+  }
+
+  // Per-model comparison (ensemble runs); rows are added below and switch the globe to that model
+  const ensembleMembers = getEnsembleMembers(result);
+  const ensembleHTML =
+    ensembleMembers.length > 0
+      ? `<table class="ensemble-table"><tr><th>Model</th><th>Median cm</th><th>P95 cm</th></tr></table>`
+      : "";
+
   // Location-specific info
   let locationHTML = "";
   if (currentLocationId) {
     const loc = getLocationById(currentLocationId);
     const popFn = POPULATION_AT_RISK[currentLocationId];
-    if (loc && popFn) {
-      const popAtRisk = popFn(s.median);
+    if (loc) {
+      const populationHTML = popFn
+        ? `<p>Est. population at risk: <strong>${formatNumber(popFn(s.median))}</strong></p>`
+        : "";
       locationHTML = `
         <div class="location-impact">
           <h4>${loc.name} Impact</h4>
+          ${relativeSeaLevelHTML(result, loc)}
           <p>Avg elevation: ${loc.avgElevation}m</p>
-          <p>Est. population at risk: <strong>${formatNumber(popAtRisk)}</strong></p>
+          ${populationHTML}
           <p>Coastal population: ${formatNumber(loc.coastalPopulation)}</p>
         </div>
       `;
@@ -251,26 +1113,258 @@ function updateStatsPanel(result) {
     <div class="stats-grid">
       <div class="stat">
         <span class="stat-label">Median SLR</span>
-        <span class="stat-value">${(s.median * 100).toFixed(1)} cm</span>
+        <span class="stat-value">${formatWithUncertainty(s.median, confidence?.median)}</span>
       </div>
       <div class="stat">
         <span class="stat-label">Mean SLR</span>
-        <span class="stat-value">${(s.mean * 100).toFixed(1)} cm</span>
+        <span class="stat-value">${formatWithUncertainty(s.mean, confidence?.mean)}</span>
       </div>
       <div class="stat">
         <span class="stat-label">5th Percentile</span>
-        <span class="stat-value">${(s.p5 * 100).toFixed(1)} cm</span>
+        <span class="stat-value">${formatWithUncertainty(s.p5, confidence?.p5)}</span>
       </div>
       <div class="stat">
         <span class="stat-label">95th Percentile</span>
-        <span class="stat-value">${(s.p95 * 100).toFixed(1)} cm</span>
+        <span class="stat-value">${formatWithUncertainty(s.p95, confidence?.p95)}</span>
       </div>
+      ${rateHTML}
+    </div>
+    ${ensembleHTML}
+    ${longTermHTML}
+    ${convergenceHTML}
+    ${committedHTML}
+    ${warmingHTML}
+    ${correlationHTML}
+    <div class="exceedance-query">
+      <label for="exceedanceThreshold">P(SLR &gt;</label>
+      <input id="exceedanceThreshold" class="exceedance-input" type="number" min="0" step="10" value="${currentExceedanceThresholdCm}" />
+      <span>cm) =</span>
+      <strong id="exceedanceValue"></strong>
     </div>
     <div class="impact-text">${impact}</div>
     <h4>Contributors</h4>
     <div class="contributors">${contributorHTML}</div>
     ${locationHTML}
   `;
+  // Contributor names can come from imported models, so they are set as text.
+  const contributorStats = Object.values(result.contributorStats);
+  panel.querySelectorAll(".contributor-name").forEach((el, i) => {
+    el.textContent = contributorStats[i].name;
+  });
+  // Model ids and labels can come from imported models too.
+  const ensembleTableEl = panel.querySelector(".ensemble-table");
+  for (const { modelId, label, result: member } of ensembleMembers) {
+    const row = ensembleTableEl.insertRow();
+    row.className = member === result ? "ensemble-row active" : "ensemble-row";
+    row.dataset.modelId = modelId;
+    for (const text of [label, (member.stats.median * 100).toFixed(1), (member.stats.p95 * 100).toFixed(1)]) {
+      row.insertCell().textContent = text;
+    }
+  }
+
+  const thresholdEl = document.getElementById("exceedanceThreshold");
+  const renderExceedance = () => {
+    const probability = result.exceedanceProbability(currentExceedanceThresholdCm / 100);
+    document.getElementById("exceedanceValue").textContent = formatProbability(probability);
+  };
+  thresholdEl.addEventListener("input", () => {
+    const value = parseFloat(thresholdEl.value);
+    if (!Number.isFinite(value) || value < 0) return;
+    currentExceedanceThresholdCm = value;
+    renderExceedance();
+  });
+  renderExceedance();
+}
+
+/**
+ * Create the parameter sensitivity panel below the results (contributor bars).
+ * The analysis is started on demand because it runs over a thousand simulations.
+ */
+function createSensitivityPanel() {
+  const statsPanelEl = document.getElementById("statsPanel");
+  const wrapper = document.createElement("div");
+  wrapper.id = "sensitivityPanel";
+  wrapper.className = "sensitivity-panel";
+  wrapper.hidden = true;
+  wrapper.innerHTML = `
+    <h4>Parameter Sensitivity</h4>
+    <div class="sensitivity-controls">
+      <button id="sensitivityRunBtn" class="sensitivity-run" type="button"></button>
+      <select id="sensitivityStatistic" class="setting-select" title="Statistic the analysis explains">
+        ${SENSITIVITY_STATISTICS.map((stat) => `<option value="${stat}">${stat === "median" ? "Median" : stat.toUpperCase()}</option>`).join("")}
+      </select>
+    </div>
+    <div class="sensitivity-status"></div>
+    <div class="sensitivity-chart-container"><canvas id="sensitivityCanvas"></canvas></div>
+    <div class="sensitivity-sobol"></div>
+  `;
+
+  wrapper.querySelector("#sensitivityRunBtn").addEventListener("click", runSensitivityForCurrentResult);
+  statsPanelEl.parentNode.insertBefore(wrapper, statsPanelEl.nextSibling);
+}
+
+/**
+ * Clear any previous analysis; it no longer matches the result on display.
+ */
+function resetSensitivityPanel(result) {
+  const panel = document.getElementById("sensitivityPanel");
+  if (!panel) return;
+  // Re-applying the same result (e.g. a new flood percentile) keeps its analysis.
+  if (result && result === sensitivityResult) return;
+  // An analysis still running belongs to the previous result.
+  cancelSensitivity();
+  sensitivityResult = null;
+  panel.hidden = !result || result.tempIncrease === 0;
+  if (panel.hidden) return;
+
+  panel.querySelector("#sensitivityRunBtn").textContent = `Analyse parameters at +${result.tempIncrease.toFixed(2)}°C`;
+  panel.querySelector("#sensitivityRunBtn").disabled = false;
+  panel.querySelector(".sensitivity-status").textContent = "";
+  panel.querySelector(".sensitivity-chart-container").style.display = "none";
+  panel.querySelector(".sensitivity-sobol").innerHTML = "";
+  if (sensitivityChart) {
+    sensitivityChart.destroy();
+    sensitivityChart = null;
+  }
+}
+
+/**
+ * Run the sensitivity analysis for the temperature, model and settings of
+ * the result on display, with the same seed. Each evaluation runs fewer
+ * iterations than the display, so the baseline differs from the displayed
+ * statistic by sampling noise.
+ */
+function runSensitivityForCurrentResult() {
+  const result = currentSimulationResult;
+  if (!result || result.tempIncrease === 0) return;
+
+  const panel = document.getElementById("sensitivityPanel");
+  const statusEl = panel.querySelector(".sensitivity-status");
+  const buttonEl = panel.querySelector("#sensitivityRunBtn");
+  const statistic = panel.querySelector("#sensitivityStatistic").value;
+  buttonEl.disabled = true;
+  sensitivityResult = result;
+
+  requestSensitivity(
+    result.tempIncrease,
+    {
+      statistic,
+      seed: result.seedUsed,
+      modelId: currentModelId,
+      sampler: currentSampler,
+      horizon: result.horizon,
+      collapses: result.collapses,
+      warming: result.warming ? { p5: result.warming.p5, p95: result.warming.p95 } : null,
+      peakWarming: result.peakWarming,
+    },
+    (completed, total) => {
+      statusEl.textContent = `Running ${formatNumber(total)} simulations... ${Math.round((completed / total) * 100)}%`;
+    }
+  )
+    .then((analysis) => {
+      buttonEl.disabled = false;
+      // Cancelled because the result on display changed meanwhile.
+      if (!analysis || currentSimulationResult !== result) return;
+      statusEl.textContent =
+        `${formatNumber(analysis.evaluations)} simulations × ${analysis.iterationsPerEvaluation} iterations ` +
+        `(display: ${formatNumber(result.iterations)}, so the baseline differs by sampling noise); ` +
+        `ranges: mean ±${SENSITIVITY_PARAMETERS.meanPerDeg.range * 100}%, spread ±${SENSITIVITY_PARAMETERS.stdPerDeg.range * 100}%, ` +
+        `exponent ±${SENSITIVITY_PARAMETERS.exponent.range * 100}%`;
+      renderSensitivity(panel, analysis);
+    })
+    .catch((err) => {
+      buttonEl.disabled = false;
+      console.error("Sensitivity analysis failed:", err);
+      statusEl.textContent = `Sensitivity analysis failed: ${err.message}`;
+    });
+}
+
+/**
+ * Draw the one-at-a-time tornado chart and list the Sobol indices.
+ */
+function renderSensitivity(panel, analysis) {
+  const statLabel = analysis.statistic === "median" ? "median" : analysis.statistic.toUpperCase();
+  const describe = (entry) => `${entry.name} · ${SENSITIVITY_PARAMETERS[entry.parameter].label}`;
+  const top = analysis.tornado.slice(0, SENSITIVITY_TOP_PARAMETERS);
+  const baselineCm = analysis.baseline * 100;
+
+  const container = panel.querySelector(".sensitivity-chart-container");
+  container.style.display = "block";
+  if (sensitivityChart) {
+    sensitivityChart.destroy();
+  }
+  sensitivityChart = new Chart(panel.querySelector("#sensitivityCanvas"), {
+    type: "bar",
+    data: {
+      labels: top.map(describe),
+      datasets: [
+        {
+          label: "Parameter at low end",
+          data: top.map((entry) => [baselineCm, entry.lowValue * 100]),
+          backgroundColor: "rgba(52, 152, 219, 0.8)",
+        },
+        {
+          label: "Parameter at high end",
+          data: top.map((entry) => [baselineCm, entry.highValue * 100]),
+          backgroundColor: "rgba(230, 126, 34, 0.8)",
+        },
+      ],
+    },
+    options: {
+      indexAxis: "y",
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { labels: { color: "#aaa", font: { size: 9 }, boxWidth: 10 } },
+        title: {
+          display: true,
+          text: `One-at-a-time: ${statLabel} SLR (baseline ${baselineCm.toFixed(1)} cm)`,
+          color: "#e0e0e0",
+          font: { size: 12 },
+        },
+      },
+      scales: {
+        x: {
+          title: { display: true, text: `${statLabel} SLR (cm)`, color: "#aaa", font: { size: 10 } },
+          ticks: { color: "#aaa", font: { size: 9 } },
+          grid: { color: "rgba(255,255,255,0.05)" },
+        },
+        y: {
+          stacked: true,
+          ticks: { color: "#aaa", font: { size: 9 } },
+          grid: { display: false },
+        },
+      },
+    },
+  });
+
+  // Sobol bars: solid = first-order (alone), outline = total effect (with interactions).
+  const sobolEntries = analysis.sobol.slice(0, SENSITIVITY_TOP_PARAMETERS);
+  const rows = sobolEntries
+    .map((entry) => {
+      const first = Math.min(Math.max(entry.first, 0), 1) * 100;
+      const total = Math.min(Math.max(entry.total, 0), 1) * 100;
+      return `
+        <div class="sobol-row">
+          <span class="sobol-name"></span>
+          <span class="sobol-value">S₁ ${first.toFixed(0)}% · Sₜ ${total.toFixed(0)}%</span>
+          <div class="sobol-bar">
+            <div class="sobol-total" style="width: ${total.toFixed(1)}%"></div>
+            <div class="sobol-first" style="width: ${first.toFixed(1)}%"></div>
+          </div>
+        </div>
+      `;
+    })
+    .join("");
+  const sobolEl = panel.querySelector(".sensitivity-sobol");
+  sobolEl.innerHTML = `
+    <div class="sobol-title">Sobol indices: share of ${statLabel} SLR variance (N = ${analysis.samples})</div>
+    ${rows}
+  `;
+  // Contributor names can come from imported models, so they are set as text.
+  sobolEl.querySelectorAll(".sobol-name").forEach((el, i) => {
+    el.textContent = describe(sobolEntries[i]);
+  });
 }
 
 /**
@@ -291,14 +1385,23 @@ function updateHistogram(result) {
 
   container.style.display = "block";
 
+  // Ensemble runs overlay the other models' distributions on shared bins.
+  const ensembleMembers = getEnsembleMembers(result);
+  const others = ensembleMembers.filter((member) => member.result !== result);
+
   // Create histogram bins
   const data = result.results;
-  const min = Math.floor(data[0] * 100) / 100;
-  const max = Math.ceil(data[data.length - 1] * 100) / 100;
+  let low = data[0];
+  let high = data[data.length - 1];
+  for (const { result: member } of others) {
+    low = Math.min(low, member.results[0]);
+    high = Math.max(high, member.results[member.results.length - 1]);
+  }
+  const min = Math.floor(low * 100) / 100;
+  const max = Math.ceil(high * 100) / 100;
   const binCount = 30;
   const binWidth = (max - min) / binCount;
 
-  const bins = new Array(binCount).fill(0);
   const labels = [];
 
   for (let i = 0; i < binCount; i++) {
@@ -306,13 +1409,18 @@ function updateHistogram(result) {
     labels.push(`${(binStart * 100).toFixed(0)}`);
   }
 
-  for (const value of data) {
-    const binIndex = Math.min(
-      Math.floor((value - min) / binWidth),
-      binCount - 1
-    );
-    bins[binIndex]++;
-  }
+  const binSamples = (samples) => {
+    const counts = new Array(binCount).fill(0);
+    for (const value of samples) {
+      const binIndex = Math.min(
+        Math.floor((value - min) / binWidth),
+        binCount - 1
+      );
+      counts[binIndex]++;
+    }
+    return counts;
+  };
+  const bins = binSamples(data);
 
   // Color bins based on severity
   const colors = bins.map((_, i) => {
@@ -333,22 +1441,36 @@ function updateHistogram(result) {
       labels,
       datasets: [
         {
-          label: "Frequency",
+          label: ensembleMembers.find((member) => member.result === result)?.label ?? "Frequency",
           data: bins,
           backgroundColor: colors,
           borderColor: colors.map((c) => c.replace("0.8", "1")),
           borderWidth: 1,
         },
+        // Other models as outlines, scaled to the same number of samples.
+        ...others.map(({ label, result: member }, i) => ({
+          type: "line",
+          label,
+          data: binSamples(member.results).map((count) => (count * data.length) / member.results.length),
+          borderColor: ENSEMBLE_COLORS[i % ENSEMBLE_COLORS.length],
+          backgroundColor: "transparent",
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.3,
+        })),
       ],
     },
     options: {
       responsive: true,
       maintainAspectRatio: false,
       plugins: {
-        legend: { display: false },
+        legend: {
+          display: others.length > 0,
+          labels: { color: "#aaa", font: { size: 9 }, boxWidth: 10 },
+        },
         title: {
           display: true,
-          text: `Sea Level Rise Distribution (+${result.tempIncrease}°C)`,
+          text: buildHistogramTitle(result),
           color: "#e0e0e0",
           font: { size: 12 },
         },
@@ -386,10 +1508,22 @@ function updateHistogram(result) {
   });
 }
 
+/**
+ * Histogram title: run conditions plus the sampler that produced the samples.
+ */
+function buildHistogramTitle(result) {
+  const conditions = result.year
+    ? `${result.year}, +${result.tempIncrease.toFixed(2)}°C`
+    : `+${result.tempIncrease}°C`;
+  const sampler = SAMPLERS[result.sampler];
+  const longTerm = describeLongTerm(result);
+  return `Sea Level Rise Distribution (${conditions}${longTerm ? ` · ${longTerm}` : ""}${sampler ? ` · ${sampler.label}` : ""})`;
+}
+
 /**
  * Update the bottom info overlay.
  */
-function updateInfoOverlay(tempIncrease, floodLevelMeters, floodMetric) {
+function updateInfoOverlay(tempIncrease, floodLevelMeters, floodPercentile, result = null) {
   const tempEl = document.getElementById("currentTemp");
   const slrEl = document.getElementById("currentSLR");
 
@@ -404,7 +1538,14 @@ function updateInfoOverlay(tempIncrease, floodLevelMeters, floodMetric) {
     } else {
       tempEl.textContent = `+${Number.isInteger(tempIncrease) ? tempIncrease : tempIncrease.toFixed(2)}°C`;
     }
-    slrEl.textContent = `Sea Level: +${(floodLevelMeters * 100).toFixed(1)} cm (${floodMetric.toUpperCase()})`;
+    const longTerm = result ? describeLongTerm(result) : "";
+    const bands =
+      floodDisplayMode === "bands" && result
+        ? `, P${FLOOD_BANDS.low.percentile}–P${FLOOD_BANDS.high.percentile}: ${(result.quantile(FLOOD_BANDS.low.percentile / 100) * 100).toFixed(1)}–${(result.quantile(FLOOD_BANDS.high.percentile / 100) * 100).toFixed(1)} cm`
+        : "";
+    const probability = floodDisplayMode === "probability" ? ", shaded by exceedance probability" : "";
+    const qualifier = `${formatPercentileLabel(floodPercentile)}${bands}${probability}${longTerm ? `, ${longTerm}` : ""}`;
+    slrEl.textContent = `Sea Level: +${(floodLevelMeters * 100).toFixed(1)} cm (${qualifier})`;
   }
 }
 
@@ -414,20 +1555,54 @@ function updateInfoOverlay(tempIncrease, floodLevelMeters, floodMetric) {
 function createProjectionControls(viewer) {
   const tempButtonsEl = document.getElementById("tempButtons");
   const simulationStatusEl = document.getElementById("simulationStatus");
-  const scenarios = getScenarioPresets();
-  const defaultScenario = scenarios[1] || scenarios[0];
+  const defaultScenario = getScenarioById("ssp245") || getScenarioPresets()[0];
   const defaultYear = 2050;
+  let activeScenarioId = defaultScenario.id;
 
   const wrapper = document.createElement("div");
   wrapper.className = "projection-panel";
   wrapper.innerHTML = `
     <h3>⏳ Time Projections</h3>
     <div class="projection-scenarios"></div>
+    <div class="scenario-editor" hidden>
+      <label class="scenario-editor-label">
+        Name
+        <input class="scenario-editor-name" type="text" maxlength="40" />
+      </label>
+      <label class="scenario-editor-label" title="Emissions pathways are converted to warming with a TCRE climate emulator">
+        Input
+        <select class="scenario-editor-mode">
+          <option value="warming">Warming (°C)</option>
+          ${Object.values(EMISSIONS_MODES).map((mode) => `<option value="${mode.id}">${mode.label} (${mode.unit})</option>`).join("")}
+        </select>
+      </label>
+      <div class="scenario-editor-head">
+        <span>Year</span>
+        <span class="scenario-editor-value-head">Warming (°C)</span>
+        <span></span>
+      </div>
+      <div class="scenario-editor-rows"></div>
+      <button class="scenario-editor-add" type="button">+ Add point</button>
+      <div class="scenario-editor-error"></div>
+      <div class="scenario-editor-actions">
+        <button class="scenario-editor-save" type="button">Save</button>
+        <button class="scenario-editor-cancel" type="button">Cancel</button>
+        <button class="scenario-editor-delete" type="button">Delete</button>
+      </div>
+    </div>
     <div class="projection-slider-wrap">
       <label class="projection-year-label" for="projectionYearSlider">Year: <span id="projectionYearValue"></span></label>
-      <input id="projectionYearSlider" class="projection-year-slider" type="range" min="0" max="${PROJECTION_YEARS.length - 1}" step="1" value="${PROJECTION_YEARS.indexOf(defaultYear)}" />
+      <input id="projectionYearSlider" class="projection-year-slider" type="range" min="${PROJECTION_BASELINE_YEAR}" max="${PROJECTION_END_YEAR}" step="1" value="${defaultYear}" />
       <div class="projection-year-marks"></div>
     </div>
+    <label class="projection-mode-toggle">
+      <input id="projectionTrajectoryToggle" type="checkbox" />
+      Time-evolving sea level (year-by-year trajectory)
+    </label>
+    <label class="projection-mode-toggle" title="Sample each iteration's warming from the scenario's 5–95% range">
+      <input id="projectionWarmingToggle" type="checkbox" ${includeWarmingUncertainty ? "checked" : ""} />
+      Include warming uncertainty (climate sensitivity)
+    </label>
     <div id="projectionTempSummary" class="projection-temp-summary"></div>
   `;
 
@@ -436,25 +1611,189 @@ function createProjectionControls(viewer) {
   const yearValueEl = wrapper.querySelector("#projectionYearValue");
   const yearSliderEl = wrapper.querySelector("#projectionYearSlider");
   const tempSummaryEl = wrapper.querySelector("#projectionTempSummary");
+  const trajectoryToggleEl = wrapper.querySelector("#projectionTrajectoryToggle");
+  const warmingToggleEl = wrapper.querySelector("#projectionWarmingToggle");
+
+  const editorEl = wrapper.querySelector(".scenario-editor");
+  const editorNameEl = editorEl.querySelector(".scenario-editor-name");
+  const editorModeEl = editorEl.querySelector(".scenario-editor-mode");
+  const editorValueHeadEl = editorEl.querySelector(".scenario-editor-value-head");
+  const editorRowsEl = editorEl.querySelector(".scenario-editor-rows");
+  const editorErrorEl = editorEl.querySelector(".scenario-editor-error");
+  const editorDeleteEl = editorEl.querySelector(".scenario-editor-delete");
+  // Custom scenario being edited; null while creating a new one.
+  let editingScenario = null;
+
+  /**
+   * Rebuild scenario buttons: presets, custom scenarios (with an edit
+   * handle), then the "+ Custom" button.
+   */
+  function renderScenarioButtons() {
+    scenariosEl.innerHTML = "";
+    for (const scenario of getScenarioPresets()) {
+      const btn = document.createElement("button");
+      btn.className = "projection-scenario-btn";
+      btn.dataset.scenarioId = scenario.id;
+      btn.textContent = scenario.label;
+      btn.title = scenario.description;
+      if (scenario.custom) {
+        btn.classList.add("custom");
+        const editEl = document.createElement("span");
+        editEl.className = "projection-scenario-edit";
+        editEl.textContent = "✎";
+        editEl.title = "Edit custom scenario";
+        editEl.addEventListener("click", (event) => {
+          event.stopPropagation();
+          openScenarioEditor(scenario);
+        });
+        btn.appendChild(editEl);
+      }
+      btn.addEventListener("click", () => {
+        setScenarioActive(scenariosEl, scenario.id);
+        applyProjectionSelection();
+      });
+      scenariosEl.appendChild(btn);
+    }
 
-  for (const scenario of scenarios) {
-    const btn = document.createElement("button");
-    btn.className = "projection-scenario-btn";
-    btn.dataset.scenarioId = scenario.id;
-    btn.textContent = scenario.label;
-    btn.title = scenario.description;
-    if (scenario.id === defaultScenario.id) btn.classList.add("active");
-    btn.addEventListener("click", () => {
-      setScenarioActive(scenariosEl, scenario.id);
-      applyProjectionSelection();
-    });
-    scenariosEl.appendChild(btn);
+    const addBtn = document.createElement("button");
+    addBtn.className = "projection-scenario-btn projection-scenario-add";
+    addBtn.textContent = "+ Custom";
+    addBtn.title = "Create a custom warming or emissions pathway";
+    addBtn.addEventListener("click", () => openScenarioEditor(null));
+    scenariosEl.appendChild(addBtn);
+
+    setScenarioActive(scenariosEl, activeScenarioId);
   }
 
-  for (const year of PROJECTION_YEARS) {
-    const mark = document.createElement("span");
+  function addEditorRow(year, value) {
+    const mode = EMISSIONS_MODES[editorModeEl.value];
+    const range = mode ? `min="${mode.min}" max="${mode.max}" step="1"` : `min="0" max="15" step="0.1"`;
+    const row = document.createElement("div");
+    row.className = "scenario-editor-row";
+    row.innerHTML = `
+      <input class="scenario-editor-year" type="number" min="${PROJECTION_BASELINE_YEAR}" max="${PROJECTION_END_YEAR}" step="1" value="${year}" />
+      <input class="scenario-editor-value" type="number" ${range} value="${value}" />
+      <button class="scenario-editor-remove" type="button" title="Remove point">×</button>
+    `;
+    row.querySelector(".scenario-editor-remove").addEventListener("click", () => row.remove());
+    editorRowsEl.appendChild(row);
+  }
+
+  /**
+   * Switch the editor between warming and emissions input and fill the rows.
+   * Emissions-driven scenarios are edited through their emissions anchors,
+   * not the annual warming derived from them.
+   */
+  function setEditorMode(mode, anchorsByYear) {
+    editorModeEl.value = mode;
+    editorValueHeadEl.textContent = EMISSIONS_MODES[mode] ? EMISSIONS_MODES[mode].unit : "Warming (°C)";
+    editorRowsEl.innerHTML = "";
+    for (const [year, value] of Object.entries(anchorsByYear)) {
+      addEditorRow(year, value);
+    }
+  }
+
+  /**
+   * Open the editor for a custom scenario, or for a new one pre-filled
+   * with the anchors of the active scenario.
+   */
+  function openScenarioEditor(scenario) {
+    editingScenario = scenario;
+    const source = scenario || getScenarioById(activeScenarioId) || defaultScenario;
+    editorNameEl.value = scenario ? scenario.label : "";
+    editorNameEl.placeholder = `e.g. National policy (from ${source.label})`;
+    if (source.emissions) {
+      setEditorMode(source.emissions.mode, source.emissions.emissionsByYear);
+    } else {
+      setEditorMode("warming", source.temperaturesByYear);
+    }
+    editorErrorEl.textContent = "";
+    editorDeleteEl.hidden = !scenario;
+    editorEl.hidden = false;
+    editorNameEl.focus();
+  }
+
+  function closeScenarioEditor() {
+    editorEl.hidden = true;
+    editingScenario = null;
+  }
+
+  /**
+   * Persist custom scenarios and drop any trajectory cached for the edited one.
+   */
+  function commitScenarioChange(nextActiveId) {
+    const saved = saveCustomScenarios(getCustomScenarios());
+    cancelSimulation();
+    pendingTrajectoryKey = null;
+    currentTrajectory = null;
+    activeScenarioId = nextActiveId;
+    renderScenarioButtons();
+    closeScenarioEditor();
+    applyProjectionSelection();
+    if (!saved) {
+      tempSummaryEl.textContent += " · not saved (browser storage unavailable)";
+    }
+  }
+
+  function saveScenarioFromEditor() {
+    const label = editorNameEl.value.trim();
+    const mode = editorModeEl.value;
+    const valuesByYear = {};
+    for (const row of editorRowsEl.querySelectorAll(".scenario-editor-row")) {
+      const year = Number(row.querySelector(".scenario-editor-year").value);
+      const value = parseFloat(row.querySelector(".scenario-editor-value").value);
+      if (valuesByYear[year] != null) {
+        editorErrorEl.textContent = `Year ${year} is listed twice`;
+        return;
+      }
+      valuesByYear[year] = value;
+    }
+
+    const id = editingScenario ? editingScenario.id : buildCustomScenarioId(label);
+    try {
+      const definition = EMISSIONS_MODES[mode]
+        ? buildEmissionsScenario({ id, label, mode, emissionsByYear: valuesByYear })
+        : { id, label, description: "Custom warming pathway", temperaturesByYear: valuesByYear };
+      registerScenario(definition, { replace: Boolean(editingScenario) });
+    } catch (err) {
+      editorErrorEl.textContent = err.message.replace(/^Invalid (scenario|emissions pathway)[^:]*: /, "");
+      return;
+    }
+    commitScenarioChange(id);
+  }
+
+  editorEl.querySelector(".scenario-editor-add").addEventListener("click", () => {
+    const years = [...editorRowsEl.querySelectorAll(".scenario-editor-year")].map((el) => Number(el.value));
+    const lastYear = years.length > 0 ? Math.max(...years) : PROJECTION_BASELINE_YEAR - 10;
+    addEditorRow(Math.min(lastYear + 10, PROJECTION_END_YEAR), "");
+  });
+  editorModeEl.addEventListener("change", () => {
+    const mode = editorModeEl.value;
+    setEditorMode(mode, DEFAULT_EMISSIONS_BY_YEAR[mode] || defaultScenario.temperaturesByYear);
+    editorErrorEl.textContent = "";
+  });
+  editorEl.querySelector(".scenario-editor-save").addEventListener("click", saveScenarioFromEditor);
+  editorEl.querySelector(".scenario-editor-cancel").addEventListener("click", closeScenarioEditor);
+  editorDeleteEl.addEventListener("click", () => {
+    if (!editingScenario || !confirm(`Delete custom scenario "${editingScenario.label}"?`)) return;
+    removeScenario(editingScenario.id);
+    commitScenarioChange(activeScenarioId === editingScenario.id ? defaultScenario.id : activeScenarioId);
+  });
+
+  renderScenarioButtons();
+  // Scenarios imported from files appear without a reload.
+  onScenariosChanged(renderScenarioButtons);
+
+  // Marks sit at their year's position on the slider; clicking one jumps there.
+  for (const year of PROJECTION_MARK_YEARS) {
+    const mark = document.createElement("button");
     mark.className = "projection-year-mark";
     mark.textContent = String(year);
+    mark.style.left = `${((year - PROJECTION_BASELINE_YEAR) / (PROJECTION_END_YEAR - PROJECTION_BASELINE_YEAR)) * 100}%`;
+    mark.addEventListener("click", () => {
+      yearSliderEl.value = String(year);
+      applyProjectionSelection();
+    });
     yearMarksEl.appendChild(mark);
   }
 
@@ -462,39 +1801,369 @@ function createProjectionControls(viewer) {
     applyProjectionSelection();
   });
 
+  trajectoryToggleEl.addEventListener("change", () => {
+    applyProjectionSelection();
+  });
+
+  warmingToggleEl.addEventListener("change", () => {
+    includeWarmingUncertainty = warmingToggleEl.checked;
+    applyProjectionSelection();
+  });
+
   function setScenarioActive(container, scenarioId) {
+    activeScenarioId = scenarioId;
     container.querySelectorAll(".projection-scenario-btn").forEach((btn) => {
       btn.classList.toggle("active", btn.dataset.scenarioId === scenarioId);
     });
   }
 
   function applyProjectionSelection() {
-    const activeScenarioBtn = scenariosEl.querySelector(".projection-scenario-btn.active");
-    const scenarioId = activeScenarioBtn ? activeScenarioBtn.dataset.scenarioId : defaultScenario.id;
-    const year = PROJECTION_YEARS[Number(yearSliderEl.value)];
+    const scenarioId = getScenarioById(activeScenarioId) ? activeScenarioId : defaultScenario.id;
+    const year = Number(yearSliderEl.value);
     const projectedTemp = getProjectedTemp(scenarioId, year);
-    renderProjectionSummary(year, projectedTemp);
+    renderProjectionSummary(scenarioId, year);
 
     if (tempButtonsContainer && resetTempButton) {
       clearPresetActive(tempButtonsContainer);
       resetTempButton.classList.remove("active");
     }
 
-    runAndVisualize(viewer, projectedTemp, { projection: { scenarioId, year } });
+    if (trajectoryToggleEl.checked) {
+      showTrajectoryYear(viewer, scenarioId, year);
+    } else {
+      runAndVisualize(viewer, projectedTemp, { projection: { scenarioId, year } });
+    }
   }
 
-  function renderProjectionSummary(year, projectedTemp) {
+  refreshProjection = applyProjectionSelection;
+
+  function renderProjectionSummary(scenarioId, year) {
+    const { median, p5, p95 } = getProjectedWarming(scenarioId, year);
     yearValueEl.textContent = String(year);
-    tempSummaryEl.textContent = `Projected warming: +${projectedTemp.toFixed(2)}°C`;
+    tempSummaryEl.textContent =
+      p95 > p5
+        ? `Projected warming: +${median.toFixed(2)}°C (very likely ${p5.toFixed(1)}–${p95.toFixed(1)}°C)`
+        : `Projected warming: +${median.toFixed(2)}°C`;
+
+    const { emissions } = getScenarioById(scenarioId);
+    if (emissions) {
+      const { cumulative } = emissionsToWarming(emissions, year);
+      const emitted = Math.round(cumulative[cumulative.length - 1]);
+      tempSummaryEl.textContent += ` · ${emitted} GtCO₂ emitted since ${PROJECTION_BASELINE_YEAR}`;
+    }
   }
 
   // Insert below temperature controls and above simulation status.
   tempButtonsEl.parentNode.insertBefore(wrapper, simulationStatusEl);
-  renderProjectionSummary(defaultYear, getProjectedTemp(defaultScenario.id, defaultYear));
+  renderProjectionSummary(defaultScenario.id, defaultYear);
 }
 
 /**
- * Create flood metric toggle (median vs p95).
+ * Create the historical mode panel below the projections: the observed
+ * 1900–2020 record with the active scenario's projected fan continuing from
+ * the last observation. Clicking a past year floods the globe to the
+ * observed level relative to the reference year.
+ */
+function createHistoryPanel(viewer) {
+  const projectionPanelEl = document.querySelector(".projection-panel");
+  const wrapper = document.createElement("div");
+  wrapper.className = "history-panel";
+  wrapper.innerHTML = `
+    <h3>📈 Observed Sea Level</h3>
+    <label class="projection-mode-toggle">
+      <input id="historyToggle" type="checkbox" />
+      Historical mode (observed record leading into the projection)
+    </label>
+    <div class="history-body" hidden>
+      <label class="history-reference">
+        Reference year
+        <input id="historyReferenceYear" class="history-reference-input" type="number" step="1" value="${DEFAULT_REFERENCE_YEAR}" />
+      </label>
+      <div class="history-chart-container"><canvas id="historyCanvas"></canvas></div>
+      <div class="history-note"></div>
+    </div>
+  `;
+
+  const toggleEl = wrapper.querySelector("#historyToggle");
+  const bodyEl = wrapper.querySelector(".history-body");
+  const referenceEl = wrapper.querySelector("#historyReferenceYear");
+  const noteEl = wrapper.querySelector(".history-note");
+  let record = null;
+  let chart = null;
+  let fanCache = null;
+  let pendingFanKey = null;
+  let scenarioId = "ssp245";
+  let referenceYear = DEFAULT_REFERENCE_YEAR;
+  // Observed year on the globe; cleared when a simulation result replaces it.
+  let selectedYear = null;
+
+  function describeRecord() {
+    const first = record.years[0];
+    const last = record.years[record.years.length - 1];
+    return `Observed ${first}–${last} (smoothed approximation of a published reconstruction, see README); click a past year to show it on the globe`;
+  }
+
+  /**
+   * Projected percentiles for the active scenario: the trajectory on display
+   * when it matches, else a cached fan run. Returns null while the fan is
+   * being computed; render() runs again when it arrives.
+   */
+  function getProjectionTrajectory() {
+    const scenario = getScenarioById(scenarioId) ? scenarioId : getScenarioPresets()[0].id;
+    const key = getTrajectoryKey(scenario);
+    const label = getScenarioById(scenario).label;
+    if (currentTrajectory?.key === key) return { label, trajectory: currentTrajectory.result };
+    if (fanCache?.key === key) return fanCache;
+    requestFan(scenario, key, label);
+    return null;
+  }
+
+  /**
+   * Run the fan in the worker alongside any simulation; its result refreshes
+   * the panel.
+   */
+  function requestFan(scenario, key, label) {
+    if (pendingFanKey === key) return;
+    pendingFanKey = key;
+    const pathway = getTemperaturePathway(scenario, HISTORY_PROJECTION_END_YEAR);
+    requestHistoryTrajectory(pathway, HISTORY_FAN_ITERATIONS, {
+      seed: buildSeedForRun(0, { scenarioId: scenario, trajectory: true }),
+      modelId: currentModelId,
+      sampler: currentSampler,
+      warming: includeWarmingUncertainty ? { p5: pathway.p5, p95: pathway.p95 } : null,
+    })
+      .then((trajectory) => {
+        if (pendingFanKey === key) pendingFanKey = null;
+        // Superseded by a fan for newer settings.
+        if (!trajectory) return;
+        fanCache = { key, label, trajectory };
+        render();
+      })
+      .catch((err) => {
+        if (pendingFanKey === key) pendingFanKey = null;
+        console.error("Projection fan failed:", err);
+        noteEl.textContent = `Could not project the scenario: ${err.message}`;
+      });
+  }
+
+  function render() {
+    if (!record || bodyEl.hidden) return;
+    const observed = getObservedSeries(record, referenceYear);
+    const projection = getProjectionTrajectory();
+    const joined = projection
+      ? joinProjectionToRecord(record, projection.trajectory, referenceYear)
+      : { years: [], p5: [], median: [], p95: [] };
+    // A reused trajectory runs past the chart's end year.
+    const count = joined.years.filter((year) => year <= HISTORY_PROJECTION_END_YEAR).length;
+    const fan = Object.fromEntries(Object.entries(joined).map(([key, values]) => [key, values.slice(0, count)]));
+    const points = (years, values) => years.map((year, i) => ({ x: year, y: values[i] * 100 }));
+    const band = (sign) =>
+      observed.years.map((year, i) => ({ x: year, y: (observed.levels[i] + sign * (observed.uncertainty[i] ?? 0)) * 100 }));
+    const selected = selectedYear != null ? getObservedAnomaly(record, selectedYear, referenceYear) : null;
+    const edge = { label: "", pointRadius: 0, borderWidth: 0, fill: false };
+
+    const datasets = [
+      { ...edge, data: band(1) },
+      { ...edge, data: band(-1), fill: "-1", backgroundColor: "rgba(236, 240, 241, 0.15)" },
+      {
+        label: "Observed",
+        data: points(observed.years, observed.levels),
+        borderColor: "#ecf0f1",
+        borderWidth: 1.5,
+        pointRadius: 0,
+      },
+      { ...edge, data: points(fan.years, fan.p95) },
+      {
+        ...edge,
+        label: projection ? `${projection.label} 5–95%` : "",
+        data: points(fan.years, fan.p5),
+        fill: "-1",
+        backgroundColor: "rgba(52, 152, 219, 0.25)",
+      },
+      {
+        label: projection ? `${projection.label} median` : "",
+        data: points(fan.years, fan.median),
+        borderColor: "#3498db",
+        borderWidth: 1.5,
+        borderDash: [4, 3],
+        pointRadius: 0,
+      },
+      {
+        label: "",
+        data: selected ? [{ x: selected.year, y: selected.level * 100 }] : [],
+        borderColor: "#f1c40f",
+        backgroundColor: "#f1c40f",
+        pointRadius: 4,
+        showLine: false,
+      },
+    ];
+
+    if (chart) {
+      chart.data.datasets = datasets;
+      chart.options.scales.y.title.text = `cm relative to ${referenceYear}`;
+      chart.update("none");
+      return;
+    }
+    chart = new Chart(wrapper.querySelector("#historyCanvas"), {
+      type: "line",
+      data: { datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+          legend: {
+            labels: { color: "#aaa", font: { size: 9 }, boxWidth: 10, filter: (item) => item.text !== "" },
+          },
+          tooltip: { filter: (item) => item.dataset.label !== "" },
+        },
+        scales: {
+          x: {
+            type: "linear",
+            min: record.years[0],
+            max: HISTORY_PROJECTION_END_YEAR,
+            ticks: { color: "#aaa", font: { size: 9 }, stepSize: 20, callback: (value) => String(value) },
+            grid: { color: "rgba(255,255,255,0.05)" },
+          },
+          y: {
+            title: { display: true, text: `cm relative to ${referenceYear}`, color: "#aaa", font: { size: 10 } },
+            ticks: { color: "#aaa", font: { size: 9 } },
+            grid: { color: "rgba(255,255,255,0.05)" },
+          },
+        },
+        onClick: (event, _elements, clickedChart) => {
+          const year = Math.round(clickedChart.scales.x.getValueForPixel(event.x));
+          showObservedYear(year);
+        },
+      },
+    });
+  }
+
+  /**
+   * Flood the globe to the observed level of a past year.
+   */
+  function showObservedYear(year) {
+    const anomaly = getObservedAnomaly(record, year, referenceYear);
+    if (!anomaly) return;
+
+    cancelSimulation();
+    clearSimulationStatus();
+    currentActiveTemp = 0;
+    currentSimulationResult = null;
+    currentEnsemble = null;
+    currentProjection = null;
+    selectedYear = year;
+    if (tempButtonsContainer && resetTempButton) {
+      clearPresetActive(tempButtonsContainer);
+      resetTempButton.classList.remove("active");
+    }
+    updateTempDisplay();
+
+    // The record is a global mean, so no regional fingerprints.
+    setRegionalWeights(viewer, null);
+    setLandMotionYears(viewer, 0);
+    setFloodLevel(viewer, anomaly.level, { tempIncrease: 0, observedYear: year }, true);
+    updateObservedStatsPanel(anomaly, referenceYear);
+    updateHistogram(null);
+    resetSensitivityPanel(null);
+    document.getElementById("currentTemp").textContent = `Observed ${year}`;
+    document.getElementById("currentSLR").textContent =
+      `Sea Level: ${formatSignedCm(anomaly.level)} (observed, relative to ${referenceYear})`;
+    updateCompareButton();
+    render();
+  }
+
+  // Called once per applied result; the fan follows the projected scenario.
+  refreshHistory = () => {
+    if (currentProjection) scenarioId = currentProjection.scenarioId;
+    selectedYear = null;
+    render();
+  };
+
+  toggleEl.addEventListener("change", async () => {
+    bodyEl.hidden = !toggleEl.checked;
+    if (bodyEl.hidden) {
+      chart?.destroy();
+      chart = null;
+      return;
+    }
+    try {
+      record ??= await loadObservedRecord();
+      noteEl.textContent = describeRecord();
+      referenceEl.min = String(record.years[0]);
+      referenceEl.max = String(record.years[record.years.length - 1]);
+      render();
+    } catch (err) {
+      console.error("Observed record loading failed:", err);
+      noteEl.textContent = `Could not load the observed record: ${err.message}`;
+    }
+  });
+
+  referenceEl.addEventListener("change", () => {
+    const year = Number(referenceEl.value);
+    if (!record || !record.years.includes(year)) {
+      noteEl.textContent = record
+        ? `Reference year must be between ${record.years[0]} and ${record.years[record.years.length - 1]}`
+        : noteEl.textContent;
+      return;
+    }
+    referenceYear = year;
+    noteEl.textContent = describeRecord();
+    if (selectedYear != null) {
+      showObservedYear(selectedYear);
+    } else {
+      render();
+    }
+  });
+
+  projectionPanelEl.parentNode.insertBefore(wrapper, projectionPanelEl.nextSibling);
+}
+
+/**
+ * Stats panel for an observed year: the level and its uncertainty, no distribution.
+ */
+function updateObservedStatsPanel(anomaly, referenceYear) {
+  const panel = document.getElementById("statsPanel");
+  panel.innerHTML = `
+    <div class="stats-grid">
+      <div class="stat">
+        <span class="stat-label">Observed (${anomaly.year})</span>
+        <span class="stat-value">${formatSignedCm(anomaly.level)}</span>
+      </div>
+      <div class="stat">
+        <span class="stat-label">Uncertainty (1σ)</span>
+        <span class="stat-value">${anomaly.uncertainty != null ? `± ${(anomaly.uncertainty * 100).toFixed(1)} cm` : "–"}</span>
+      </div>
+    </div>
+    <div class="history-note">Global mean sea level relative to ${referenceYear}, from the observed record</div>
+  `;
+}
+
+function formatSignedCm(meters) {
+  return `${meters >= 0 ? "+" : "−"}${Math.abs(meters * 100).toFixed(1)} cm`;
+}
+
+/**
+ * Derive a stable id for a new custom scenario from its label. The id feeds
+ * the run seed just like the preset ids, so the same label reproduces runs.
+ */
+function buildCustomScenarioId(label) {
+  const slug =
+    label
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "scenario";
+  let id = `custom-${slug}`;
+  for (let n = 2; getScenarioById(id); n++) {
+    id = `custom-${slug}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Create flood level picker: median / p95 presets, any custom percentile, or
+ * banded mode showing the p5 / median / p95 zones together, or probability
+ * mode colouring the ground by its chance of flooding. Both have a legend.
  */
 function createFloodMetricToggle(viewer) {
   const statusEl = document.getElementById("simulationStatus");
@@ -503,53 +2172,250 @@ function createFloodMetricToggle(viewer) {
   wrapper.innerHTML = `
     <span class="flood-metric-label">Flood Display Level</span>
     <div class="flood-metric-buttons">
-      <button class="flood-metric-btn" data-metric="median">${FLOOD_METRICS.median.label}</button>
-      <button class="flood-metric-btn active" data-metric="p95">${FLOOD_METRICS.p95.label}</button>
+      ${Object.values(FLOOD_METRICS)
+        .map((m) => `<button class="flood-metric-btn" data-percentile="${m.percentile}">${m.label}</button>`)
+        .join("")}
+      <button class="flood-metric-btn" data-mode="bands"
+        title="Shade the ${FLOOD_BANDS.low.percentile}th, ${FLOOD_BANDS.central.percentile}th and ${FLOOD_BANDS.high.percentile}th percentile zones together">Bands</button>
+      <button class="flood-metric-btn" data-mode="probability"
+        title="Colour the ground by the probability that sea level rise exceeds its height">Probability</button>
+    </div>
+    <label class="flood-percentile-custom">
+      Custom percentile
+      <input id="floodPercentileInput" class="flood-percentile-input" type="number"
+        min="${FLOOD_PERCENTILE_MIN}" max="${FLOOD_PERCENTILE_MAX}" step="0.1" value="${currentFloodPercentile}" />
+    </label>
+    <div id="floodBandLegend" class="flood-band-legend" hidden>
+      ${Object.entries(FLOOD_BANDS)
+        .map(
+          ([key, band]) => `
+        <div class="flood-band-row">
+          <span class="flood-band-swatch" style="background: ${FLOOD_BAND_COLORS[key]}"></span>
+          <span class="flood-band-name">${band.label} <span class="flood-band-percentile">(P${band.percentile})</span></span>
+          <span class="flood-band-value" data-band="${key}">–</span>
+        </div>`
+        )
+        .join("")}
+    </div>
+    <div id="floodProbabilityLegend" class="flood-probability-legend" hidden>
+      <div class="flood-probability-ramp"
+        style="background: linear-gradient(to right, ${FLOOD_PROBABILITY_RAMP.join(", ")})"></div>
+      <div class="flood-probability-ticks"><span>0%</span><span>50%</span><span>100%</span></div>
+      <div class="flood-probability-note">Chance that sea level rise exceeds the ground's height above today's sea level</div>
+    </div>
+    <label class="projection-mode-toggle" title="Ice-sheet and glacier melt raises the sea unevenly: less near the ice, more far from it">
+      <input id="floodRegionalToggle" type="checkbox" />
+      Regional sea level (melt fingerprints)
+    </label>
+    <label class="projection-mode-toggle" title="Subsidence or uplift of the ground, as its rate times the years from ${PROJECTION_BASELINE_YEAR} to the projection year">
+      <input id="floodLandMotionToggle" type="checkbox" />
+      Vertical land motion (projection years)
+    </label>
+    <div class="flood-connectivity">
+      <label class="projection-mode-toggle">
+        <input id="floodConnectivityToggle" type="checkbox" />
+        Connected flooding only (this view)
+      </label>
+      <button id="floodConnectivityRefresh" class="flood-connectivity-refresh" type="button" hidden>Re-analyse view</button>
+      <div class="flood-connectivity-status"></div>
+      <div class="flood-band-row flood-connectivity-legend" hidden>
+        <span class="flood-band-swatch" style="background: ${FLOOD_ISOLATED_COLOR}"></span>
+        <span class="flood-band-name">Isolated low ground (sea cannot reach)</span>
+      </div>
     </div>
   `;
 
-  wrapper.querySelectorAll(".flood-metric-btn").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const metric = btn.dataset.metric;
-      if (!FLOOD_METRICS[metric] || metric === currentFloodMetric) return;
+  const inputEl = wrapper.querySelector("#floodPercentileInput");
+  const buttons = wrapper.querySelectorAll(".flood-metric-btn");
 
-      currentFloodMetric = metric;
-      wrapper.querySelectorAll(".flood-metric-btn").forEach((b) => b.classList.remove("active"));
-      btn.classList.add("active");
+  function selectMode(percentile, mode) {
+    if (percentile === currentFloodPercentile && mode === floodDisplayMode) return;
+    currentFloodPercentile = percentile;
+    floodDisplayMode = mode;
+    inputEl.value = percentile;
+    syncButtons();
 
-      if (currentSimulationResult && currentActiveTemp > 0) {
-        applySimulationResult(viewer, currentSimulationResult, false);
-      }
-    });
+    if (currentSimulationResult && currentActiveTemp > 0) {
+      applySimulationResult(viewer, currentSimulationResult, false);
+    }
+  }
+
+  function syncButtons() {
+    buttons.forEach((b) =>
+      b.classList.toggle(
+        "active",
+        b.dataset.mode
+          ? b.dataset.mode === floodDisplayMode
+          : floodDisplayMode === "percentile" && Number(b.dataset.percentile) === currentFloodPercentile
+      )
+    );
+    wrapper.querySelector("#floodBandLegend").hidden = floodDisplayMode !== "bands";
+    wrapper.querySelector("#floodProbabilityLegend").hidden = floodDisplayMode !== "probability";
+  }
+
+  buttons.forEach((btn) => {
+    btn.addEventListener("click", () =>
+      btn.dataset.mode
+        ? selectMode(currentFloodPercentile, btn.dataset.mode)
+        : selectMode(Number(btn.dataset.percentile), "percentile")
+    );
+  });
+
+  inputEl.addEventListener("change", () => {
+    const value = parseFloat(inputEl.value);
+    if (!Number.isFinite(value) || value < FLOOD_PERCENTILE_MIN || value > FLOOD_PERCENTILE_MAX) {
+      inputEl.value = currentFloodPercentile;
+      return;
+    }
+    selectMode(Math.round(value * 10) / 10, "percentile");
+  });
+
+  const regionalEl = wrapper.querySelector("#floodRegionalToggle");
+  regionalEl.disabled = !hasRegionalFingerprints();
+  if (regionalEl.disabled) {
+    regionalEl.parentElement.title = "Fingerprint grids or the geoid texture could not be loaded";
+  }
+  regionalEl.addEventListener("change", () => {
+    regionalFingerprints = regionalEl.checked;
+    if (!regionalFingerprints) setRegionalWeights(viewer, null);
+    if (currentSimulationResult && currentActiveTemp > 0) {
+      applySimulationResult(viewer, currentSimulationResult, false);
+    }
+  });
+
+  const landMotionEl = wrapper.querySelector("#floodLandMotionToggle");
+  landMotionEl.disabled = !hasLandMotion();
+  if (landMotionEl.disabled) {
+    landMotionEl.parentElement.title = "The land motion grid or the geoid texture could not be loaded";
+  }
+  landMotionEl.addEventListener("change", () => {
+    includeLandMotion = landMotionEl.checked;
+    if (!includeLandMotion) setLandMotionYears(viewer, 0);
+    if (currentSimulationResult && currentActiveTemp > 0) {
+      applySimulationResult(viewer, currentSimulationResult, false);
+    }
   });
 
+  setupConnectivityControls(viewer, wrapper);
+  syncButtons();
   statusEl.parentNode.insertBefore(wrapper, statusEl);
 }
 
+/**
+ * Connected flooding: analyse the current view's terrain so that only ground
+ * the sea can reach floods. The analysis is tied to the view it was run on.
+ */
+function setupConnectivityControls(viewer, wrapper) {
+  const toggleEl = wrapper.querySelector("#floodConnectivityToggle");
+  const refreshEl = wrapper.querySelector("#floodConnectivityRefresh");
+  const statusEl = wrapper.querySelector(".flood-connectivity-status");
+  const legendEl = wrapper.querySelector(".flood-connectivity-legend");
+  let analysing = false;
+
+  async function analyse() {
+    if (analysing) return;
+    analysing = true;
+    toggleEl.disabled = true;
+    refreshEl.disabled = true;
+    statusEl.textContent = "Sampling terrain for this view…";
+    try {
+      const analysis = await enableConnectivity(viewer);
+      // Cells lying in a depression: the sea must first top a higher rim.
+      const enclosed = analysis.spill.filter((level, i) => level > Math.max(0, analysis.freeboard[i]) + 0.5).length;
+      const { width, height } = analysis.rectangle;
+      statusEl.textContent =
+        `${analysis.width} × ${analysis.height} cells over ` +
+        `${CesiumMath.toDegrees(width).toFixed(1)}° × ${CesiumMath.toDegrees(height).toFixed(1)}° ` +
+        `(terrain level ${analysis.level}); ${((enclosed / analysis.spill.length) * 100).toFixed(0)}% of cells lie behind higher ground`;
+      legendEl.hidden = false;
+      refreshEl.hidden = false;
+    } catch (err) {
+      console.error("Connectivity analysis failed:", err);
+      statusEl.textContent = err.message;
+      toggleEl.checked = false;
+      disableConnectivity(viewer);
+      legendEl.hidden = true;
+      refreshEl.hidden = true;
+    } finally {
+      analysing = false;
+      toggleEl.disabled = false;
+      refreshEl.disabled = false;
+    }
+  }
+
+  toggleEl.addEventListener("change", () => {
+    if (toggleEl.checked) {
+      analyse();
+      return;
+    }
+    disableConnectivity(viewer);
+    statusEl.textContent = "";
+    legendEl.hidden = true;
+    refreshEl.hidden = true;
+  });
+  refreshEl.addEventListener("click", analyse);
+}
+
 /**
  * Apply a simulation result to globe + UI with selected flood metric.
  */
 function applySimulationResult(viewer, result, recordSnapshot) {
   const floodLevelMeters = getFloodLevelFromResult(result);
-  setFloodLevel(viewer, floodLevelMeters, result, recordSnapshot);
+  let display = null;
+  if (floodDisplayMode === "bands") {
+    display = {
+      bands: {
+        low: result.quantile(FLOOD_BANDS.low.percentile / 100),
+        high: result.quantile(FLOOD_BANDS.high.percentile / 100),
+      },
+    };
+  } else if (floodDisplayMode === "probability") {
+    display = { probability: true };
+  }
+  setRegionalWeights(viewer, regionalFingerprints ? getFingerprintWeights(result.contributorStats) : null);
+  setLandMotionYears(viewer, includeLandMotion ? getLandMotionYears() : 0);
+  setFloodLevel(viewer, floodLevelMeters, result, recordSnapshot, display);
+  updateFloodBandLegend(result);
   updateStatsPanel(result);
   updateHistogram(result);
-  updateInfoOverlay(result.tempIncrease, floodLevelMeters, currentFloodMetric);
+  resetSensitivityPanel(result);
+  updateInfoOverlay(result.tempIncrease, floodLevelMeters, getDisplayPercentile(), result);
   updateCompareButton();
+  refreshHistory?.();
 }
 
 /**
- * Return currently selected flood level statistic.
+ * Return SLR at the currently selected flood percentile (the median in the
+ * banded and probability modes).
  */
 function getFloodLevelFromResult(result) {
-  const metricConfig = FLOOD_METRICS[currentFloodMetric] || FLOOD_METRICS.median;
-  return result.stats[metricConfig.key];
+  return result.quantile(getDisplayPercentile() / 100);
+}
+
+function getDisplayPercentile() {
+  return floodDisplayMode === "percentile" ? currentFloodPercentile : FLOOD_BANDS.central.percentile;
+}
+
+/**
+ * Show each band's level in the legend.
+ */
+function updateFloodBandLegend(result) {
+  const legendEl = document.getElementById("floodBandLegend");
+  if (!legendEl) return;
+  for (const [key, band] of Object.entries(FLOOD_BANDS)) {
+    const level = result.quantile(band.percentile / 100);
+    legendEl.querySelector(`[data-band="${key}"]`).textContent = `≤ +${(level * 100).toFixed(1)} cm`;
+  }
 }
 
 /**
  * Build deterministic seed from temperature so each scenario is reproducible.
  */
 function buildSeedForRun(tempIncrease, projection) {
+  // Trajectories cover every year in one run, so the seed ignores the year.
+  if (projection?.trajectory) {
+    return (MONTE_CARLO_BASE_SEED + hashString(projection.scenarioId)) >>> 0;
+  }
   if (projection) {
     const scenarioHash = hashString(projection.scenarioId);
     return (MONTE_CARLO_BASE_SEED + projection.year * 17 + scenarioHash) >>> 0;
@@ -658,6 +2524,45 @@ function updateCompareButton() {
   document.getElementById("comparisonStats").innerHTML = "";
 }
 
+/**
+ * Format a statistic in cm with its Monte Carlo half-width, e.g. "84.2 ± 0.6 cm".
+ */
+function formatWithUncertainty(valueMeters, interval) {
+  const value = `${(valueMeters * 100).toFixed(1)}`;
+  if (!interval) return `${value} cm`;
+  return `${value}<span class="stat-ci"> ± ${(interval.halfWidth * 100).toFixed(1)}</span> cm`;
+}
+
+/**
+ * Short label for a non-default horizon and any what-if collapses in a
+ * result, e.g. "Equilibrium + West Antarctic collapse"; empty otherwise.
+ */
+function describeLongTerm(result) {
+  const parts = [];
+  if (result.horizon && result.horizon !== DEFAULT_HORIZON) {
+    parts.push(RESPONSE_HORIZONS[result.horizon].label);
+  }
+  for (const id of result.collapses || []) {
+    parts.push(COLLAPSE_EVENTS[id].label.replace(/ \(.*\)$/, ""));
+  }
+  return parts.join(" + ");
+}
+
+/**
+ * Short label for a percentile, e.g. "MEDIAN" or "P99.5".
+ */
+function formatPercentileLabel(percentile) {
+  return percentile === 50 ? "MEDIAN" : `P${percentile}`;
+}
+
+/**
+ * Format a probability as a percentage, keeping very small values visible.
+ */
+function formatProbability(probability) {
+  if (probability > 0 && probability < 0.001) return "<0.1%";
+  return `${(probability * 100).toFixed(1)}%`;
+}
+
 /**
  * Format a number with commas.
  */
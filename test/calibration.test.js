@@ -0,0 +1,31 @@
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseSeaLevelRecord, parseTemperatureRecord, runCalibration } from "../src/calibration.js";
+
+function readData(name) {
+  return readFileSync(new URL(`../public/data/${name}`, import.meta.url), "utf8");
+}
+
+const RECORDS = {
+  gmsl: parseSeaLevelRecord(readData("gmsl.csv")),
+  temperature: parseTemperatureRecord(readData("temperature.csv")),
+};
+const OPTIONS = { iterations: 1200, burnIn: 200, seed: 1 };
+
+test("calibration against the bundled records is deterministic and finite", () => {
+  const first = runCalibration(RECORDS, OPTIONS);
+  const second = runCalibration(RECORDS, OPTIONS);
+  assert.deepEqual(first.parameters, second.parameters);
+  assert.ok(first.acceptanceRate > 0 && first.acceptanceRate < 1);
+  for (const parameter of first.parameters) {
+    assert.ok([parameter.mean, parameter.sd, parameter.p5, parameter.p95].every(Number.isFinite), parameter.name);
+    assert.ok(parameter.p5 <= parameter.median && parameter.median <= parameter.p95, parameter.name);
+  }
+  assert.ok(first.skill.calibrated.rmse <= first.skill.prior.rmse);
+});
+
+test("calibration rejects too few steps after burn-in", () => {
+  assert.throws(() => runCalibration(RECORDS, { iterations: 150, burnIn: 100 }), /at least 100 steps/);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { COLLAPSE_EVENTS, RESPONSE_HORIZONS, applyHorizon, resolveCollapses } from "../src/commitment.js";
+import { getModelById } from "../src/models.js";
+import { runSimulation } from "../src/simulation.js";
+
+test("the century horizon keeps the model and longer ones scale it with caps", () => {
+  const model = getModelById("ar6");
+  assert.equal(applyHorizon(model, "century"), model);
+
+  const scaled = applyHorizon(model, "by2300");
+  const { scale, cap } = RESPONSE_HORIZONS.by2300.contributors.greenland;
+  assert.equal(scaled.contributors.greenland.meanPerDeg, model.contributors.greenland.meanPerDeg * scale);
+  assert.equal(scaled.contributors.greenland.maxContribution, cap);
+  assert.equal(scaled.contributors.landWater, model.contributors.landWater);
+  assert.throws(() => applyHorizon(model, "forever"), /Unknown response horizon: forever/);
+});
+
+test("committed sea level grows with the horizon and stays within the reservoirs", () => {
+  const medians = ["century", "by2300", "by2500", "equilibrium"].map(
+    (horizon) => runSimulation(2, 1000, { seed: 1, horizon }).stats.median
+  );
+  for (let i = 1; i < medians.length; i++) assert.ok(medians[i] > medians[i - 1], `horizon ${i}`);
+  // AR6 WG1 SPM B.5.4: about 2–6 m committed over 2000 years at 2°C.
+  assert.ok(medians[3] > 2 && medians[3] < 6, `equilibrium median ${medians[3]}`);
+
+  const hot = runSimulation(10, 1000, { seed: 1, horizon: "equilibrium" }).contributorStats;
+  assert.ok(hot.greenland.max <= RESPONSE_HORIZONS.equilibrium.contributors.greenland.cap);
+  assert.ok(hot.antarctic.max <= RESPONSE_HORIZONS.equilibrium.contributors.antarctic.cap);
+});
+
+test("a collapse only adds what its contributor has not yet lost", () => {
+  const { contributorStats, collapses } = runSimulation(2, 2000, { seed: 1, collapses: ["greenlandLoss"] });
+  assert.deepEqual(collapses, ["greenlandLoss"]);
+  assert.equal(contributorStats.greenlandLoss.name, COLLAPSE_EVENTS.greenlandLoss.name);
+  // Greenland plus the top-up is the sampled loss itself, about 7.4 m.
+  const combined = contributorStats.greenland.mean + contributorStats.greenlandLoss.mean;
+  assert.ok(Math.abs(combined - COLLAPSE_EVENTS.greenlandLoss.median) < 0.02, `combined ${combined}`);
+});
+
+test("collapses run with every sampler and unknown ids are rejected", () => {
+  for (const sampler of ["mulberry32", "antithetic", "lhs", "sobol"]) {
+    const first = runSimulation(2, 500, { seed: 9, sampler, collapses: ["waisCollapse"] });
+    const second = runSimulation(2, 500, { seed: 9, sampler, collapses: ["waisCollapse"] });
+    assert.deepEqual(first.results, second.results, sampler);
+    assert.ok(first.stats.p5 > COLLAPSE_EVENTS.waisCollapse.p5 - 0.1, sampler);
+  }
+  assert.throws(() => resolveCollapses(["meltdown"]), /Unknown collapse what-if: meltdown/);
+});
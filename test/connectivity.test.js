@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeSpillLevels } from "../src/connectivity.js";
+
+// 7 × 5 freeboard grid (m): open sea on the left, a low shore, a 2 m ridge
+// and a basin behind it that sits below sea level, plus one unknown cell.
+const O = 0;
+const GRID = [
+  [O, 0.8, 1.5, 2, 2, 2, 2],
+  [O, 0.8, 1.5, 2, -3, -3, 2],
+  [O, 0.8, 1.5, 2, -3, NaN, 2],
+  [O, 0.8, 1.5, 2, -3, -3, 2],
+  [O, 0.8, 1.5, 2, 2, 2, 2],
+];
+const WIDTH = 7;
+const HEIGHT = 5;
+
+function spillAt(spill, row, col) {
+  return spill[row * WIDTH + col];
+}
+
+test("computeSpillLevels floods each cell at the lowest level that reaches it from the sea", () => {
+  const spill = computeSpillLevels(GRID.flat(), WIDTH, HEIGHT);
+  // Sea and cells within the ocean tolerance count as ocean.
+  assert.equal(spillAt(spill, 2, 0), 0);
+  assert.equal(spillAt(spill, 2, 1), 0);
+  assert.equal(spillAt(spill, 2, 2), 1.5);
+  assert.equal(spillAt(spill, 2, 3), 2);
+  // The basin behind the ridge only floods once the sea tops the ridge.
+  assert.equal(spillAt(spill, 1, 4), 2);
+  assert.equal(spillAt(spill, 3, 5), 2);
+  // Unknown terrain never floods.
+  assert.equal(spillAt(spill, 2, 5), Infinity);
+});
+
+test("computeSpillLevels leaves grids without ocean unflooded", () => {
+  const spill = computeSpillLevels([3, 4, 5, 6], 2, 2);
+  assert.ok(spill.every((level) => level === Infinity));
+});
+
+test("computeSpillLevels rejects a grid of the wrong size", () => {
+  assert.throws(() => computeSpillLevels([0, 1, 2], 2, 2), /expected 2 × 2/);
+});
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  drawAuxiliary,
+  normalCdf,
+  normalQuantile,
+  normalizeDistribution,
+  sampleDistribution,
+  validateDistribution,
+} from "../src/distributions.js";
+
+const DRAWS = 100000;
+// Evenly spaced normal scores, so sample moments are close to exact.
+const NORMALS = Array.from({ length: DRAWS }, (_, i) => normalQuantile((i + 0.5) / DRAWS));
+
+/**
+ * The same normal scores in a scrambled order, for auxiliary draws that
+ * must not line up with the main draws.
+ */
+function scrambledNormals() {
+  let i = 0;
+  return () => NORMALS[(i++ * 7919) % DRAWS];
+}
+
+function sampleMany(definition, mean, std, branchMoments = null) {
+  const distribution = normalizeDistribution(definition);
+  const auxNormal = scrambledNormals();
+  return NORMALS.map((z) =>
+    sampleDistribution(distribution, mean, std, z, drawAuxiliary(distribution, auxNormal()), branchMoments)
+  );
+}
+
+function moments(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  const skewness = values.reduce((sum, v) => sum + (v - mean) ** 3, 0) / values.length / variance ** 1.5;
+  return { mean, sd: Math.sqrt(variance), skewness };
+}
+
+test("normalQuantile inverts normalCdf", () => {
+  for (const p of [0.001, 0.05, 0.3, 0.5, 0.8, 0.975, 0.999]) {
+    assert.ok(Math.abs(normalCdf(normalQuantile(p)) - p) < 1e-6, `p = ${p}`);
+  }
+});
+
+test("skewNormal keeps the requested mean and sd away from zero, with a right skew", () => {
+  const { mean, sd, skewness } = moments(sampleMany({ type: "skewNormal", shape: 4 }, 1, 0.3));
+  assert.ok(Math.abs(mean - 1) < 0.002, `mean ${mean}`);
+  assert.ok(Math.abs(sd - 0.3) < 0.002, `sd ${sd}`);
+  // Skew-normal skewness for shape 4 is about 0.78.
+  assert.ok(Math.abs(skewness - 0.78) < 0.03, `skewness ${skewness}`);
+});
+
+test("skewNormal is truncated at zero without piling mass there", () => {
+  const values = sampleMany({ type: "skewNormal", shape: 4 }, 0.05, 0.1);
+  assert.ok(values.every((v) => v > 0));
+  // Truncation removes the lower tail, so the mean rises above the untruncated one.
+  assert.ok(moments(values).mean > 0.05);
+});
+
+test("truncatedNormal stays within its bounds", () => {
+  const inside = sampleMany({ type: "truncatedNormal", lower: 0.1, upper: 0.4 }, 0.2, 0.2);
+  assert.ok(inside.every((v) => v >= 0.1 && v <= 0.4));
+  assert.ok(new Set(inside).size > DRAWS / 2);
+});
+
+test("truncatedNormal stays within its bounds when the mean lies far outside them", () => {
+  const below = sampleMany({ type: "truncatedNormal", lower: 0 }, -0.5, 0.05);
+  assert.ok(below.every((v) => v >= 0 && v < 0.05));
+  const above = sampleMany({ type: "truncatedNormal", lower: 0.1, upper: 0.4 }, 1.5, 0.1);
+  assert.ok(above.every((v) => v >= 0.1 && v <= 0.4));
+});
+
+test("lognormal matches the requested mean and sd", () => {
+  const { mean, sd } = moments(sampleMany({ type: "lognormal" }, 0.5, 0.2));
+  assert.ok(Math.abs(mean - 0.5) < 0.002, `mean ${mean}`);
+  assert.ok(Math.abs(sd - 0.2) < 0.002, `sd ${sd}`);
+});
+
+test("mixture picks the branch with its probability and mixes the moments", () => {
+  const definition = {
+    type: "mixture",
+    base: { type: "normal" },
+    branchProbability: 0.1,
+    branch: { meanPerDeg: 1, stdPerDeg: 0.1 },
+  };
+  const distribution = normalizeDistribution(definition);
+  const auxNormal = scrambledNormals();
+  const inBranch = NORMALS.filter(() => drawAuxiliary(distribution, auxNormal()).inBranch).length;
+  assert.ok(Math.abs(inBranch / DRAWS - 0.1) < 0.002, `branch share ${inBranch / DRAWS}`);
+
+  // Base Normal(0.5, 0.05), branch Normal(2, 0.1): mean 0.9 × 0.5 + 0.1 × 2.
+  const { mean } = moments(sampleMany(definition, 0.5, 0.05, { mean: 2, std: 0.1 }));
+  assert.ok(Math.abs(mean - 0.65) < 0.01, `mean ${mean}`);
+});
+
+test("validateDistribution reports bad definitions", () => {
+  assert.deepEqual(validateDistribution(null, "c"), []);
+  assert.equal(validateDistribution({ type: "gamma" }, "c").length, 1);
+  assert.equal(validateDistribution({ type: "skewNormal" }, "c").length, 1);
+  assert.equal(validateDistribution({ type: "truncatedNormal", lower: 1, upper: 0 }, "c").length, 1);
+  assert.ok(
+    validateDistribution(
+      { type: "mixture", branchProbability: 0.1, branch: { meanPerDeg: 1, stdPerDeg: 0.1, distribution: { type: "mixture" } } },
+      "c"
+    ).some((problem) => problem.includes("cannot themselves be mixtures"))
+  );
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TCRE, buildEmissionsScenario, emissionsToWarming, validateEmissions } from "../src/emissions.js";
+import { PROJECTION_BASELINE_YEAR, PROJECTION_END_YEAR } from "../src/projections.js";
+
+test("cumulative emissions warm by TCRE per 1000 GtCO₂ above 2020", () => {
+  const pathway = emissionsToWarming({ mode: "cumulative", emissionsByYear: { 2100: 1000 } });
+  assert.equal(pathway.years[0], 2020);
+  assert.equal(pathway.temperatures[0], 1.1);
+  assert.ok(Math.abs(pathway.temperatures.at(-1) - (1.1 + TCRE.median)) < 1e-9);
+  assert.ok(pathway.p5.at(-1) < pathway.temperatures.at(-1));
+  assert.ok(pathway.p95.at(-1) > pathway.temperatures.at(-1));
+});
+
+test("annual emissions are summed year by year", () => {
+  const pathway = emissionsToWarming({ mode: "annual", emissionsByYear: { 2020: 0, 2100: 0 } });
+  assert.ok(pathway.temperatures.every((t) => t === 1.1));
+
+  const steady = emissionsToWarming({ mode: "annual", emissionsByYear: { 2020: 10 } }, 2030);
+  assert.equal(steady.cumulative.at(-1), 100);
+});
+
+test("validateEmissions reports bad pathways", () => {
+  assert.equal(validateEmissions({ mode: "monthly", emissionsByYear: { 2030: 1 } }).length, 1);
+  assert.equal(validateEmissions({ mode: "annual", emissionsByYear: {} }).length, 1);
+  assert.equal(validateEmissions({ mode: "annual", emissionsByYear: { 2019: 10 } }).length, 1);
+  assert.equal(validateEmissions({ mode: "cumulative", emissionsByYear: { 2020: 5 } }).length, 1);
+  assert.throws(() => emissionsToWarming({ mode: "annual", emissionsByYear: { 2050: 1000 } }), /Invalid emissions pathway/);
+});
+
+test("buildEmissionsScenario gives annual warming anchors with ranges", () => {
+  const scenario = buildEmissionsScenario({ id: "e", label: "E", mode: "cumulative", emissionsByYear: { 2100: 2000 } });
+  assert.equal(Object.keys(scenario.temperaturesByYear).length, PROJECTION_END_YEAR - PROJECTION_BASELINE_YEAR + 1);
+  assert.equal(scenario.temperaturesByYear[2100], 2);
+  // Cumulative pathways hold their last anchor, so warming stops rising.
+  assert.equal(scenario.temperaturesByYear[PROJECTION_END_YEAR], 2);
+  assert.deepEqual(scenario.emissions, { mode: "cumulative", emissionsByYear: { 2100: 2000 } });
+});
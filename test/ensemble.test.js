@@ -0,0 +1,37 @@
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createEnsembleRun, runEnsemble } from "../src/ensemble.js";
+import { loadModelsFromJSON } from "../src/models.js";
+import { runSimulation } from "../src/simulation.js";
+
+loadModelsFromJSON(readFileSync(new URL("../public/data/models.json", import.meta.url), "utf8"));
+
+test("each member matches a single-model run with the same seed", () => {
+  const ensemble = runEnsemble(2, 800, { seed: 4, modelIds: ["ar6", "ar5"] });
+  assert.deepEqual(ensemble.modelIds, ["ar6", "ar5"]);
+  for (const [i, modelId] of ensemble.modelIds.entries()) {
+    const single = runSimulation(2, 800, { seed: 4, modelId });
+    assert.deepEqual(ensemble.members[i].results, single.results);
+    assert.equal(ensemble.comparison[i].median, single.stats.median);
+  }
+  // AR5-style parameters respond more weakly at +2 °C.
+  assert.ok(ensemble.comparison[1].median < ensemble.comparison[0].median);
+});
+
+test("progress counts iterations across members", () => {
+  const run = createEnsembleRun(2, 500, { seed: 4, modelIds: ["ar6", "ar5"] });
+  assert.equal(run.total, 1000);
+  // One batch can finish a member and continue into the next.
+  assert.equal(run.step(700), 700);
+  assert.equal(run.done, false);
+  assert.equal(run.step(700), 1000);
+  assert.equal(run.done, true);
+  assert.equal(run.finish().members.length, 2);
+});
+
+test("ensembles need known models", () => {
+  assert.throws(() => runEnsemble(2, 100, { modelIds: [] }), /at least one model/);
+  assert.throws(() => runEnsemble(2, 100, { modelIds: ["ar6", "missing"] }), /Unknown model id: missing/);
+});
@@ -0,0 +1,65 @@
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseSeaLevelRecord } from "../src/calibration.js";
+import { getObservedAnomaly, getObservedSeries, joinProjectionToRecord } from "../src/history.js";
+import { getTemperaturePathway } from "../src/projections.js";
+import { runTrajectorySimulation } from "../src/simulation.js";
+
+const RECORD = {
+  years: [1900, 1950, 2000, 2020],
+  gmsl: [-0.2, -0.1, 0, 0.05],
+  uncertainty: [0.03, 0.02, 0.01, null],
+};
+
+function trajectoryOf(years, levels) {
+  return {
+    years,
+    statsByYear: levels.map(([p5, median, p95]) => ({ p5, median, p95 })),
+  };
+}
+
+test("observed levels are anomalies from the reference year", () => {
+  const series = getObservedSeries(RECORD, 1950);
+  assert.deepEqual(series.levels.map((level) => +level.toFixed(6)), [-0.1, 0, 0.1, 0.15]);
+  assert.deepEqual(series.uncertainty, [0.03, 0.02, 0.01, null]);
+  assert.equal(getObservedAnomaly(RECORD, 2020, 1900).level, 0.25);
+  assert.equal(getObservedAnomaly(RECORD, 2021, 1900), null);
+  assert.throws(() => getObservedSeries(RECORD, 1920), /Reference year 1920 is not in the observed record/);
+});
+
+test("the projected fan opens from the last observation", () => {
+  const trajectory = trajectoryOf(
+    [2020, 2021, 2022],
+    [
+      [0.01, 0.02, 0.03],
+      [0.02, 0.04, 0.08],
+      [0.03, 0.06, 0.13],
+    ]
+  );
+  const fan = joinProjectionToRecord(RECORD, trajectory, 1900);
+  assert.deepEqual(fan.years, [2020, 2021, 2022]);
+  // Every percentile is shifted by its own value at the join.
+  for (const key of ["p5", "median", "p95"]) assert.equal(fan[key][0], 0.25);
+  assert.ok(Math.abs(fan.p95[2] - 0.35) < 1e-12);
+  assert.ok(Math.abs(fan.p5[2] - 0.27) < 1e-12);
+});
+
+test("the fan starts at the trajectory's first year when the record ends earlier", () => {
+  const record = { years: [1900, 2010], gmsl: [0, 0.2] };
+  const fan = joinProjectionToRecord(record, trajectoryOf([2020, 2021], [[0, 0, 0], [0.01, 0.02, 0.03]]), 1900);
+  assert.deepEqual(fan.years, [2020, 2021]);
+  assert.deepEqual(fan.median, [0.2, 0.22]);
+});
+
+test("a simulated scenario continues the bundled record upwards", () => {
+  const record = parseSeaLevelRecord(readFileSync(new URL("../public/data/gmsl.csv", import.meta.url), "utf8"));
+  const trajectory = runTrajectorySimulation(getTemperaturePathway("ssp245", 2100), 300, { seed: 2 });
+  const fan = joinProjectionToRecord(record, trajectory, 1900);
+  const lastObserved = getObservedSeries(record, 1900).levels.at(-1);
+  assert.equal(fan.years[0], record.years.at(-1));
+  assert.equal(fan.median[0], lastObserved);
+  assert.ok(fan.p5.every((level, i) => level <= fan.median[i] && fan.median[i] <= fan.p95[i]));
+  assert.ok(fan.median.at(-1) > lastObserved);
+});
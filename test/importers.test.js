@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { importText } from "../src/importers.js";
+import { getModelById } from "../src/models.js";
+import { getScenarioById, registerScenario } from "../src/projections.js";
+
+function model(id, meanPerDeg = 0.1) {
+  return { id, label: id, contributors: { ice: { name: "Ice", meanPerDeg, stdPerDeg: 0.02, exponent: 1 } } };
+}
+
+function scenario(id, label = id) {
+  return { id, label, temperaturesByYear: { 2020: 1.1, 2100: 2.5 } };
+}
+
+test("a file with a repeated model id registers nothing", () => {
+  assert.throws(
+    () => importText("models.json", JSON.stringify({ models: [model("dup-model"), model("dup-model")] })),
+    /model id "dup-model" appears more than once/
+  );
+  assert.equal(getModelById("dup-model"), null);
+});
+
+test("an invalid item keeps the valid ones in the same file unregistered", () => {
+  const file = { models: [model("valid-model")], scenarios: [scenario("valid-scenario")] };
+  file.models.push({ ...model("broken-model"), contributors: { ice: { name: "Ice", meanPerDeg: 0.1, stdPerDeg: -1 } } });
+  assert.throws(() => importText("mixed.json", JSON.stringify(file)), /broken-model/);
+  assert.equal(getModelById("valid-model"), null);
+  assert.equal(getScenarioById("valid-scenario"), null);
+});
+
+test("a file with a repeated scenario id registers nothing", () => {
+  assert.throws(
+    () => importText("scenarios.json", JSON.stringify({ scenarios: [scenario("twice"), scenario("twice")] })),
+    /scenario id "twice" appears more than once/
+  );
+  assert.equal(getScenarioById("twice"), null);
+});
+
+test("imports cannot replace built-in or editor-made items", () => {
+  assert.throws(() => importText("builtin.json", JSON.stringify(model("ar6"))), /already registered/);
+  assert.throws(() => importText("builtin.json", JSON.stringify(scenario("ssp245"))), /built-in scenario/);
+
+  registerScenario(scenario("custom-mine", "Mine"));
+  assert.throws(() => importText("mine.json", JSON.stringify(scenario("custom-mine", "Other"))), /not imported/);
+  assert.equal(getScenarioById("custom-mine").label, "Mine");
+});
+
+test("re-importing an id replaces the earlier import", () => {
+  importText("first.json", JSON.stringify({ models: [model("reimported", 0.1)], scenarios: [scenario("again", "First")] }));
+  importText("second.json", JSON.stringify({ models: [model("reimported", 0.2)], scenarios: [scenario("again", "Second")] }));
+  assert.equal(getModelById("reimported").contributors.ice.meanPerDeg, 0.2);
+  assert.equal(getScenarioById("again").label, "Second");
+});
+
+test("scenario CSVs are named after the file", () => {
+  const { scenarios } = importText("My Pathway.csv", "year,temperature,low,high\n2020,1.1,1.0,1.2\n2100,2.0,1.5,2.6\n");
+  assert.equal(scenarios[0].id, "import-my-pathway");
+  assert.equal(scenarios[0].temperaturesByYear[2100], 2.0);
+});
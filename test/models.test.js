@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { registerModel, validateModel } from "../src/models.js";
+import { runSimulation } from "../src/simulation.js";
+
+/**
+ * Two identical contributors far from zero (no clamping), optionally correlated.
+ */
+function pairModel(id, rho) {
+  return {
+    id,
+    contributors: {
+      a: { name: "A", meanPerDeg: 1, stdPerDeg: 0.1, exponent: 1 },
+      b: { name: "B", meanPerDeg: 1, stdPerDeg: 0.1, exponent: 1 },
+    },
+    correlations: rho === null ? undefined : [{ between: ["a", "b"], rho }],
+  };
+}
+
+test("correlation widens the band by sqrt(1 + rho) against the same draws sampled independently", () => {
+  for (const rho of [0.5, -0.5]) {
+    registerModel(pairModel(`pair-${rho}`, rho));
+    const { correlationImpact } = runSimulation(1, 20000, { seed: 3, modelId: `pair-${rho}` });
+    const expected = Math.sqrt(1 + rho) - 1;
+    assert.ok(Math.abs(correlationImpact.widening - expected) < 0.03, `rho ${rho}: ${correlationImpact.widening}`);
+    // Independent band of a sum of two Normal(·, 0.1): 2 × 1.645 × 0.1 × sqrt(2).
+    assert.ok(Math.abs(correlationImpact.independentBand - 0.4653) < 0.01);
+  }
+});
+
+test("the built-in model widens its band; uncorrelated models report no impact", () => {
+  assert.ok(runSimulation(3, 5000, { seed: 1 }).correlationImpact.widening > 0);
+  registerModel(pairModel("pair-none", null));
+  assert.equal(runSimulation(1, 100, { seed: 1, modelId: "pair-none" }).correlationImpact, null);
+  assert.equal(runSimulation(1, 100, { seed: 1, compareIndependent: false }).correlationImpact, null);
+});
+
+test("validateModel rejects unusable correlations", () => {
+  const withCorrelations = (correlations) => ({ ...pairModel("bad", null), correlations });
+  assert.equal(validateModel(withCorrelations([{ between: ["a", "c"], rho: 0.2 }])).length, 1);
+  assert.equal(validateModel(withCorrelations([{ between: ["a", "b"], rho: 1 }])).length, 1);
+  assert.equal(validateModel(withCorrelations([{ between: ["a", "a"], rho: 0.2 }])).length, 1);
+  assert.equal(
+    validateModel(withCorrelations([{ between: ["a", "b"], rho: 0.2 }, { between: ["b", "a"], rho: 0.3 }])).length,
+    1
+  );
+
+  const triple = {
+    id: "triple",
+    contributors: {
+      x: { ...pairModel("", null).contributors.a, name: "X" },
+      y: { ...pairModel("", null).contributors.a, name: "Y" },
+      z: { ...pairModel("", null).contributors.a, name: "Z" },
+    },
+    correlations: [
+      { between: ["x", "y"], rho: 0.9 },
+      { between: ["y", "z"], rho: 0.9 },
+      { between: ["x", "z"], rho: -0.9 },
+    ],
+  };
+  assert.deepEqual(validateModel(triple), ["correlations do not form a positive-definite matrix"]);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { normalCdf } from "../src/distributions.js";
+import { SAMPLERS, SOBOL_MAX_DIMENSIONS, createSampler } from "../src/samplers.js";
+
+const DRAWS = 4000;
+const DIMENSIONS = 3;
+
+function drawAll(type, seed = 7) {
+  const sampler = createSampler(type, { seed, dimensions: DIMENSIONS, blockSize: DRAWS });
+  return Array.from({ length: DRAWS }, () => sampler.nextNormals());
+}
+
+function moments(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+for (const type of Object.keys(SAMPLERS)) {
+  test(`${type}: every dimension has standard normal marginals`, () => {
+    const draws = drawAll(type);
+    for (let d = 0; d < DIMENSIONS; d++) {
+      const { mean, sd } = moments(draws.map((row) => row[d]));
+      assert.ok(Math.abs(mean) < 0.06, `dimension ${d} mean ${mean}`);
+      assert.ok(Math.abs(sd - 1) < 0.05, `dimension ${d} sd ${sd}`);
+    }
+  });
+
+  test(`${type}: the same seed gives the same draws`, () => {
+    assert.deepEqual(drawAll(type, 42).slice(0, 50), drawAll(type, 42).slice(0, 50));
+    assert.notDeepEqual(drawAll(type, 42).slice(0, 50), drawAll(type, 43).slice(0, 50));
+  });
+}
+
+test("antithetic: every second vector mirrors the one before", () => {
+  const draws = drawAll("antithetic");
+  for (let i = 0; i < draws.length; i += 2) {
+    assert.deepEqual(draws[i + 1], draws[i].map((z) => -z));
+  }
+});
+
+test("lhs: each block puts one draw in every stratum of every dimension", () => {
+  const blockSize = 200;
+  const sampler = createSampler("lhs", { seed: 3, dimensions: DIMENSIONS, blockSize });
+  const block = Array.from({ length: blockSize }, () => sampler.nextNormals());
+  for (let d = 0; d < DIMENSIONS; d++) {
+    const strata = new Set(block.map((row) => Math.floor(normalCdf(row[d]) * blockSize)));
+    assert.equal(strata.size, blockSize);
+  }
+});
+
+test("sobol: every 2^k block of the scrambled sequence is stratified in each dimension", () => {
+  const sampler = createSampler("sobol", { seed: 11, dimensions: SOBOL_MAX_DIMENSIONS });
+  const block = Array.from({ length: 256 }, () => sampler.nextNormals());
+  for (let d = 0; d < SOBOL_MAX_DIMENSIONS; d++) {
+    const strata = new Set(block.map((row) => Math.floor(normalCdf(row[d]) * 256)));
+    assert.equal(strata.size, 256, `dimension ${d}`);
+  }
+});
+
+test("sobol: the scramble changes more than the leading digit pattern", () => {
+  // A digital shift alone keeps u ⊕ u' fixed across seeds; the matrix scramble does not.
+  const digits = (seed) => {
+    const sampler = createSampler("sobol", { seed, dimensions: 2 });
+    const [a, b] = [sampler.nextNormals(), sampler.nextNormals()];
+    return a.map((z, d) => Math.floor(normalCdf(z) * 1024) ^ Math.floor(normalCdf(b[d]) * 1024));
+  };
+  const patterns = new Set([1, 2, 3, 4, 5, 6, 7, 8].map((seed) => digits(seed).join(",")));
+  assert.ok(patterns.size > 1);
+});
+
+test("sobol: rejects more dimensions than it has direction numbers for", () => {
+  assert.throws(() => createSampler("sobol", { seed: 1, dimensions: SOBOL_MAX_DIMENSIONS + 1 }).nextNormals());
+});
+
+test("unknown sampler ids are rejected", () => {
+  assert.throws(() => createSampler("halton", { dimensions: 1 }), /Unknown sampler/);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { registerModel } from "../src/models.js";
+import { runSensitivityAnalysis } from "../src/sensitivity.js";
+
+// One contributor dominates the output; the other barely registers.
+registerModel({
+  id: "lopsided",
+  contributors: {
+    big: { name: "Big", meanPerDeg: 0.5, stdPerDeg: 0.01, exponent: 1 },
+    small: { name: "Small", meanPerDeg: 0.01, stdPerDeg: 0.005, exponent: 1 },
+  },
+});
+
+const OPTIONS = { modelId: "lopsided", seed: 2, iterations: 100, samples: 32 };
+
+test("the analysis runs 1 + 2k + N(k + 2) evaluations", () => {
+  const analysis = runSensitivityAnalysis(2, OPTIONS);
+  // k = 2 contributors × 3 parameters.
+  assert.equal(analysis.evaluations, 1 + 2 * 6 + 32 * (6 + 2));
+  assert.equal(analysis.tornado.length, 6);
+  assert.equal(analysis.sobol.length, 6);
+});
+
+test("the tornado ranks the dominant mean first and brackets the baseline", () => {
+  const { tornado, baseline } = runSensitivityAnalysis(2, OPTIONS);
+  for (let i = 1; i < tornado.length; i++) assert.ok(tornado[i - 1].swing >= tornado[i].swing);
+  const [top] = tornado;
+  assert.equal(top.contributor, "big");
+  assert.equal(top.parameter, "meanPerDeg");
+  assert.ok(top.lowValue < baseline && baseline < top.highValue);
+  // ±25% of a 1 m mean contribution at +2°C.
+  assert.ok(Math.abs(top.swing - 0.5) < 0.01, `swing ${top.swing}`);
+});
+
+test("Sobol indices attribute the variance to the dominant inputs", () => {
+  const { sobol } = runSensitivityAnalysis(2, OPTIONS);
+  assert.equal(sobol[0].contributor, "big");
+  assert.equal(sobol[0].parameter, "meanPerDeg");
+  assert.ok(sobol[0].total > 0.6, `total ${sobol[0].total}`);
+  for (const entry of sobol.filter((e) => e.contributor === "small")) {
+    assert.ok(entry.total < 0.05, `${entry.parameter} total ${entry.total}`);
+  }
+});
+
+test("analyses are deterministic under a seed and check their inputs", () => {
+  assert.deepEqual(runSensitivityAnalysis(2, OPTIONS), runSensitivityAnalysis(2, OPTIONS));
+  assert.throws(() => runSensitivityAnalysis(2, { ...OPTIONS, statistic: "mean" }), /statistic must be one of/);
+  assert.throws(() => runSensitivityAnalysis(0, OPTIONS), /above 0°C/);
+});
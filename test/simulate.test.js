@@ -0,0 +1,54 @@
+import { spawnSync } from "node:child_process";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const SCRIPT = new URL("../scripts/simulate.js", import.meta.url).pathname;
+
+function simulate(...args) {
+  return spawnSync(process.execPath, [SCRIPT, ...args], { encoding: "utf8" });
+}
+
+test("scenario runs report the scenario year and its warming", () => {
+  const { status, stdout } = simulate("--scenario", "ssp245", "--year", "2100", "--iterations", "200", "--seed", "1");
+  assert.equal(status, 0);
+  const [run] = JSON.parse(stdout).runs;
+  assert.equal(run.year, 2100);
+  assert.equal(run.iterations, 200);
+});
+
+test("the same seed gives the same CSV", () => {
+  const args = ["--sweep", "1:2:0.5", "--iterations", "200", "--seed", "7", "--format", "csv"];
+  const first = simulate(...args);
+  assert.equal(first.status, 0);
+  assert.equal(first.stdout.trim().split("\n").length, 4);
+  assert.equal(simulate(...args).stdout, first.stdout);
+});
+
+test("emissions pathways run as the emissions scenario", () => {
+  const args = ["--emissions", "2020:40,2050:0", "--year", "2100", "--iterations", "100", "--seed", "1"];
+  const { status, stdout } = simulate(...args);
+  assert.equal(status, 0);
+  const [run] = JSON.parse(stdout).runs;
+  assert.equal(run.scenario, "emissions");
+  assert.ok(run.tempIncrease > 1.1);
+  assert.match(simulate("--emissions", "2020:40", "--scenario", "ssp245").stderr, /cannot be combined with --scenario/);
+});
+
+test("scenario years must be whole years in the projection range", () => {
+  for (const [flag, value, bad] of [
+    ["--year", "2100.5", "2100.5"],
+    ["--year", "2010", "2010"],
+    ["--year", "2301", "2301"],
+    ["--sweep", "2030:2100:7.5", "2037.5"],
+  ]) {
+    const { status, stderr } = simulate("--scenario", "ssp245", flag, value);
+    assert.equal(status, 1);
+    assert.equal(stderr, `simulate: ${flag} must give whole years from 2020 to 2300, got ${bad}\n`);
+  }
+});
+
+test("bad arguments exit with status 1 and a message", () => {
+  assert.match(simulate("--temp=-1").stderr, /Temperature increase must be non-negative, got -1/);
+  assert.match(simulate("--temp", "2", "--sampler", "halton").stderr, /Unknown sampler: halton/);
+  assert.match(simulate("--year", "2050").stderr, /--year needs --scenario/);
+});
@@ -0,0 +1,166 @@
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadModelsFromJSON } from "../src/models.js";
+import { getTemperaturePathway } from "../src/projections.js";
+import {
+  expectedTrajectory,
+  getTrajectoryYearResult,
+  runSimulation,
+  runTrajectorySimulation,
+} from "../src/simulation.js";
+
+loadModelsFromJSON(readFileSync(new URL("../public/data/models.json", import.meta.url), "utf8"));
+
+const PATHWAY = {
+  years: Array.from({ length: 31 }, (_, i) => 2020 + i),
+  temperatures: Array.from({ length: 31 }, (_, i) => 1.1 + i * 0.03),
+};
+
+test("the same seed gives the same simulation", () => {
+  assert.deepEqual(runSimulation(2, 500, { seed: 9 }).results, runSimulation(2, 500, { seed: 9 }).results);
+  assert.notDeepEqual(runSimulation(2, 500, { seed: 9 }).results, runSimulation(2, 500, { seed: 10 }).results);
+});
+
+test("the bundled skew-normal and mixture models simulate", () => {
+  for (const modelId of ["ar6-skewed-antarctic", "ar6-high-antarctic"]) {
+    const { results, contributorStats } = runSimulation(2, 2000, { seed: 3, modelId });
+    assert.ok(results.every(Number.isFinite), modelId);
+    assert.ok(contributorStats.antarctic.min >= 0, modelId);
+  }
+  // The mixture's collapse branch fattens the upper tail.
+  const skewed = runSimulation(3, 2000, { seed: 3, modelId: "ar6-skewed-antarctic" }).contributorStats.antarctic;
+  const mixture = runSimulation(3, 2000, { seed: 3, modelId: "ar6-high-antarctic" }).contributorStats.antarctic;
+  assert.ok(mixture.p95 > skewed.p95);
+});
+
+test("the bundled skewed and mixture models simulate with every sampler", () => {
+  for (const modelId of ["ar6-skewed-antarctic", "ar6-high-antarctic"]) {
+    for (const sampler of ["mulberry32", "antithetic", "lhs", "sobol"]) {
+      const result = runSimulation(2, 200, { seed: 3, modelId, sampler });
+      assert.ok(result.results.every(Number.isFinite), `${modelId} with ${sampler}`);
+    }
+  }
+});
+
+test("confidence intervals bracket the statistics and narrow with more draws", () => {
+  const small = runSimulation(2, 1000, { seed: 6 });
+  const large = runSimulation(2, 16000, { seed: 6 });
+  for (const key of ["mean", "median", "p5", "p95"]) {
+    const { lower, upper, halfWidth } = small.confidence[key];
+    assert.ok(lower <= small.stats[key] && small.stats[key] <= upper, key);
+    assert.ok(halfWidth > 0, key);
+    // Half-widths scale with 1/sqrt(n): 16× the draws gives about a quarter.
+    const ratio = large.confidence[key].halfWidth / halfWidth;
+    assert.ok(ratio > 0.15 && ratio < 0.35, `${key} ratio ${ratio}`);
+  }
+});
+
+test("the median interval covers the reference median in most seeded runs", () => {
+  const reference = runSimulation(2, 40000, { seed: 1 }).stats.median;
+  let covered = 0;
+  for (let seed = 100; seed < 140; seed++) {
+    const { lower, upper } = runSimulation(2, 400, { seed }).confidence.median;
+    if (lower <= reference && reference <= upper) covered++;
+  }
+  assert.ok(covered >= 33, `covered ${covered} of 40`);
+});
+
+test("adaptive runs stop at the first batch that meets the tolerance", () => {
+  const adaptive = { statistic: "p95", tolerance: 0.01, batchSize: 500 };
+  const result = runSimulation(2, 500, { seed: 8, adaptive });
+  assert.equal(result.adaptive.converged, true);
+  assert.equal(result.iterations % 500, 0);
+  assert.ok(result.iterations > 500);
+  assert.ok(result.confidence.p95.halfWidth <= 0.01);
+  // Plain Monte Carlo draws are a single stream, so the previous batch is a fixed run's prefix.
+  const previous = runSimulation(2, result.iterations - 500, { seed: 8 });
+  assert.ok(previous.confidence.p95.halfWidth > 0.01);
+});
+
+test("adaptive runs stop at maxIterations when the tolerance is out of reach", () => {
+  const adaptive = { statistic: "median", tolerance: 1e-6, batchSize: 400, maxIterations: 1200 };
+  const result = runSimulation(2, 400, { seed: 8, adaptive });
+  assert.equal(result.iterations, 1200);
+  assert.equal(result.adaptive.converged, false);
+  assert.throws(() => runSimulation(2, 400, { adaptive: { statistic: "p50" } }), /Adaptive statistic must be one of/);
+});
+
+test("quantile uses the summary statistics' rank rule", () => {
+  const result = runSimulation(2, 1000, { seed: 12 });
+  assert.equal(result.quantile(0.95), result.stats.p95);
+  assert.equal(result.quantile(0.5), result.stats.median);
+  assert.equal(result.quantile(0), result.results[0]);
+  assert.equal(result.quantile(1), result.results.at(-1));
+  assert.throws(() => result.quantile(1.5), /between 0 and 1, got 1.5/);
+});
+
+test("exceedance probability and cdf are complementary counts of the samples", () => {
+  const result = runSimulation(2, 1000, { seed: 12 });
+  const threshold = result.stats.median;
+  assert.equal(result.exceedanceProbability(threshold) + result.cdf(threshold), 1);
+  assert.equal(result.exceedanceProbability(result.results.at(-1)), 0);
+  assert.equal(result.cdf(result.results[0] - 1), 0);
+  // p95 is sample 950, so 49 of the 1000 samples lie strictly above it.
+  assert.equal(result.exceedanceProbability(result.stats.p95), 0.049);
+
+  const curve = result.cdf();
+  assert.equal(curve.values, result.results);
+  assert.equal(curve.probabilities.at(-1), 1);
+  assert.equal(curve.probabilities[499], 0.5);
+});
+
+test("query methods are non-enumerable and also attached to trajectory years", () => {
+  const result = runSimulation(2, 200, { seed: 12 });
+  assert.ok(!Object.keys(result).includes("quantile"));
+  assert.deepEqual(JSON.parse(JSON.stringify(result)).results, result.results);
+
+  const empty = runSimulation(0, 200);
+  assert.equal(empty.quantile(0.5), 0);
+  assert.equal(empty.exceedanceProbability(1), 0);
+
+  const year = getTrajectoryYearResult(runTrajectorySimulation(PATHWAY, 200, { seed: 4 }), 2040);
+  assert.equal(year.quantile(0.95), year.stats.p95);
+});
+
+test("trajectories start from zero sea level in the first pathway year", () => {
+  const trajectory = runTrajectorySimulation(PATHWAY, 300, { seed: 4 });
+  assert.ok(trajectory.samplesByYear[0].every((value) => value === 0));
+  assert.equal(trajectory.rateStatsByYear[0], null);
+  assert.ok(trajectory.rateStatsByYear[1].median > 0);
+});
+
+test("trajectory sea level lags the static equilibrium and keeps rising", () => {
+  const trajectory = runTrajectorySimulation(PATHWAY, 300, { seed: 4 });
+  const medians = trajectory.statsByYear.map((stats) => stats.median);
+  for (let y = 2; y < medians.length; y++) assert.ok(medians[y] > medians[y - 1], `year ${PATHWAY.years[y]}`);
+  const equilibrium = runSimulation(PATHWAY.temperatures.at(-1), 300, { seed: 4 }).stats.median;
+  assert.ok(medians.at(-1) < equilibrium);
+});
+
+test("the expected trajectory starts from zero and tracks the simulated median", () => {
+  const expected = expectedTrajectory(PATHWAY);
+  assert.equal(expected.length, PATHWAY.years.length);
+  assert.equal(expected[0], 0);
+  const medians = runTrajectorySimulation(PATHWAY, 2000, { seed: 4 }).statsByYear.map((stats) => stats.median);
+  assert.ok(Math.abs(expected.at(-1) - medians.at(-1)) < 0.5 * medians.at(-1));
+});
+
+test("year lookups round and clamp to the pathway", () => {
+  const trajectory = runTrajectorySimulation(PATHWAY, 100, { seed: 4 });
+  assert.equal(getTrajectoryYearResult(trajectory, 2000).year, 2020);
+  assert.equal(getTrajectoryYearResult(trajectory, 2030.4).year, 2030);
+  assert.equal(getTrajectoryYearResult(trajectory, 2200).year, 2050);
+  assert.equal(getTrajectoryYearResult(trajectory, 2030.4).stats, trajectory.statsByYear[10]);
+});
+
+test("trajectory pathways must be annual", () => {
+  assert.throws(
+    () => runTrajectorySimulation({ years: [2020, 2030, 2040], temperatures: [1.1, 1.4, 1.7] }, 10),
+    /must be annual; got 2020 then 2030/
+  );
+  const pathway = getTemperaturePathway("ssp245", 2100);
+  assert.equal(pathway.years.length, 2100 - 2020 + 1);
+  assert.equal(runTrajectorySimulation(pathway, 10, { seed: 1 }).years.at(-1), 2100);
+});
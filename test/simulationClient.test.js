@@ -0,0 +1,114 @@
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseSeaLevelRecord, parseTemperatureRecord, runCalibration } from "../src/calibration.js";
+import { getTemperaturePathway } from "../src/projections.js";
+import { runSimulation, runTrajectorySimulation } from "../src/simulation.js";
+
+function readData(name) {
+  return readFileSync(new URL(`../public/data/${name}`, import.meta.url), "utf8");
+}
+
+const RECORDS = {
+  gmsl: parseSeaLevelRecord(readData("gmsl.csv")),
+  temperature: parseTemperatureRecord(readData("temperature.csv")),
+};
+
+// Run the worker module in this thread behind a minimal Worker stand-in.
+// Messages are delivered asynchronously both ways, as with a real worker.
+class InlineWorker {
+  constructor() {
+    globalThis.self.postMessage = (data) => setTimeout(() => this.onmessage({ data }), 0);
+  }
+
+  postMessage(data) {
+    setTimeout(() => globalThis.self.onmessage({ data }), 0);
+  }
+}
+
+globalThis.self = {};
+globalThis.Worker = InlineWorker;
+await import("../src/simulationWorker.js");
+const {
+  cancelSensitivity,
+  cancelSimulation,
+  requestCalibration,
+  requestEnsemble,
+  requestHistoryTrajectory,
+  requestSensitivity,
+  requestSimulation,
+} = await import("../src/simulationClient.js");
+
+test("a run reports progress per batch and resolves with the seeded result", async () => {
+  const progress = [];
+  const result = await requestSimulation(2, 1200, { seed: 5 }, (completed, total) => progress.push([completed, total]));
+  assert.deepEqual(progress, [
+    [500, 1200],
+    [1000, 1200],
+    [1200, 1200],
+  ]);
+  assert.deepEqual(result.results, runSimulation(2, 1200, { seed: 5 }).results);
+  // Query methods do not survive the worker boundary, so the client re-attaches them.
+  assert.equal(result.quantile(0.95), result.stats.p95);
+});
+
+test("a new simulation supersedes the one in flight", async () => {
+  const first = requestSimulation(2, 50000, { seed: 1 });
+  const second = requestSimulation(3, 500, { seed: 1 });
+  assert.equal(await first, null);
+  assert.equal((await second).tempIncrease, 3);
+});
+
+test("cancelSimulation resolves the run in flight with null", async () => {
+  const progress = [];
+  const run = requestSimulation(2, 50000, { seed: 1 }, (completed) => progress.push(completed));
+  cancelSimulation();
+  assert.equal(await run, null);
+  assert.deepEqual(progress, []);
+  assert.equal((await requestSimulation(2, 500, { seed: 1 })).iterations, 500);
+});
+
+test("simulations and sensitivity analyses run on separate channels", async () => {
+  const analysis = requestSensitivity(2, { seed: 1, iterations: 100, samples: 4 });
+  const simulation = requestSimulation(2, 500, { seed: 1 });
+  assert.equal((await simulation).iterations, 500);
+  // ar6 has 5 contributors × 3 parameters.
+  assert.equal((await analysis).evaluations, 1 + 2 * 15 + 4 * (15 + 2));
+
+  const cancelled = requestSensitivity(2, { seed: 1, iterations: 100, samples: 4 });
+  const kept = requestSimulation(2, 500, { seed: 1 });
+  cancelSensitivity();
+  assert.equal(await cancelled, null);
+  assert.equal((await kept).iterations, 500);
+});
+
+test("a simulation started during a calibration does not cancel it", async () => {
+  const options = { iterations: 300, burnIn: 100, seed: 1 };
+  const calibration = requestCalibration(RECORDS, options);
+  const simulation = requestSimulation(2, 500, { seed: 1 });
+  assert.equal((await simulation).iterations, 500);
+  assert.deepEqual((await calibration).parameters, runCalibration(RECORDS, options).parameters);
+});
+
+test("ensemble members come back with query methods and an ensemble supersedes a simulation", async () => {
+  const simulation = requestSimulation(2, 50000, { seed: 1 });
+  const ensemble = await requestEnsemble(2, 500, { seed: 1, modelIds: ["ar6"] });
+  assert.equal(await simulation, null);
+  assert.equal(ensemble.members[0].quantile(0.5), ensemble.members[0].stats.median);
+  await assert.rejects(requestEnsemble(2, 500, { modelIds: ["missing"] }), /Unknown model id: missing/);
+});
+
+test("the history fan runs alongside simulations and supersedes only an earlier fan", async () => {
+  const pathway = getTemperaturePathway("ssp245", 2100);
+  const stale = requestHistoryTrajectory(pathway, 300, { seed: 1 });
+  const fan = requestHistoryTrajectory(pathway, 300, { seed: 2 });
+  const simulation = requestSimulation(2, 500, { seed: 1 });
+  assert.equal(await stale, null);
+  assert.equal((await simulation).iterations, 500);
+  assert.deepEqual((await fan).statsByYear, runTrajectorySimulation(pathway, 300, { seed: 2 }).statsByYear);
+});
+
+test("unknown models are rejected before reaching the worker", async () => {
+  await assert.rejects(requestSimulation(2, 500, { modelId: "missing" }), /Unknown model id: missing/);
+});